@@ -0,0 +1,113 @@
+/**
+ * Audit trail
+ *
+ * Records every Okta call a run makes, with its outcome and Okta request ID,
+ * and the action the run took on the user, in a fixed schema that a SIEM can
+ * ingest as-is. The schema is described under the audit output in
+ * metadata.yaml; schemaVersion changes whenever a field is renamed or removed.
+ */
+
+/**
+ * Version of the audit record schema
+ */
+export const AUDIT_SCHEMA_VERSION = 1;
+
+/**
+ * Actions a run can take on a user
+ * created: the user was created; adopted: an existing user with a different
+ * login was taken over by duplicate detection; updated: an existing user was
+ * changed; unchanged: an existing user needed no changes; conflict: the run
+ * stopped because the user already exists; planned: dry run; failed: any
+ * other error.
+ */
+export const AUDIT_ACTIONS = ['created', 'adopted', 'updated', 'unchanged', 'conflict', 'planned', 'failed'];
+
+/**
+ * Classifies the outcome of an Okta call
+ * @param {Object} call - Call reported by the Okta client
+ * @returns {string} success, not-found, failed or network-error
+ * @private
+ */
+function callOutcome({ status }) {
+  if (status === null) {
+    return 'network-error';
+  }
+  if (status >= 200 && status < 300) {
+    return 'success';
+  }
+  return status === 404 ? 'not-found' : 'failed';
+}
+
+/**
+ * Starts the audit trail of one run
+ * @param {Object} options - Audit options
+ * @param {string} options.authMode - How the action authenticated to Okta, from getAuthMode
+ * @param {Function} [options.now] - Clock function returning a Date
+ * @returns {Object} Audit trail with wrap(), hasMutations() and finish()
+ */
+export function createAuditTrail({ authMode, now = () => new Date() }) {
+  const startedAt = now().toISOString();
+  const calls = [];
+
+  return {
+    /**
+     * Wraps an Okta client so every request made through it is recorded
+     * The wrapper shares the client's rate limit handling and runtime budget.
+     * @param {Object} client - Okta API client from createOktaClient
+     * @returns {Object} Client whose requests are recorded in this trail
+     */
+    wrap(client) {
+      return {
+        ...client,
+        request: (path, options = {}) => client.request(path, {
+          ...options,
+          onCall: (call) => calls.push({
+            method: call.method,
+            endpoint: call.path,
+            mutation: call.method !== 'GET',
+            outcome: callOutcome(call),
+            status: call.status,
+            requestId: call.requestId,
+            attempts: call.attempts,
+            startedAt: call.startedAt,
+            completedAt: call.completedAt,
+            error: call.error
+          })
+        })
+      };
+    },
+
+    /**
+     * Reports whether any call recorded so far changed something in Okta
+     * @returns {boolean} True if a POST, PUT or DELETE succeeded
+     */
+    hasMutations() {
+      return calls.some(({ mutation, outcome }) => mutation && outcome === 'success');
+    },
+
+    /**
+     * Completes the audit record of the run
+     * @param {Object} outcome - Outcome of the run
+     * @param {string} outcome.action - One of AUDIT_ACTIONS
+     * @param {string} [outcome.userId] - Okta ID of the user acted on
+     * @param {string} [outcome.login] - Login of the user acted on
+     * @param {Error} [outcome.error] - Error the run failed with
+     * @returns {Object} Audit record
+     */
+    finish({ action, userId = null, login = null, error = null }) {
+      return {
+        schemaVersion: AUDIT_SCHEMA_VERSION,
+        action,
+        userId,
+        login,
+        actor: { authMode },
+        startedAt,
+        completedAt: now().toISOString(),
+        calls: [...calls],
+        error: error
+          ? { message: error.message, statusCode: error.statusCode ?? null, requestId: error.requestId ?? null }
+          : null
+      };
+    }
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Batch user input
+ *
+ * Parses the users input (a JSON array or CSV text with a header row) into one
+ * set of job parameters per user, and runs work over the rows with a bounded
+ * number of rows in flight at once.
+ */
+
+/**
+ * Maximum number of rows in a single batch
+ */
+export const MAX_BATCH_SIZE = 500;
+
+/**
+ * Parameters that apply to the whole run and can't be set per row
+ */
+const RUN_LEVEL_PARAMS = ['users', 'batchConcurrency', 'dryRun', 'address', 'haltCleanup'];
+
+/**
+ * Splits CSV text into rows of fields
+ * Follows RFC 4180: fields may be quoted, quotes inside quoted fields are
+ * doubled and quoted fields may contain commas and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of raw field values, without blank lines
+ * @throws {Error} If a quoted field is not closed
+ * @private
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Invalid users CSV: unterminated quoted field');
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Converts a JSON row value to the string form the job inputs use
+ * @param {string} name - Parameter name
+ * @param {*} value - Value from the JSON row
+ * @returns {*} Value usable as a job input
+ * @private
+ */
+function toParamValue(name, value) {
+  if (name === 'groupIds' && Array.isArray(value)) {
+    return value.join(',');
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Checks that a row only sets per-user parameters
+ * @param {Object|Error} row - Parameters of the row, or the error of a row that couldn't be read
+ * @returns {Object|Error} The row, or an Error if it sets a run-level parameter
+ * @private
+ */
+function checkRowParams(row) {
+  if (row instanceof Error) {
+    return row;
+  }
+  const runLevel = Object.keys(row).filter((name) => RUN_LEVEL_PARAMS.includes(name));
+  if (runLevel.length > 0) {
+    return new Error(`Invalid users: ${runLevel.join(', ')} can only be set for the whole batch`);
+  }
+  return row;
+}
+
+/**
+ * Parses the users input into one parameter object per user
+ * Empty CSV cells and null JSON values are left out so the batch-wide inputs apply.
+ * A row that can't be used (a JSON entry that isn't an object, a CSV row with the
+ * wrong number of fields, or a row setting a run-level parameter) is returned as
+ * an Error in its place, so it fails on its own instead of failing the batch.
+ * @param {string|Array<Object>} users - JSON array of parameter objects, or CSV with a header row of parameter names
+ * @returns {Array<Object|Error>} Parameters for each user, or the Error of an unusable row, in input order
+ * @throws {Error} If the input as a whole is malformed, empty or too large
+ */
+export function parseBatchUsers(users) {
+  let rows;
+
+  if (Array.isArray(users) || (typeof users === 'string' && users.trim().startsWith('['))) {
+    let parsed = users;
+    if (typeof users === 'string') {
+      try {
+        parsed = JSON.parse(users);
+      } catch (error) {
+        throw new Error(`Invalid users JSON: ${error.message}`, { cause: error });
+      }
+    }
+    rows = parsed.map((row, index) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return new Error(`Invalid users JSON: row ${index + 1} is not an object`);
+      }
+      return Object.fromEntries(Object.entries(row)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => [name, toParamValue(name, value)]));
+    });
+  } else if (typeof users === 'string') {
+    const [header, ...records] = parseCsv(users);
+    const names = (header || []).map((name) => name.trim());
+    if (names.length === 0 || names.some((name) => !name)) {
+      throw new Error('Invalid users CSV: the header row must name every column');
+    }
+    rows = records.map((fields, index) => {
+      if (fields.length !== names.length) {
+        return new Error(`Invalid users CSV: row ${index + 1} has ${fields.length} fields, expected ${names.length}`);
+      }
+      return Object.fromEntries(names
+        .map((name, column) => [name, fields[column].trim()])
+        .filter(([, value]) => value !== ''));
+    });
+  } else {
+    throw new Error('Invalid users parameter: expected a JSON array or CSV text');
+  }
+
+  if (rows.length === 0) {
+    throw new Error('Invalid users parameter: no users found');
+  }
+  if (rows.length > MAX_BATCH_SIZE) {
+    throw new Error(`Invalid users parameter: ${rows.length} users exceeds the limit of ${MAX_BATCH_SIZE}`);
+  }
+
+  return rows.map(checkRowParams);
+}
+
+/**
+ * Runs a worker over items with at most `concurrency` items in flight
+ * Results keep the order of the items. The worker is expected to handle its
+ * own errors; a rejection stops the remaining items from starting.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items in flight
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Worker results in item order
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  /**
+   * Takes items off the shared queue until it is empty
+   * @returns {Promise<void>}
+   * @private
+   */
+  async function drain() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, drain));
+  return results;
+}
@@ -0,0 +1,255 @@
+/**
+ * Structured logging
+ *
+ * Writes one JSON object per log line with a timestamp, level and message, so
+ * job logs can be searched and correlated with Okta request IDs. Everything
+ * logged is redacted first: secrets are replaced outright, and personal data
+ * (emails, names, logins and other identifying values of the users in the
+ * run) is replaced by a short keyed hash, which stays the same within a run so
+ * log lines about the same person can still be followed.
+ */
+
+import { createHmac, randomBytes } from 'node:crypto';
+
+/**
+ * Log levels in increasing order of severity
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Level used when LOG_LEVEL is not set or not recognized
+ */
+export const DEFAULT_LOG_LEVEL = 'info';
+
+/**
+ * Replacement for secret values
+ * @private
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Field names whose values are secrets and never logged
+ * @private
+ */
+const SECRET_KEYS = new Set([
+  'password', 'secret', 'token', 'authorization', 'credentials', 'assertion',
+  'activationUrl', 'activationToken', 'resetPasswordUrl', 'accessToken', 'clientSecret', 'privateKey'
+].map((key) => key.toLowerCase()));
+
+/**
+ * Field names whose values identify a person
+ * @private
+ */
+const PII_KEYS = new Set([
+  'email', 'secondEmail', 'login', 'firstName', 'lastName', 'middleName', 'displayName', 'nickName',
+  'mobilePhone', 'primaryPhone', 'streetAddress', 'postalAddress', 'employeeNumber', 'manager', 'profile'
+].map((key) => key.toLowerCase()));
+
+/**
+ * Matches email addresses, including URL-encoded ones in request paths
+ * @private
+ */
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+(?:@|%40)[\p{L}\p{N}.-]+\.[\p{L}]{2,}/giu;
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ * @private
+ */
+function escapePattern(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a pattern matching a value as a whole word, in the forms it takes in URLs
+ * @param {string} value - Sensitive value
+ * @returns {RegExp} Case-insensitive pattern
+ * @private
+ */
+function valuePattern(value) {
+  const forms = [...new Set([value, encodeURIComponent(value), encodeURIComponent(value).replace(/%20/g, '+')])];
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${forms.map(escapePattern).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Writes a log line to the console method matching its level
+ * @param {string} line - Serialized log entry
+ * @param {string} level - Log level
+ * @private
+ */
+function writeToConsole(line, level) {
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Creates a structured logger
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - Lowest level written (default: info)
+ * @param {Function} [options.write] - Receives (line, level) for every entry written, replaceable in tests
+ * @param {Function} [options.now] - Clock function returning a Date
+ * @returns {Object} Logger with debug(), info(), warn(), error(), configure(), addSecrets(), addSensitive(), addSensitiveProfile() and redact()
+ */
+export function createLogger({ level = DEFAULT_LOG_LEVEL, write = writeToConsole, now = () => new Date() } = {}) {
+  let threshold = LOG_LEVELS.indexOf(level);
+  let hashKey = randomBytes(32);
+  let secretPatterns = [];
+  let sensitivePatterns = [];
+
+  /**
+   * Replaces a personal value with its keyed hash
+   * @param {string} value - Personal value
+   * @returns {string} Pseudonym such as [pii:3f9a1c0b2e]
+   * @private
+   */
+  function pseudonymize(value) {
+    const digest = createHmac('sha256', hashKey).update(decodeURIComponentSafe(value).toLowerCase()).digest('hex');
+    return `[pii:${digest.slice(0, 10)}]`;
+  }
+
+  /**
+   * Decodes a URL-encoded value, so encoded and plain forms hash the same
+   * @param {string} value - Possibly encoded value
+   * @returns {string} Decoded value, or the value itself if it isn't valid encoding
+   * @private
+   */
+  function decodeURIComponentSafe(value) {
+    try {
+      return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch {
+      return value;
+    }
+  }
+
+  /**
+   * Removes secrets and personal data from free text
+   * @param {string} text - Text to scrub
+   * @returns {string} Scrubbed text
+   * @private
+   */
+  function scrub(text) {
+    let result = text;
+    for (const pattern of secretPatterns) {
+      result = result.replace(pattern, REDACTED);
+    }
+    for (const pattern of sensitivePatterns) {
+      result = result.replace(pattern, pseudonymize);
+    }
+    return result.replace(EMAIL_PATTERN, pseudonymize);
+  }
+
+  /**
+   * Redacts a value for logging
+   * @param {*} value - Value to redact
+   * @param {Object} [options] - Redaction options
+   * @param {boolean} [options.personal] - Treat every string as personal data, for values under a personal key
+   * @returns {*} Copy of the value that is safe to log
+   */
+  function redact(value, { personal = false } = {}) {
+    if (typeof value === 'string' || (personal && typeof value === 'number')) {
+      return personal ? pseudonymize(String(value)) : scrub(value);
+    }
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: scrub(value.message),
+        ...Object.fromEntries(['type', 'statusCode', 'retryable', 'errorCode', 'errorId', 'requestId']
+          .filter((key) => value[key] !== undefined)
+          .map((key) => [key, redact(value[key])]))
+      };
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => redact(item, { personal }));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        const name = key.toLowerCase();
+        if (SECRET_KEYS.has(name)) {
+          return [key, item === null || item === undefined ? item : REDACTED];
+        }
+        return [key, redact(item, { personal: personal || PII_KEYS.has(name) })];
+      }));
+    }
+    return value;
+  }
+
+  /**
+   * Writes one entry if its level is enabled
+   * @param {string} entryLevel - Level of the entry
+   * @param {string} message - Log message
+   * @param {Object} [fields] - Structured fields
+   * @private
+   */
+  function log(entryLevel, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold) {
+      return;
+    }
+    const entry = { timestamp: now().toISOString(), level: entryLevel, message: scrub(message), ...redact(fields) };
+    write(JSON.stringify(entry), entryLevel);
+  }
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    redact,
+
+    /**
+     * Starts a new run: sets the level and the secrets to redact, and forgets
+     * the personal values and hash key of the previous run
+     * @param {Object} [options] - Run options
+     * @param {string} [options.level] - Lowest level written; unknown levels fall back to info
+     * @param {Array<string>} [options.secrets] - Secret values to replace wherever they appear
+     * @param {string} [options.hashKey] - Key of the personal value hashes, for runs that must hash alike (default: a new random key)
+     */
+    configure({ level: runLevel, secrets = [], hashKey: runHashKey } = {}) {
+      const normalized = String(runLevel || DEFAULT_LOG_LEVEL).toLowerCase();
+      threshold = LOG_LEVELS.indexOf(LOG_LEVELS.includes(normalized) ? normalized : DEFAULT_LOG_LEVEL);
+      hashKey = runHashKey || randomBytes(32);
+      secretPatterns = secrets.filter((secret) => typeof secret === 'string' && secret.length > 0).map(valuePattern);
+      sensitivePatterns = [];
+    },
+
+    /**
+     * Registers secrets obtained during the run, such as access tokens, to be
+     * replaced wherever they appear in log text
+     * @param {Array<*>} values - Secret values; non-strings and blanks are ignored
+     */
+    addSecrets(values) {
+      secretPatterns.push(...values.filter((value) => typeof value === 'string' && value.length > 0).map(valuePattern));
+    },
+
+    /**
+     * Registers personal values, such as the names of the user being created,
+     * to be replaced wherever they appear in log text
+     * @param {Array<*>} values - Values to redact; non-strings and blanks are ignored
+     */
+    addSensitive(values) {
+      const strings = values.filter((value) => typeof value === 'string' && value.trim().length > 0);
+      sensitivePatterns.push(...strings.map((value) => valuePattern(value.trim())));
+    },
+
+    /**
+     * Registers the personal attributes of a profile, such as names, emails
+     * and phone numbers, to be replaced wherever they appear in log text
+     * @param {Object} profile - Okta user profile
+     */
+    addSensitiveProfile(profile) {
+      this.addSensitive(Object.entries(profile)
+        .filter(([attribute]) => PII_KEYS.has(attribute.toLowerCase()))
+        .map(([, value]) => (typeof value === 'number' ? String(value) : value)));
+    }
+  };
+}
+
+/**
+ * Logger shared by every module of the action
+ */
+export const logger = createLogger();
@@ -0,0 +1,305 @@
+/**
+ * Okta HTTP client
+ *
+ * Shared request layer for every Okta API call made by the action. Handles
+ * Okta's rate limits (429 with X-Rate-Limit-Reset), retries transient server
+ * errors with jittered backoff and keeps all waiting inside the action's
+ * runtime budget. Concurrent requests share the budget, and a 429 on one of
+ * them holds back the others until the rate limit window resets. With a
+ * DPoP-bound access token, every attempt carries a fresh DPoP proof.
+ */
+
+import { logger } from './logger.mjs';
+
+/**
+ * Runtime budget in milliseconds, matching runtime.timeout in metadata.yaml
+ */
+export const DEFAULT_BUDGET_MS = 30000;
+
+/**
+ * Time kept free at the end of the budget for the final request and the
+ * work that follows it, so a retry never starts a request it can't finish
+ */
+const BUDGET_RESERVE_MS = 2000;
+
+/**
+ * Base delay for exponential backoff on 5xx responses and network errors
+ */
+const BASE_DELAY_MS = 200;
+
+/**
+ * Upper bound of the random delay added after a rate limit window resets,
+ * so concurrent runs don't all retry in the same instant
+ */
+const RESET_JITTER_MS = 250;
+
+/**
+ * Default number of retries for a single request
+ */
+const DEFAULT_MAX_RETRIES = 3;
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ * @private
+ */
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads Okta's rate limit headers from a response
+ * @param {Response} response - Fetch Response object
+ * @returns {Object|null} { limit, remaining, reset } with reset in epoch seconds, or null if absent
+ * @private
+ */
+function readRateLimit(response) {
+  const get = (name) => response.headers?.get?.(name);
+  const limit = Number.parseInt(get('x-rate-limit-limit'), 10);
+  const remaining = Number.parseInt(get('x-rate-limit-remaining'), 10);
+  const reset = Number.parseInt(get('x-rate-limit-reset'), 10);
+
+  if (Number.isNaN(remaining)) {
+    return null;
+  }
+
+  return {
+    limit: Number.isNaN(limit) ? null : limit,
+    remaining,
+    reset: Number.isNaN(reset) ? null : reset
+  };
+}
+
+/**
+ * Checks whether Okta rejected a DPoP proof for lacking the nonce it requires
+ * @param {Response} response - Fetch response
+ * @returns {boolean} True for a 401 use_dpop_nonce challenge
+ * @private
+ */
+function isDpopNonceChallenge(response) {
+  return response.status === 401 && /use_dpop_nonce/.test(response.headers?.get?.('www-authenticate') ?? '');
+}
+
+/**
+ * Creates an Okta API client bound to a base URL and authentication headers
+ * @param {Object} options - Client options
+ * @param {string} options.baseUrl - Base URL for the Okta API
+ * @param {Object} options.headers - HTTP headers including authentication
+ * @param {Object} [options.dpop] - DPoP signer bound to the access token, with proof(method, url) and setNonce(nonce)
+ * @param {number} [options.budgetMs] - Total time the client may spend, including retries
+ * @param {number} [options.maxRetries] - Maximum retries per request
+ * @param {Function} [options.sleep] - Delay function, replaceable in tests
+ * @param {Function} [options.now] - Clock function returning epoch milliseconds
+ * @param {Function} [options.random] - Random number generator in [0, 1) used for jitter
+ * @returns {Object} Client with request(), getRateLimit(), getRemainingBudget(), pause() and getBaseUrl()
+ */
+export function createOktaClient({
+  baseUrl,
+  headers,
+  dpop = null,
+  budgetMs = DEFAULT_BUDGET_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  sleep = defaultSleep,
+  now = Date.now,
+  random = Math.random
+}) {
+  const deadline = now() + budgetMs - BUDGET_RESERVE_MS;
+  let lowestRateLimit = null;
+  let retries = 0;
+  let pausedUntil = 0;
+
+  /**
+   * Records the rate limit of a response, keeping the bucket with the least headroom
+   * @param {Response} response - Fetch Response object
+   * @private
+   */
+  function trackRateLimit(response) {
+    const rateLimit = readRateLimit(response);
+    if (rateLimit && (!lowestRateLimit || rateLimit.remaining <= lowestRateLimit.remaining)) {
+      lowestRateLimit = rateLimit;
+    }
+  }
+
+  /**
+   * Works out how long to wait before retrying a 429 response
+   * @param {Response} response - Fetch Response object with status 429
+   * @param {number} attempt - Zero-based retry attempt
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  function rateLimitDelay(response, attempt) {
+    const reset = readRateLimit(response)?.reset;
+    if (reset) {
+      pausedUntil = Math.max(pausedUntil, reset * 1000);
+      return Math.max(reset * 1000 - now(), 0) + Math.round(random() * RESET_JITTER_MS);
+    }
+    return backoffDelay(attempt);
+  }
+
+  /**
+   * Holds a request back while another request is waiting out a 429
+   * If the pause doesn't fit in the budget the request is sent anyway and
+   * handled like any other 429.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async function waitForRateLimitWindow() {
+    const delay = pausedUntil - now();
+    if (delay > 0 && now() + delay <= deadline) {
+      await sleep(delay + Math.round(random() * RESET_JITTER_MS));
+    }
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {number} attempt - Zero-based retry attempt
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  function backoffDelay(attempt) {
+    return Math.round(random() * BASE_DELAY_MS * 2 ** attempt);
+  }
+
+  /**
+   * Waits before a retry if the wait fits in the remaining budget
+   * @param {number} delay - Delay in milliseconds
+   * @returns {Promise<boolean>} True if the caller may retry
+   * @private
+   */
+  async function waitForRetry(delay) {
+    if (now() + delay > deadline) {
+      return false;
+    }
+    await sleep(delay);
+    retries++;
+    return true;
+  }
+
+  return {
+    /**
+     * Sends a request to the Okta API
+     * A 429 is always retried because Okta rejected the request without processing it,
+     * and so is a DPoP nonce challenge, once. 5xx responses and network errors are only
+     * retried for idempotent requests, since a POST may already have taken effect.
+     * @param {string} path - API path (e.g. /api/v1/users) or an absolute URL from a Link header
+     * @param {Object} [options] - Request options
+     * @param {string} [options.method] - HTTP method (default: GET)
+     * @param {Object} [options.body] - JSON request body
+     * @param {boolean} [options.idempotent] - Whether 5xx responses may be retried (default: true except for POST)
+     * @param {Function} [options.onCall] - Called once the request is done with
+     *   { method, path, status, requestId, attempts, startedAt, completedAt, error }
+     * @returns {Promise<Response>} Fetch Response object of the last attempt
+     * @throws {Error} With type network if the request fails at the network level and can't be retried
+     */
+    async request(path, { method = 'GET', body, idempotent = method !== 'POST', onCall } = {}) {
+      const url = /^https?:\/\//.test(path) ? path : `${baseUrl}${path}`;
+      const init = { method, headers };
+      if (body !== undefined) {
+        init.body = JSON.stringify(body);
+      }
+      const startedAt = new Date(now()).toISOString();
+      const report = (attempt, { status = null, requestId = null, error = null }) => onCall?.({
+        method,
+        path: url.startsWith(baseUrl) ? url.slice(baseUrl.length) : url,
+        status,
+        requestId,
+        attempts: attempt + 1,
+        startedAt,
+        completedAt: new Date(now()).toISOString(),
+        error
+      });
+
+      let nonceRetried = false;
+
+      for (let attempt = 0; ; attempt++) {
+        await waitForRateLimitWindow();
+        if (dpop) {
+          // A proof is only valid once, so every attempt is signed again
+          init.headers = { ...headers, DPoP: dpop.proof(method, url) };
+        }
+
+        let response;
+        try {
+          response = await fetch(url, init);
+        } catch (error) {
+          // Tagged so isRetryableError can tell network failures from bugs in the action
+          error.type = 'network';
+          if (!idempotent || attempt >= maxRetries || !await waitForRetry(backoffDelay(attempt))) {
+            report(attempt, { error: error.message });
+            throw error;
+          }
+          logger.warn(`Retrying ${method} after network error`, { path, attempt, error: error.message });
+          continue;
+        }
+
+        trackRateLimit(response);
+        const nonce = response.headers?.get?.('dpop-nonce');
+        if (dpop && nonce) {
+          dpop.setNonce(nonce);
+        }
+        // Okta support finds a call by its request ID
+        const requestId = response.headers?.get?.('x-okta-request-id') ?? null;
+        logger.info(`Okta API ${method}`, { path, status: response.status, requestId, attempt });
+
+        let delay = null;
+        if (response.status === 429) {
+          delay = rateLimitDelay(response, attempt);
+        } else if (dpop && nonce && !nonceRetried && isDpopNonceChallenge(response)) {
+          nonceRetried = true;
+          delay = 0;
+        } else if (response.status >= 500 && idempotent) {
+          delay = backoffDelay(attempt);
+        }
+
+        if (delay === null || attempt >= maxRetries || !await waitForRetry(delay)) {
+          report(attempt, { status: response.status, requestId });
+          return response;
+        }
+        logger.warn(`Retrying ${method} after HTTP ${response.status}`, { path, attempt, requestId });
+      }
+    },
+
+    /**
+     * Reports the tightest rate limit bucket seen so far
+     * @returns {Object} { limit, remaining, resetAt, retries }
+     */
+    getRateLimit() {
+      return {
+        limit: lowestRateLimit?.limit ?? null,
+        remaining: lowestRateLimit?.remaining ?? null,
+        resetAt: lowestRateLimit?.reset ? new Date(lowestRateLimit.reset * 1000).toISOString() : null,
+        retries
+      };
+    },
+
+    /**
+     * Reports how much of the runtime budget is left for new requests
+     * @returns {number} Milliseconds until the budget runs out (negative once exhausted)
+     */
+    getRemainingBudget() {
+      return deadline - now();
+    },
+
+    /**
+     * Waits between polls of an eventually consistent read
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<boolean>} True if the wait fit in the runtime budget, false if it was skipped
+     */
+    async pause(ms) {
+      if (now() + ms > deadline) {
+        return false;
+      }
+      await sleep(ms);
+      return true;
+    },
+
+    /**
+     * Reports the base URL requests are sent to
+     * @returns {string} Okta API base URL
+     */
+    getBaseUrl() {
+      return baseUrl;
+    }
+  };
+}
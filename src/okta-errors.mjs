@@ -0,0 +1,159 @@
+/**
+ * Okta API errors
+ *
+ * Turns failed Okta responses into errors that say what went wrong, using
+ * Okta's errorCode, errorSummary and errorCauses, and classifies them so the
+ * error handler can tell transient failures from ones a retry won't fix.
+ */
+
+import { logger } from './logger.mjs';
+
+/**
+ * Error types and whether a retry can succeed
+ */
+export const ERROR_TYPES = {
+  validation: { retryable: false },
+  conflict: { retryable: false },
+  authentication: { retryable: false },
+  'insufficient-scope': { retryable: false },
+  'not-found': { retryable: false },
+  'rate-limit': { retryable: true },
+  server: { retryable: true },
+  unknown: { retryable: false }
+};
+
+/**
+ * Error raised for a failed Okta API response
+ */
+export class OktaApiError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Parsed error details
+   * @param {string} details.type - One of the ERROR_TYPES keys
+   * @param {number} details.statusCode - HTTP status code
+   * @param {Object} [details.body] - Raw Okta error body
+   * @param {string} [details.requiredScope] - OAuth scope the call needs, for insufficient-scope errors
+   * @param {string} [details.requestId] - X-Okta-Request-Id of the failed call, for Okta support
+   */
+  constructor(message, { type, statusCode, body, requiredScope, requestId }) {
+    super(message);
+    this.name = 'OktaApiError';
+    this.type = type;
+    this.retryable = ERROR_TYPES[type].retryable;
+    this.statusCode = statusCode;
+    this.body = body;
+    this.errorCode = body?.errorCode;
+    this.errorSummary = body?.errorSummary;
+    this.errorCauses = (body?.errorCauses || []).map((cause) => cause.errorSummary).filter(Boolean);
+    this.errorId = body?.errorId;
+    this.requiredScope = requiredScope;
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Reads the scope named in a WWW-Authenticate insufficient_scope challenge
+ * @param {Response} response - Fetch Response object
+ * @returns {string|undefined} Scope, if Okta named one
+ * @private
+ */
+function readChallengeScope(response) {
+  const challenge = response.headers?.get?.('www-authenticate');
+  return challenge?.match(/scope="([^"]+)"/)?.[1];
+}
+
+/**
+ * Classifies a failed response
+ * @param {number} status - HTTP status code
+ * @param {Object} [body] - Okta error body
+ * @param {Array<string>} causes - Okta error cause summaries
+ * @returns {string} One of the ERROR_TYPES keys
+ * @private
+ */
+function classify(status, body, causes) {
+  if (status === 400) {
+    // Okta reports taken logins as a validation failure on the login field
+    return causes.some((cause) => /already exists/i.test(cause)) ? 'conflict' : 'validation';
+  }
+  if (status === 401) {
+    return 'authentication';
+  }
+  if (status === 403) {
+    return 'insufficient-scope';
+  }
+  if (status === 404) {
+    return 'not-found';
+  }
+  if (status === 409) {
+    return 'conflict';
+  }
+  if (status === 429) {
+    return 'rate-limit';
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+  return body?.errorCode === 'E0000001' ? 'validation' : 'unknown';
+}
+
+/**
+ * Builds an OktaApiError for a failed Okta API response
+ * @param {string} message - Description of the failed operation
+ * @param {Response} response - Fetch Response object with a non-2xx status
+ * @param {Object} [options] - Error options
+ * @param {string} [options.requiredScope] - OAuth scope the call needs, named in 403 messages
+ * @returns {Promise<OktaApiError>} Classified error with Okta's details attached
+ */
+export async function createOktaApiError(message, response, { requiredScope } = {}) {
+  let body;
+  try {
+    body = await response.json();
+  } catch {
+    logger.error('Failed to parse error response');
+  }
+
+  const causes = (body?.errorCauses || []).map((cause) => cause.errorSummary).filter(Boolean);
+  const type = classify(response.status, body, causes);
+  const scope = type === 'insufficient-scope' ? (readChallengeScope(response) || requiredScope) : undefined;
+
+  let text = `${message}: HTTP ${response.status}`;
+  if (body?.errorSummary) {
+    text += ` - ${body.errorSummary}`;
+  }
+  if (causes.length > 0) {
+    text += ` (${causes.join('; ')})`;
+  }
+  if (scope) {
+    text += `. The API credentials may be missing the ${scope} scope`;
+  }
+
+  const requestId = response.headers?.get?.('x-okta-request-id') ?? undefined;
+  const error = new OktaApiError(text, { type, statusCode: response.status, body, requiredScope: scope, requestId });
+  // Only the identifiers are logged: Okta's summaries and causes can quote profile values
+  logger.error(`${message}: ${type} error`, {
+    statusCode: error.statusCode,
+    errorCode: error.errorCode,
+    errorId: error.errorId,
+    requestId: error.requestId ?? null
+  });
+  return error;
+}
+
+/**
+ * Decides whether an error thrown by the action is worth retrying
+ * Okta errors carry their own flag. Other errors with an HTTP status are
+ * classified by status, and errors without one are retried only if they
+ * come from the network layer: the Okta client and the token request tag
+ * fetch rejections with type network. Other TypeErrors are bugs, not outages.
+ * @param {Error} error - Error thrown by the action
+ * @returns {boolean} True if a retry may succeed
+ */
+export function isRetryableError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return error.retryable;
+  }
+  if (error?.statusCode) {
+    return error.statusCode === 429 || error.statusCode >= 500;
+  }
+  return error?.type === 'network';
+}
@@ -0,0 +1,255 @@
+/**
+ * OAuth 2.0 private_key_jwt client authentication with DPoP
+ *
+ * Okta API service apps authenticate with a client assertion, a JWT signed
+ * with the app's private key, and usually get DPoP-bound access tokens back.
+ * A DPoP-bound token is only accepted together with a proof, a JWT signed with
+ * a key pair generated for the run, covering the method and URL of each call.
+ * Okta may ask for a server-issued nonce in the proof; the nonce is picked up
+ * from the DPoP-Nonce header and the request is signed again.
+ */
+
+import { createHash, createPrivateKey, generateKeyPairSync, randomUUID, sign } from 'node:crypto';
+
+/**
+ * client_assertion_type of a private_key_jwt token request
+ */
+export const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+/**
+ * How long a client assertion is valid, in seconds
+ */
+export const CLIENT_ASSERTION_LIFETIME_SECONDS = 300;
+
+/**
+ * JWS algorithm for each supported key type or EC curve, with its digest
+ * @private
+ */
+const SIGNING_ALGORITHMS = {
+  rsa: { alg: 'RS256', hash: 'sha256' },
+  prime256v1: { alg: 'ES256', hash: 'sha256' },
+  secp384r1: { alg: 'ES384', hash: 'sha384' },
+  secp521r1: { alg: 'ES512', hash: 'sha512' }
+};
+
+/**
+ * Encodes a JSON value as base64url
+ * @param {Object} value - JWT header or payload
+ * @returns {string} Encoded segment
+ * @private
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Signs a JWT
+ * ECDSA signatures use the fixed-length r || s encoding JWS requires.
+ * @param {Object} header - JWT header; alg must match the key
+ * @param {Object} payload - JWT claims
+ * @param {Object} signingKey - Key from loadSigningKey
+ * @returns {string} Compact JWS
+ * @private
+ */
+function signJwt(header, payload, signingKey) {
+  const input = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+  const signature = sign(signingKey.hash, Buffer.from(input), { key: signingKey.key, dsaEncoding: 'ieee-p1363' });
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Picks the JWS algorithm for a private key
+ * @param {KeyObject} key - Private key
+ * @returns {Object|null} { alg, hash }, or null for unsupported keys
+ * @private
+ */
+function signingAlgorithm(key) {
+  if (key.asymmetricKeyType === 'rsa') {
+    return SIGNING_ALGORITHMS.rsa;
+  }
+  if (key.asymmetricKeyType === 'ec') {
+    return SIGNING_ALGORITHMS[key.asymmetricKeyDetails?.namedCurve] ?? null;
+  }
+  return null;
+}
+
+/**
+ * Loads the private key of the service app
+ * PEM keys may have their line breaks escaped as \n, as they often are when
+ * stored in a single-line secret. A JWK's kid is used unless keyId is given.
+ * @param {string} secret - PEM (PKCS#8, PKCS#1 or SEC1) or JWK JSON private key
+ * @param {Object} [options] - Key options
+ * @param {string} [options.keyId] - Key ID registered for the key in Okta
+ * @returns {Object} { key, alg, hash, kid } for signing client assertions
+ * @throws {Error} If the key can't be read or isn't an RSA or EC key
+ */
+export function loadSigningKey(secret, { keyId } = {}) {
+  const text = String(secret).trim();
+  let key;
+  let jwkKeyId = null;
+  // The parser's message is left out on purpose: it can quote part of the key
+  try {
+    if (text.startsWith('{')) {
+      const jwk = JSON.parse(text);
+      key = createPrivateKey({ key: jwk, format: 'jwk' });
+      jwkKeyId = jwk.kid ?? null;
+    } else {
+      key = createPrivateKey(text.replace(/\\n/g, '\n'));
+    }
+  } catch {
+    throw new Error('Invalid OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY: expected a PEM or JWK private key');
+  }
+
+  const algorithm = signingAlgorithm(key);
+  if (!algorithm) {
+    throw new Error('Invalid OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY: expected an RSA key or an EC key on P-256, P-384 or P-521');
+  }
+  return { key, ...algorithm, kid: keyId || jwkKeyId };
+}
+
+/**
+ * Creates a private_key_jwt client assertion
+ * @param {Object} options - Assertion options
+ * @param {string} options.clientId - Client ID of the service app, used as issuer and subject
+ * @param {string} options.audience - Token endpoint URL
+ * @param {Object} options.signingKey - Key from loadSigningKey
+ * @param {Function} [options.now] - Clock function returning milliseconds
+ * @returns {string} Signed client assertion
+ */
+export function createClientAssertion({ clientId, audience, signingKey, now = Date.now }) {
+  const iat = Math.floor(now() / 1000);
+  const header = signingKey.kid ? { alg: signingKey.alg, typ: 'JWT', kid: signingKey.kid } : { alg: signingKey.alg, typ: 'JWT' };
+  return signJwt(header, {
+    iss: clientId,
+    sub: clientId,
+    aud: audience,
+    iat,
+    exp: iat + CLIENT_ASSERTION_LIFETIME_SECONDS,
+    jti: randomUUID()
+  }, signingKey);
+}
+
+/**
+ * Creates the DPoP signer of a run, with a fresh P-256 key pair
+ * @param {Object} [options] - Signer options
+ * @param {Function} [options.now] - Clock function returning milliseconds
+ * @returns {Object} Signer with proof(), setNonce() and bind()
+ */
+export function createDpopSigner({ now = Date.now } = {}) {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  const signingKey = { key: privateKey, ...SIGNING_ALGORITHMS.prime256v1 };
+  let nonce = null;
+
+  const signer = {
+    /**
+     * Creates a DPoP proof for one request
+     * @param {Object} request - Request to prove
+     * @param {string} request.method - HTTP method
+     * @param {string} request.url - Request URL; the query and fragment are left out of htu
+     * @param {string} [request.accessToken] - Access token sent with the request, hashed into ath
+     * @returns {string} Value of the DPoP header
+     */
+    proof({ method, url, accessToken }) {
+      const payload = { htm: method, htu: url.split(/[?#]/)[0], iat: Math.floor(now() / 1000), jti: randomUUID() };
+      if (nonce) {
+        payload.nonce = nonce;
+      }
+      if (accessToken) {
+        payload.ath = createHash('sha256').update(accessToken).digest('base64url');
+      }
+      return signJwt({ typ: 'dpop+jwt', alg: signingKey.alg, jwk: { kty, crv, x, y } }, payload, signingKey);
+    },
+
+    /**
+     * Remembers the latest nonce Okta sent in a DPoP-Nonce header
+     * @param {string} value - Nonce
+     */
+    setNonce(value) {
+      nonce = value;
+    },
+
+    /**
+     * Binds the signer to an access token, for the Okta client's dpop option
+     * @param {string} accessToken - DPoP-bound access token
+     * @returns {Object} { proof(method, url), setNonce(nonce) }
+     */
+    bind(accessToken) {
+      return {
+        proof: (method, url) => signer.proof({ method, url, accessToken }),
+        setNonce: signer.setNonce
+      };
+    }
+  };
+  return signer;
+}
+
+/**
+ * Gets an access token with the client credentials grant and a private_key_jwt client assertion
+ * A use_dpop_nonce error is answered once by signing a new proof with the nonce
+ * Okta sent. Every attempt gets a new assertion, since Okta rejects a reused jti.
+ * @param {Object} options - Token request options
+ * @param {string} options.tokenUrl - Token endpoint, e.g. https://example.okta.com/oauth2/v1/token
+ * @param {string} options.clientId - Client ID of the service app
+ * @param {string} options.scope - Space-separated Okta API scopes to request
+ * @param {Object} options.signingKey - Key from loadSigningKey
+ * @param {Object} [options.dpop] - Signer from createDpopSigner, to get a DPoP-bound token
+ * @param {Function} [options.now] - Clock function returning milliseconds
+ * @returns {Promise<Object>} { accessToken, tokenType, expiresIn, scope }
+ * @throws {Error} With statusCode if the token endpoint refuses the request, or with type network if it can't be reached
+ */
+export async function requestAccessToken({ tokenUrl, clientId, scope, signingKey, dpop = null, now = Date.now }) {
+  for (let attempt = 0; ; attempt++) {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (dpop) {
+      headers.DPoP = dpop.proof({ method: 'POST', url: tokenUrl });
+    }
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      scope,
+      client_assertion_type: CLIENT_ASSERTION_TYPE,
+      client_assertion: createClientAssertion({ clientId, audience: tokenUrl, signingKey, now })
+    });
+
+    let response;
+    try {
+      response = await fetch(tokenUrl, { method: 'POST', headers, body: body.toString() });
+    } catch (error) {
+      error.type = 'network';
+      throw error;
+    }
+    let data = {};
+    try {
+      data = await response.json();
+    } catch {
+      // Keep the status-only error below
+    }
+
+    const nonce = response.headers?.get?.('dpop-nonce');
+    if (dpop && nonce) {
+      dpop.setNonce(nonce);
+    }
+
+    if (response.ok && data.access_token) {
+      return {
+        accessToken: data.access_token,
+        tokenType: data.token_type ?? 'Bearer',
+        expiresIn: data.expires_in ?? null,
+        scope: data.scope ?? null
+      };
+    }
+    if (dpop && nonce && data.error === 'use_dpop_nonce' && attempt === 0) {
+      continue;
+    }
+
+    let message = `Failed to get an access token from ${tokenUrl}: HTTP ${response.status}`;
+    if (response.ok) {
+      message += ' - the response has no access_token';
+    } else if (data.error) {
+      message += ` - ${data.error}${data.error_description ? `: ${data.error_description}` : ''}`;
+    }
+    const err = new Error(message);
+    err.statusCode = response.status;
+    throw err;
+  }
+}
@@ -0,0 +1,311 @@
+/**
+ * Profile normalization
+ *
+ * Cleans up profile values that come straight from HR systems before they are
+ * sent to Okta: Unicode NFC and trimmed whitespace everywhere, lowercased
+ * emails, E.164 phone numbers, ISO 3166 country codes and validated BCP 47
+ * locales and IANA time zones. Countries, locales and time zones that can't be
+ * normalized are reported together, like schema violations; phone numbers
+ * that can't be formatted are left as given.
+ */
+
+import { logger } from './logger.mjs';
+
+/**
+ * Name attributes whose inner whitespace is collapsed to single spaces
+ * @private
+ */
+const NAME_ATTRIBUTES = ['firstName', 'middleName', 'lastName', 'displayName', 'nickName', 'honorificPrefix', 'honorificSuffix'];
+
+/**
+ * Email attributes, which are lowercased
+ * @private
+ */
+const EMAIL_ATTRIBUTES = ['email', 'secondEmail'];
+
+/**
+ * Phone attributes, which are formatted as E.164
+ * @private
+ */
+const PHONE_ATTRIBUTES = ['mobilePhone', 'primaryPhone'];
+
+/**
+ * Officially assigned ISO 3166-1 alpha-2 country codes
+ * @private
+ */
+const COUNTRY_CODES = new Set((
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ ' +
+  'CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR ' +
+  'GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP ' +
+  'KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT ' +
+  'MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW ' +
+  'SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG ' +
+  'UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+).split(' '));
+
+/**
+ * Common country names and codes that English region names don't cover
+ * @private
+ */
+const COUNTRY_ALIASES = {
+  USA: 'US',
+  'UNITED STATES OF AMERICA': 'US',
+  UK: 'GB',
+  'GREAT BRITAIN': 'GB',
+  ENGLAND: 'GB',
+  SCOTLAND: 'GB',
+  WALES: 'GB',
+  'NORTHERN IRELAND': 'GB',
+  HOLLAND: 'NL',
+  'SOUTH KOREA': 'KR',
+  'NORTH KOREA': 'KP',
+  RUSSIA: 'RU',
+  'CZECH REPUBLIC': 'CZ',
+  TURKEY: 'TR',
+  'IVORY COAST': 'CI'
+};
+
+/**
+ * Country calling codes and the countries that share them
+ * @private
+ */
+const CALLING_CODES = {
+  1: 'US CA AG AI AS BB BM BS DM DO GD GU JM KN KY LC MP MS PR SX TC TT UM VC VG VI',
+  7: 'RU KZ',
+  20: 'EG', 27: 'ZA', 30: 'GR', 31: 'NL', 32: 'BE', 33: 'FR', 34: 'ES', 36: 'HU', 39: 'IT VA', 40: 'RO', 41: 'CH',
+  43: 'AT', 44: 'GB GG IM JE', 45: 'DK', 46: 'SE', 47: 'NO SJ', 48: 'PL', 49: 'DE', 51: 'PE', 52: 'MX', 53: 'CU',
+  54: 'AR', 55: 'BR', 56: 'CL', 57: 'CO', 58: 'VE', 60: 'MY', 61: 'AU CC CX', 62: 'ID', 63: 'PH', 64: 'NZ PN',
+  65: 'SG', 66: 'TH', 81: 'JP', 82: 'KR', 84: 'VN', 86: 'CN', 90: 'TR', 91: 'IN', 92: 'PK', 93: 'AF', 94: 'LK',
+  95: 'MM', 98: 'IR',
+  211: 'SS', 212: 'MA EH', 213: 'DZ', 216: 'TN', 218: 'LY', 220: 'GM', 221: 'SN', 222: 'MR', 223: 'ML', 224: 'GN',
+  225: 'CI', 226: 'BF', 227: 'NE', 228: 'TG', 229: 'BJ', 230: 'MU', 231: 'LR', 232: 'SL', 233: 'GH', 234: 'NG',
+  235: 'TD', 236: 'CF', 237: 'CM', 238: 'CV', 239: 'ST', 240: 'GQ', 241: 'GA', 242: 'CG', 243: 'CD', 244: 'AO',
+  245: 'GW', 246: 'IO', 248: 'SC', 249: 'SD', 250: 'RW', 251: 'ET', 252: 'SO', 253: 'DJ', 254: 'KE', 255: 'TZ',
+  256: 'UG', 257: 'BI', 258: 'MZ', 260: 'ZM', 261: 'MG', 262: 'RE YT TF', 263: 'ZW', 264: 'NA', 265: 'MW', 266: 'LS',
+  267: 'BW', 268: 'SZ', 269: 'KM', 290: 'SH', 291: 'ER', 297: 'AW', 298: 'FO', 299: 'GL',
+  350: 'GI', 351: 'PT', 352: 'LU', 353: 'IE', 354: 'IS', 355: 'AL', 356: 'MT', 357: 'CY', 358: 'FI AX', 359: 'BG',
+  370: 'LT', 371: 'LV', 372: 'EE', 373: 'MD', 374: 'AM', 375: 'BY', 376: 'AD', 377: 'MC', 378: 'SM', 380: 'UA',
+  381: 'RS', 382: 'ME', 385: 'HR', 386: 'SI', 387: 'BA', 389: 'MK', 420: 'CZ', 421: 'SK', 423: 'LI',
+  500: 'FK GS', 501: 'BZ', 502: 'GT', 503: 'SV', 504: 'HN', 505: 'NI', 506: 'CR', 507: 'PA', 508: 'PM', 509: 'HT',
+  590: 'GP BL MF', 591: 'BO', 592: 'GY', 593: 'EC', 594: 'GF', 595: 'PY', 596: 'MQ', 597: 'SR', 598: 'UY',
+  599: 'CW BQ',
+  670: 'TL', 672: 'NF AQ', 673: 'BN', 674: 'NR', 675: 'PG', 676: 'TO', 677: 'SB', 678: 'VU', 679: 'FJ', 680: 'PW',
+  681: 'WF', 682: 'CK', 683: 'NU', 685: 'WS', 686: 'KI', 687: 'NC', 688: 'TV', 689: 'PF', 690: 'TK', 691: 'FM',
+  692: 'MH',
+  850: 'KP', 852: 'HK', 853: 'MO', 855: 'KH', 856: 'LA', 880: 'BD', 886: 'TW',
+  960: 'MV', 961: 'LB', 962: 'JO', 963: 'SY', 964: 'IQ', 965: 'KW', 966: 'SA', 967: 'YE', 968: 'OM', 970: 'PS',
+  971: 'AE', 972: 'IL', 973: 'BH', 974: 'QA', 975: 'BT', 976: 'MN', 977: 'NP', 992: 'TJ', 993: 'TM', 994: 'AZ',
+  995: 'GE', 996: 'KG', 998: 'UZ'
+};
+
+/**
+ * National trunk prefixes that differ from the usual leading 0
+ * Italy, San Marino and the Vatican keep the leading 0 in international numbers.
+ * @private
+ */
+const TRUNK_PREFIXES = {
+  1: '1',
+  7: '8',
+  39: '',
+  378: ''
+};
+
+/**
+ * Looks up the calling code of a country
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {string|undefined} Calling code without the plus sign
+ * @private
+ */
+function callingCodeOf(countryCode) {
+  return Object.keys(CALLING_CODES).find((code) => CALLING_CODES[code].split(' ').includes(countryCode));
+}
+
+/**
+ * Country name lookup, built by getCountryNames
+ * @private
+ */
+let countryNames;
+
+/**
+ * Maps upper-cased English country names to their ISO code, built on first use
+ * @returns {Map<string, string>} Country name to alpha-2 code
+ * @private
+ */
+function getCountryNames() {
+  if (!countryNames) {
+    const regions = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+    countryNames = new Map([...COUNTRY_CODES].map((code) => [regions.of(code)?.toUpperCase(), code]));
+    for (const [name, code] of Object.entries(COUNTRY_ALIASES)) {
+      countryNames.set(name, code);
+    }
+  }
+  return countryNames;
+}
+
+/**
+ * Normalizes a country to its ISO 3166-1 alpha-2 code
+ * @param {string} value - Country code or English country name
+ * @returns {string} Alpha-2 code
+ * @throws {Error} If the country is not recognized
+ * @private
+ */
+function normalizeCountry(value) {
+  const key = value.toUpperCase();
+  if (COUNTRY_CODES.has(key)) {
+    return key;
+  }
+  const code = getCountryNames().get(key.replace(/\s+/g, ' '));
+  if (!code) {
+    throw new Error(`${JSON.stringify(value)} is not an ISO 3166 country code or country name`);
+  }
+  return code;
+}
+
+/**
+ * Formats a phone number as E.164
+ * Numbers without an international prefix are read as national numbers of
+ * the profile's country, dropping the trunk prefix.
+ * @param {string} value - Phone number in any common format
+ * @param {string} [countryCode] - ISO country of the profile, for national numbers
+ * @returns {string|null} E.164 number, e.g. +442079460958, or null if the number can't be formatted
+ * @private
+ */
+function normalizePhone(value, countryCode) {
+  // "+44 (0)20 ..." writes the national trunk prefix next to the country code
+  const compact = value.replace(/\(0\)/g, '').replace(/[\s.\-()/]/g, '');
+
+  let digits = null;
+  if (/^(\+|00)\d+$/.test(compact)) {
+    digits = compact.replace(/^(\+|00)/, '');
+  } else if (/^\d+$/.test(compact)) {
+    const callingCode = countryCode && callingCodeOf(countryCode);
+    if (callingCode) {
+      const trunk = TRUNK_PREFIXES[callingCode] ?? '0';
+      const national = trunk && compact.startsWith(trunk) ? compact.slice(trunk.length) : compact;
+      digits = `${callingCode}${national}`;
+    }
+  }
+
+  return digits && digits.length >= 7 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+/**
+ * Validates and canonicalizes a BCP 47 language tag
+ * @param {string} value - Language tag, with - or _ separators
+ * @param {string} separator - Separator Okta expects for the attribute
+ * @returns {string} Canonical tag, e.g. en-US (or en_US)
+ * @throws {Error} If the tag is malformed or names an unknown language
+ * @private
+ */
+function normalizeLocale(value, separator) {
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(value.replace(/_/g, '-'));
+  } catch {
+    canonical = null;
+  }
+
+  const language = canonical && new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' })
+    .of(new Intl.Locale(canonical).language);
+  if (!language) {
+    throw new Error(`${JSON.stringify(value)} is not a BCP 47 language tag`);
+  }
+  return canonical.replace(/-/g, separator);
+}
+
+/**
+ * Validates an IANA time zone and returns its canonical spelling
+ * @param {string} value - Time zone name, e.g. America/Los_Angeles
+ * @returns {string} Time zone as the runtime spells it
+ * @throws {Error} If the time zone is unknown
+ * @private
+ */
+function normalizeTimeZone(value) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`${JSON.stringify(value)} is not an IANA time zone`);
+  }
+}
+
+/**
+ * Normalizes one string attribute
+ * @param {string} attribute - Attribute name
+ * @param {string} value - Raw value
+ * @param {Object} profile - Profile being normalized, for attributes that depend on others
+ * @returns {string} Normalized value
+ * @throws {Error} If the value can't be normalized
+ * @private
+ */
+function normalizeValue(attribute, value, profile) {
+  let normalized = value.normalize('NFC').trim();
+  if (normalized === '') {
+    return normalized;
+  }
+
+  if (NAME_ATTRIBUTES.includes(attribute)) {
+    normalized = normalized.replace(/\s+/g, ' ');
+  } else if (EMAIL_ATTRIBUTES.includes(attribute)) {
+    normalized = normalized.toLowerCase();
+  } else if (PHONE_ATTRIBUTES.includes(attribute)) {
+    // Phone formats vary too much to reject, so numbers that can't be read are only trimmed
+    const phone = normalizePhone(normalized, profile.countryCode);
+    if (phone) {
+      normalized = phone;
+    } else {
+      logger.warn(`Leaving ${attribute} as given: it has no country calling code or is not a phone number`);
+    }
+  } else if (attribute === 'countryCode') {
+    normalized = normalizeCountry(normalized);
+  } else if (attribute === 'preferredLanguage') {
+    normalized = normalizeLocale(normalized, '-');
+  } else if (attribute === 'locale') {
+    // Okta stores locales with an underscore, e.g. en_US
+    normalized = normalizeLocale(normalized, '_');
+  } else if (attribute === 'timezone') {
+    normalized = normalizeTimeZone(normalized);
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalizes the string attributes of a profile
+ * countryCode is normalized first, since national phone numbers are read in its country.
+ * @param {Object} profile - Profile built from the job inputs
+ * @param {Object} [options] - Normalization options
+ * @param {Array<string>} [options.skip] - Attributes to leave exactly as given
+ * @returns {Object} { profile, changes } with the normalized profile and one { attribute, oldValue, newValue } entry per changed attribute
+ * @throws {Error} With every violation if any value can't be normalized
+ */
+export function normalizeProfile(profile, { skip = [] } = {}) {
+  const normalized = { ...profile };
+  const changes = [];
+  const violations = [];
+
+  const attributes = Object.keys(profile).sort((a, b) => (b === 'countryCode') - (a === 'countryCode'));
+  for (const attribute of attributes) {
+    const value = profile[attribute];
+    if (typeof value !== 'string' || skip.includes(attribute)) {
+      continue;
+    }
+
+    try {
+      normalized[attribute] = normalizeValue(attribute, value, normalized);
+    } catch (error) {
+      violations.push(`${attribute}: ${error.message}`);
+      continue;
+    }
+    if (normalized[attribute] !== value) {
+      changes.push({ attribute, oldValue: value, newValue: normalized[attribute] });
+    }
+  }
+
+  if (violations.length > 0) {
+    const err = new Error(`Profile could not be normalized: ${violations.join('; ')}`);
+    err.violations = violations;
+    throw err;
+  }
+
+  return { profile: normalized, changes };
+}
@@ -5,7 +5,16 @@
  * assigns them to groups.
  */
 
+import { createHash, randomBytes } from 'node:crypto';
 import { getBaseURL, createHeaders } from '@sgnl-actions/utils';
+import { createOktaClient } from './okta-client.mjs';
+import { createOktaApiError, isRetryableError } from './okta-errors.mjs';
+import { fetchUserSchema, validateProfile } from './user-schema.mjs';
+import { normalizeProfile } from './profile-normalization.mjs';
+import { logger } from './logger.mjs';
+import { parseBatchUsers, mapWithConcurrency } from './batch.mjs';
+import { createAuditTrail } from './audit.mjs';
+import { loadSigningKey, createDpopSigner, requestAccessToken } from './okta-oauth.mjs';
 
 /**
  * Creates authentication headers for Okta API requests
@@ -26,6 +35,70 @@ async function getOktaAuthHeader(context) {
   return headers;
 }
 
+/**
+ * Authenticates as an Okta API service app with a private_key_jwt client assertion
+ * The token is DPoP-bound unless OAUTH2_PRIVATE_KEY_JWT_DPOP is false; if Okta
+ * still issues a Bearer token, calls are sent without proofs.
+ * @param {string} baseUrl - Okta API base URL, whose /oauth2/v1/token is the default token endpoint
+ * @param {Object} context - Execution context containing secrets and environment
+ * @returns {Promise<Object>} { headers, dpop } for createOktaClient
+ * @throws {Error} If the configuration is incomplete or the token request fails
+ * @private
+ */
+async function getPrivateKeyJwtAuth(baseUrl, context) {
+  const env = context.environment || {};
+  const clientId = env.OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID;
+  const scope = env.OAUTH2_PRIVATE_KEY_JWT_SCOPE;
+  if (!clientId || !scope) {
+    throw new Error('OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY requires the OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID and ' +
+      'OAUTH2_PRIVATE_KEY_JWT_SCOPE environment variables');
+  }
+
+  const signingKey = loadSigningKey(context.secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY, { keyId: env.OAUTH2_PRIVATE_KEY_JWT_KEY_ID });
+  const dpop = parseBoolean(env.OAUTH2_PRIVATE_KEY_JWT_DPOP, true, 'OAUTH2_PRIVATE_KEY_JWT_DPOP') ? createDpopSigner() : null;
+  const token = await requestAccessToken({
+    tokenUrl: env.OAUTH2_PRIVATE_KEY_JWT_TOKEN_URL || `${baseUrl}/oauth2/v1/token`,
+    clientId,
+    scope,
+    signingKey,
+    dpop
+  });
+  logger.addSecrets([token.accessToken]);
+
+  // Everything but the Authorization header comes from the shared defaults
+  const headers = await createHeaders({ ...context, secrets: {} });
+  if (dpop && token.tokenType.toLowerCase() === 'dpop') {
+    return { headers: { ...headers, Authorization: `DPoP ${token.accessToken}` }, dpop: dpop.bind(token.accessToken) };
+  }
+  return { headers: { ...headers, Authorization: `Bearer ${token.accessToken}` }, dpop: null };
+}
+
+/**
+ * Names the authentication method the action uses, in the order connect and createHeaders pick them
+ * @param {Object} context - Execution context containing secrets
+ * @returns {string} oauth2-private-key-jwt, ssws, basic, oauth2-authorization-code, oauth2-client-credentials or unknown
+ * @private
+ */
+function getAuthMode(context) {
+  const secrets = context.secrets || {};
+  if (secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY) {
+    return 'oauth2-private-key-jwt';
+  }
+  if (secrets.BEARER_AUTH_TOKEN) {
+    return 'ssws';
+  }
+  if (secrets.BASIC_USERNAME && secrets.BASIC_PASSWORD) {
+    return 'basic';
+  }
+  if (secrets.OAUTH2_AUTHORIZATION_CODE_ACCESS_TOKEN) {
+    return 'oauth2-authorization-code';
+  }
+  if (secrets.OAUTH2_CLIENT_CREDENTIALS_CLIENT_SECRET) {
+    return 'oauth2-client-credentials';
+  }
+  return 'unknown';
+}
+
 /**
  * Validates that required parameters are present
  * @param {Object} params - Parameters object to validate
@@ -33,142 +106,2769 @@ async function getOktaAuthHeader(context) {
  * @throws {Error} If any required parameters are missing
  * @private
  */
-function assertRequired(params, keys) {
-  const missing = keys.filter((k) => !params?.[k]);
-  if (missing.length > 0) {
-    throw new Error(`Missing required parameter(s): ${missing.join(', ')}`);
+function assertRequired(params, keys) {
+  const missing = keys.filter((k) => !params?.[k]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required parameter(s): ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Strategies for handling a login that already exists
+ * @private
+ */
+const ON_EXISTING_STRATEGIES = ['return', 'update', 'fail'];
+
+/**
+ * Policies for existing users in a status that prevents them from signing in
+ * Each entry names the job input that selects the policy, the policy that
+ * recovers the user and the Okta lifecycle operation that policy calls
+ * @private
+ */
+const LIFECYCLE_POLICIES = {
+  DEPROVISIONED: { param: 'onDeprovisioned', action: 'reactivate', operation: 'activate' },
+  SUSPENDED: { param: 'onSuspended', action: 'unsuspend', operation: 'unsuspend' },
+  LOCKED_OUT: { param: 'onLockedOut', action: 'unlock', operation: 'unlock' },
+  STAGED: { param: 'onStaged', action: 'activate', operation: 'activate' }
+};
+
+/**
+ * Policies for users found by duplicate detection
+ * @private
+ */
+const ON_DUPLICATE_POLICIES = ['fail', 'adopt'];
+
+/**
+ * How a new user is told about their account: by Okta's activation email, or by
+ * an activation link or a reset password link that the caller delivers itself
+ * @private
+ */
+const ACTIVATION_MODES = ['email', 'link', 'reset'];
+
+/**
+ * Parses a boolean-like job input
+ * Job inputs may arrive as booleans or as their string representation
+ * @param {boolean|string|undefined} value - Raw input value
+ * @param {boolean} defaultValue - Value to use when the input is not set
+ * @param {string} name - Parameter name used in error messages
+ * @returns {boolean} Parsed boolean
+ * @throws {Error} If the value is not a recognizable boolean
+ * @private
+ */
+function parseBoolean(value, defaultValue, name) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === 'true') {
+    return true;
+  }
+  if (normalized === 'false') {
+    return false;
+  }
+
+  throw new Error(`Invalid ${name} parameter: expected true or false`);
+}
+
+/**
+ * Parses the activationMode input
+ * @param {Object} params - Job input parameters
+ * @returns {string} One of ACTIVATION_MODES
+ * @throws {Error} If the mode is unknown
+ * @private
+ */
+function parseActivationMode(params) {
+  const mode = params.activationMode || 'email';
+  if (!ACTIVATION_MODES.includes(mode)) {
+    throw new Error(`Invalid activationMode parameter: expected one of ${ACTIVATION_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Builds the query string for the create user request
+ * Controls whether the user is activated (or left STAGED), whether the user
+ * is authenticated by an external provider and whether they must change
+ * their password on first login. Without Okta's activation email the user is
+ * created STAGED and activated afterwards by activateWithoutEmail.
+ * @param {Object} params - Job input parameters
+ * @returns {URLSearchParams} Query parameters for POST /api/v1/users
+ * @throws {Error} If the combination of lifecycle parameters is invalid
+ * @private
+ */
+function buildCreateUserQuery(params) {
+  const activate = parseBoolean(params.activate, true, 'activate');
+  const provider = parseBoolean(params.provider, Boolean(params.providerType), 'provider');
+  const activationMode = parseActivationMode(params);
+
+  if (params.providerType && !provider) {
+    throw new Error('providerType requires provider to be true');
+  }
+  if (provider && !params.providerType) {
+    throw new Error('provider requires the providerType parameter');
+  }
+
+  if (activationMode !== 'email') {
+    if (!activate) {
+      throw new Error(`activationMode=${activationMode} requires activate to be true`);
+    }
+    if (provider) {
+      throw new Error(`activationMode=${activationMode} cannot be used with provider: the provider authenticates the user`);
+    }
+    if (params.nextLogin) {
+      throw new Error(`nextLogin cannot be used with activationMode=${activationMode}: the user sets their own password`);
+    }
+  }
+
+  const query = new URLSearchParams({ activate: String(activate && activationMode === 'email') });
+
+  if (provider) {
+    query.set('provider', 'true');
+  }
+
+  if (params.nextLogin) {
+    if (params.nextLogin !== 'changePassword') {
+      throw new Error('Invalid nextLogin parameter: only changePassword is supported');
+    }
+    if (!activate) {
+      throw new Error('nextLogin=changePassword requires activate to be true');
+    }
+    query.set('nextLogin', 'changePassword');
+  }
+
+  return query;
+}
+
+/**
+ * Hash algorithms supported by Okta's password import
+ * @private
+ */
+const PASSWORD_HASH_ALGORITHMS = ['BCRYPT', 'SHA-512', 'SHA-256', 'SHA-1', 'MD5', 'PBKDF2'];
+
+/**
+ * Digest algorithms supported for PBKDF2 password hashes
+ * @private
+ */
+const PBKDF2_DIGEST_ALGORITHMS = ['SHA256_HMAC', 'SHA512_HMAC'];
+
+/**
+ * Parses an integer job input, returning NaN if it is not a whole number
+ * @param {number|string|undefined} value - Raw input value
+ * @returns {number} Parsed integer or NaN
+ * @private
+ */
+function parseInteger(value) {
+  if (value === undefined || value === null || value === '') {
+    return NaN;
+  }
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : NaN;
+}
+
+/**
+ * Builds an Okta password hash object and validates the fields each algorithm requires
+ * All violations are collected so they can be reported at once
+ * @param {Object} params - Job input parameters with passwordHash* fields
+ * @param {string} value - Base64 encoded password hash (from secrets)
+ * @returns {Object} Okta credentials.password.hash object
+ * @throws {Error} If required fields are missing or invalid for the algorithm
+ * @private
+ */
+function buildPasswordHash(params, value) {
+  const algorithm = String(params.passwordHashAlgorithm).trim().toUpperCase();
+  const violations = [];
+
+  if (!PASSWORD_HASH_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Invalid passwordHashAlgorithm: ${params.passwordHashAlgorithm}. Supported algorithms: ${PASSWORD_HASH_ALGORITHMS.join(', ')}`);
+  }
+
+  if (!value) {
+    violations.push('USER_PASSWORD_HASH secret is required');
+  }
+
+  const hash = { algorithm, value };
+  const salt = params.passwordHashSalt;
+
+  if (algorithm === 'BCRYPT') {
+    const workFactor = parseInteger(params.passwordHashWorkFactor);
+    if (!(workFactor >= 1 && workFactor <= 20)) {
+      violations.push('passwordHashWorkFactor must be an integer between 1 and 20 for BCRYPT');
+    }
+    if (!salt || salt.length !== 22) {
+      violations.push('passwordHashSalt must be a 22 character string for BCRYPT');
+    }
+    if (value && value.length !== 31) {
+      violations.push('USER_PASSWORD_HASH must be a 31 character string for BCRYPT');
+    }
+    hash.workFactor = workFactor;
+    hash.salt = salt;
+  } else if (algorithm === 'PBKDF2') {
+    const iterations = parseInteger(params.passwordHashIterations);
+    const keySize = parseInteger(params.passwordHashKeySize);
+    if (!salt) {
+      violations.push('passwordHashSalt is required for PBKDF2');
+    }
+    if (!(iterations > 0)) {
+      violations.push('passwordHashIterations must be a positive integer for PBKDF2');
+    }
+    if (!(keySize > 0)) {
+      violations.push('passwordHashKeySize must be a positive integer for PBKDF2');
+    }
+    if (!PBKDF2_DIGEST_ALGORITHMS.includes(params.passwordHashDigestAlgorithm)) {
+      violations.push(`passwordHashDigestAlgorithm must be one of ${PBKDF2_DIGEST_ALGORITHMS.join(', ')} for PBKDF2`);
+    }
+    hash.salt = salt;
+    hash.iterations = iterations;
+    hash.keySize = keySize;
+    hash.digestAlgorithm = params.passwordHashDigestAlgorithm;
+  } else if (salt) {
+    // SHA-* and MD5 hashes may be unsalted, but a salt needs to know where it goes
+    if (!['PREFIX', 'POSTFIX'].includes(params.passwordHashSaltOrder)) {
+      violations.push(`passwordHashSaltOrder must be PREFIX or POSTFIX when a salt is provided for ${algorithm}`);
+    }
+    hash.salt = salt;
+    hash.saltOrder = params.passwordHashSaltOrder;
+  }
+
+  if (violations.length > 0) {
+    throw new Error(`Invalid password hash: ${violations.join('; ')}`);
+  }
+
+  return hash;
+}
+
+/**
+ * External authentication provider types and the provider name each accepts
+ * FEDERATION and SOCIAL users are named after their type; LDAP and
+ * ACTIVE_DIRECTORY users are named after the directory instance, so the
+ * name has to be given.
+ * @private
+ */
+const PROVIDER_TYPES = {
+  FEDERATION: 'FEDERATION',
+  SOCIAL: 'SOCIAL',
+  LDAP: null,
+  ACTIVE_DIRECTORY: null
+};
+
+/**
+ * Builds the credentials.provider object for a provider-backed user
+ * @param {Object} params - Job input parameters with providerType and providerName
+ * @returns {Object|undefined} { type, name }, or undefined if no provider type is set
+ * @throws {Error} If the type is unknown or the name doesn't fit the type
+ * @private
+ */
+function buildProvider(params) {
+  if (!params.providerType) {
+    if (params.providerName) {
+      throw new Error('providerName requires the providerType parameter');
+    }
+    return undefined;
+  }
+
+  const type = String(params.providerType).trim().toUpperCase();
+  if (!Object.keys(PROVIDER_TYPES).includes(type)) {
+    throw new Error(`Invalid providerType parameter: expected one of ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+  }
+
+  const fixedName = PROVIDER_TYPES[type];
+  const name = params.providerName ? String(params.providerName).trim() : fixedName;
+  if (!name) {
+    throw new Error(`providerType=${type} requires providerName: the name of the directory instance in Okta`);
+  }
+  if (fixedName && name !== fixedName) {
+    throw new Error(`Invalid providerName for providerType=${type}: expected ${fixedName}`);
+  }
+
+  return { type, name };
+}
+
+/**
+ * Builds the credentials block for the create user request
+ * Supports either a plaintext password or an imported password hash, both
+ * read from secrets so password material never appears in job inputs, or an
+ * external authentication provider, which takes the place of a password
+ * @param {Object} params - Job input parameters
+ * @param {Object} secrets - Execution context secrets
+ * @returns {Object|undefined} Okta credentials object, or undefined if no password or provider is configured
+ * @throws {Error} If both a plaintext password and a hash are configured, a password is combined with a provider, or the hash or provider is invalid
+ * @private
+ */
+function buildCredentials(params, secrets = {}) {
+  const password = secrets.USER_PASSWORD;
+  const hasHash = Boolean(params.passwordHashAlgorithm);
+  const provider = buildProvider(params);
+
+  if (password && hasHash) {
+    throw new Error('Provide either USER_PASSWORD or a password hash, not both');
+  }
+
+  if ((password || hasHash) && provider) {
+    throw new Error('USER_PASSWORD and password hashes cannot be used with provider: the provider authenticates the user');
+  }
+
+  if (provider) {
+    return { provider };
+  }
+
+  if (password) {
+    return { password: { value: password } };
+  }
+
+  if (hasHash) {
+    return { password: { hash: buildPasswordHash(params, secrets.USER_PASSWORD_HASH) } };
+  }
+
+  return undefined;
+}
+
+/**
+ * Checks whether an existing profile belongs to the requested person, by email
+ * @param {Object} existingProfile - Profile of the existing Okta user
+ * @param {Object} params - Job input parameters
+ * @returns {boolean} True if the emails match, ignoring case and surrounding whitespace
+ * @private
+ */
+function hasSameEmail(existingProfile, params) {
+  const existingEmail = String(existingProfile.email).trim().toLowerCase();
+  const incomingEmail = String(params.email).trim().toLowerCase();
+  return existingEmail === incomingEmail;
+}
+
+/**
+ * Validates that an existing user has the same email as the requested email
+ * Used to prevent creating duplicate users with different emails but same login
+ * @param {Object} existingProfile - Profile of the existing user from Okta
+ * @param {Object} params - Parameters containing the requested email
+ * @throws {Error} With statusCode 409 if emails don't match
+ * @private
+ */
+function assertSameIdentity(existingProfile, params) {
+  if (!hasSameEmail(existingProfile, params)) {
+    const err = new Error('Login already exists in the organization for a user with a different email');
+    err.statusCode = 409;
+    throw err;
+  }
+}
+
+/**
+ * Fetches an existing user by login from Okta API
+ * @param {string} login - User's login/username to search for
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Response>} Fetch Response object (status 200 if user exists, 404 if not found)
+ * @private
+ */
+async function getUser(login, client) {
+  return client.request(`/api/v1/users/${encodeURIComponent(login)}`);
+}
+
+/**
+ * Job inputs that can be used as loginTemplate placeholders
+ * @private
+ */
+const LOGIN_TEMPLATE_FIELDS = ['firstName', 'lastName', 'email', 'employeeNumber', 'department'];
+
+/**
+ * Default highest numbered suffix tried when a generated login is taken
+ * @private
+ */
+const DEFAULT_MAX_LOGIN_SUFFIX = 9;
+
+/**
+ * Highest maxLoginSuffix accepted, as each suffix tried costs a lookup
+ * @private
+ */
+const MAX_LOGIN_SUFFIX = 99;
+
+/**
+ * Normalizes a value substituted into a login template
+ * Diacritics are stripped (José -> jose), whitespace is removed and anything
+ * that isn't safe in the local part of a login is dropped.
+ * @param {string} value - Raw input value
+ * @returns {string} Normalized value
+ * @private
+ */
+function normalizeLoginPart(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/[^a-z0-9._@+-]/g, '');
+}
+
+/**
+ * Renders loginTemplate with normalized job inputs
+ * @param {string} template - Template such as {firstName}.{lastName}@corp.com
+ * @param {Object} params - Job input parameters
+ * @returns {string} Generated login
+ * @throws {Error} If the template uses an unknown placeholder or one without a value
+ * @private
+ */
+function renderLoginTemplate(template, params) {
+  return template.replace(/\{([^}]*)\}/g, (placeholder, field) => {
+    if (!LOGIN_TEMPLATE_FIELDS.includes(field)) {
+      throw new Error(`Invalid loginTemplate: unknown placeholder ${placeholder}, expected one of ${LOGIN_TEMPLATE_FIELDS.map((f) => `{${f}}`).join(', ')}`);
+    }
+    const value = normalizeLoginPart(params[field] ?? '');
+    if (!value) {
+      throw new Error(`Invalid loginTemplate: ${placeholder} has no value`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Adds a numbered suffix to the local part of a login
+ * @param {string} login - Login such as john.doe@corp.com
+ * @param {number} suffix - Suffix number
+ * @returns {string} Login such as john.doe2@corp.com
+ * @private
+ */
+function withLoginSuffix(login, suffix) {
+  const at = login.lastIndexOf('@');
+  return at === -1 ? `${login}${suffix}` : `${login.slice(0, at)}${suffix}${login.slice(at)}`;
+}
+
+/**
+ * Works out the login to use and whether it already belongs to the requested person
+ * A login given directly must be free or belong to the same email. A generated login
+ * that belongs to someone else is retried with suffixes 2..maxSuffix, and a suffixed
+ * login that belongs to the same email (e.g. from an earlier run) is reused.
+ * @param {string} login - Requested or generated login
+ * @param {Object} params - Job input parameters
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} options - Login options
+ * @param {boolean} options.generated - Whether the login came from loginTemplate
+ * @param {number} options.maxSuffix - Highest suffix to try for generated logins
+ * @returns {Promise<Object>} { login, existingUser } with existingUser null if the login is free
+ * @throws {Error} 409 if the login is taken by someone else and no alternative is free
+ * @private
+ */
+async function resolveLogin(login, params, client, { generated, maxSuffix }) {
+  const lastSuffix = generated ? maxSuffix : 1;
+
+  for (let suffix = 1; suffix <= lastSuffix; suffix++) {
+    const candidate = suffix === 1 ? login : withLoginSuffix(login, suffix);
+    const response = await getUser(candidate, client);
+
+    if (response.status === 404) {
+      return { login: candidate, existingUser: null };
+    }
+    if (!response.ok) {
+      // Unexpected error when checking for existing user
+      throw await createOktaApiError('Failed to check if user exists', response, { requiredScope: 'okta.users.read' });
+    }
+
+    const existingUser = await response.json();
+    if (!generated) {
+      assertSameIdentity(existingUser.profile, params);
+    }
+    if (hasSameEmail(existingUser.profile, params)) {
+      return { login: candidate, existingUser };
+    }
+    logger.info('Login belongs to another user, trying the next suffix', { login: candidate });
+  }
+
+  const err = new Error(`No available login for ${login}: the login and suffixes 2-${maxSuffix} belong to other users`);
+  err.statusCode = 409;
+  throw err;
+}
+
+/**
+ * Builds the Okta profile requested by the job inputs
+ * Attributes set through dedicated inputs can't be overridden by additionalProfileAttributes
+ * @param {Object} params - Job input parameters
+ * @returns {Object} Okta user profile
+ * @throws {Error} If additionalProfileAttributes is not a JSON object or overrides a dedicated input
+ * @private
+ */
+function buildProfile(params) {
+  const { email, login, firstName, lastName, department, employeeNumber, additionalProfileAttributes } = params;
+
+  // Build profile object with required fields
+  const profile = {
+    email,
+    login,
+    firstName,
+    lastName
+  };
+
+  // Add optional fields if provided
+  if (department) {
+    profile.department = department;
+  }
+  if (employeeNumber) {
+    profile.employeeNumber = employeeNumber;
+  }
+
+  // Parse and add additional profile attributes if provided
+  if (additionalProfileAttributes) {
+    let additionalAttrs;
+    try {
+      additionalAttrs = JSON.parse(additionalProfileAttributes);
+    } catch (error) {
+      throw new Error(`Invalid additionalProfileAttributes JSON: ${error.message}`, { cause: error });
+    }
+
+    if (!additionalAttrs || typeof additionalAttrs !== 'object' || Array.isArray(additionalAttrs)) {
+      throw new Error('Invalid additionalProfileAttributes JSON: expected an object');
+    }
+
+    // The manager input fills in managerId and manager once the manager is resolved
+    const reserved = params.manager ? [...Object.keys(profile), 'managerId', 'manager'] : Object.keys(profile);
+    const overridden = Object.keys(additionalAttrs).filter((attribute) => reserved.includes(attribute));
+    if (overridden.length > 0) {
+      throw new Error(`additionalProfileAttributes cannot override ${overridden.join(', ')}; use the dedicated input instead`);
+    }
+
+    Object.assign(profile, additionalAttrs);
+  }
+
+  return profile;
+}
+
+/**
+ * Builds the request that creates a new user with the requested profile and group assignments
+ * @param {Object} params - User creation parameters
+ * @param {Object} options - Resolved request options
+ * @param {Object} options.profile - Okta profile built by buildProfile
+ * @param {Array<string>} options.groupIds - Group IDs to assign the user to
+ * @param {Object} [options.credentials] - Okta credentials object built by buildCredentials
+ * @param {Object} [options.userType] - User type resolved by resolveUserType
+ * @param {string} [options.realmId] - Identity Engine realm to create the user in
+ * @returns {Object} { method, path, body } request for the Okta client
+ * @private
+ */
+function buildCreateUserRequest(params, { profile, groupIds, credentials, userType, realmId }) {
+  // Build request body
+  const requestBody = {
+    profile
+  };
+
+  if (userType) {
+    requestBody.type = { id: userType.id };
+  }
+
+  if (realmId) {
+    requestBody.realmId = realmId;
+  }
+
+  if (credentials) {
+    requestBody.credentials = credentials;
+  }
+
+  // Add group IDs if provided
+  if (groupIds.length > 0) {
+    requestBody.groupIds = groupIds;
+  }
+
+  const query = buildCreateUserQuery(params);
+
+  return {
+    method: 'POST',
+    path: `/api/v1/users?${query.toString()}`,
+    body: requestBody
+  };
+}
+
+/**
+ * Creates a new user in Okta
+ * @param {Object} request - Request built by buildCreateUserRequest
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Response>} Fetch Response object with created user data
+ * @private
+ */
+async function createUser(request, client) {
+  // Not retried on 5xx: the user may already have been created
+  return client.request(request.path, request);
+}
+
+/**
+ * Okta user profile attributes that are never changed by profile updates
+ * The login identifies the user and was already matched by the lookup
+ * @private
+ */
+const PROFILE_DIFF_EXCLUDED_ATTRIBUTES = ['login'];
+
+/**
+ * Compares a requested profile with the profile stored in Okta
+ * Only attributes present in the requested profile are compared, so attributes
+ * managed elsewhere are left untouched
+ * @param {Object} existingProfile - Profile of the existing user from Okta
+ * @param {Object} requestedProfile - Profile built from the job inputs
+ * @returns {Array<Object>} One { attribute, oldValue, newValue } entry per changed attribute
+ * @private
+ */
+function diffProfile(existingProfile, requestedProfile) {
+  return Object.entries(requestedProfile)
+    .filter(([attribute]) => !PROFILE_DIFF_EXCLUDED_ATTRIBUTES.includes(attribute))
+    .filter(([attribute, value]) => JSON.stringify(existingProfile[attribute] ?? null) !== JSON.stringify(value ?? null))
+    .map(([attribute, value]) => ({
+      attribute,
+      oldValue: existingProfile[attribute] ?? null,
+      newValue: value ?? null
+    }));
+}
+
+/**
+ * Builds a partial profile update for an existing user
+ * POST (rather than PUT) keeps every attribute that isn't in the request body
+ * @param {string} userId - Okta user ID
+ * @param {Object} profile - Profile attributes to change
+ * @returns {Object} { method, path, body, idempotent } request for the Okta client
+ * @private
+ */
+function buildProfileUpdateRequest(userId, profile) {
+  // Setting the same attributes twice has the same effect, so this POST is safe to retry
+  return {
+    method: 'POST',
+    path: `/api/v1/users/${encodeURIComponent(userId)}`,
+    body: { profile },
+    idempotent: true
+  };
+}
+
+/**
+ * Validates the per-status lifecycle policy inputs
+ * @param {Object} params - Job input parameters
+ * @throws {Error} If a policy input has an unsupported value
+ * @private
+ */
+function assertLifecyclePolicies(params) {
+  for (const { param, action } of Object.values(LIFECYCLE_POLICIES)) {
+    const allowed = ['return', action, 'fail'];
+    if (params[param] && !allowed.includes(params[param])) {
+      throw new Error(`Invalid ${param} parameter: expected one of ${allowed.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Builds an Okta lifecycle operation on a user
+ * @param {string} userId - Okta user ID
+ * @param {string} operation - Lifecycle operation (activate, reactivate, unsuspend, unlock, deactivate, reset_password)
+ * @returns {Object} { method, path } request for the Okta client
+ * @private
+ */
+function buildLifecycleRequest(userId, operation) {
+  return {
+    method: 'POST',
+    path: `/api/v1/users/${encodeURIComponent(userId)}/lifecycle/${operation}`
+  };
+}
+
+/**
+ * Adds sendEmail=false to a lifecycle request, so Okta doesn't email the user
+ * @param {Object} request - Request from buildLifecycleRequest
+ * @returns {Object} { method, path } request for the Okta client
+ * @private
+ */
+function withoutEmail(request) {
+  return { ...request, path: `${request.path}?sendEmail=false` };
+}
+
+/**
+ * Builds the lifecycle requests that activate a new user without Okta's activation email
+ * @param {string} userId - Okta user ID
+ * @param {string} mode - link or reset
+ * @returns {Array<Object>} { method, path } requests for the Okta client, in order
+ * @private
+ */
+function buildActivationRequests(userId, mode) {
+  const operations = mode === 'reset' ? ['activate', 'reset_password'] : ['activate'];
+  return operations.map((operation) => withoutEmail(buildLifecycleRequest(userId, operation)));
+}
+
+/**
+ * Activates a new user without Okta's activation email and returns the link for the user
+ * In link mode the activation link and token are returned; in reset mode the user
+ * is activated and a reset password link is returned instead. A user that an
+ * earlier attempt already activated gets a new activation link through reactivate.
+ * The links are credentials, so they are never logged.
+ * @param {string} userId - Okta user ID
+ * @param {string} mode - link or reset
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Object>} { user, activationUrl, activationToken, resetPasswordUrl } with the user re-read afterwards
+ * @throws {OktaApiError} If a lifecycle operation fails
+ * @private
+ */
+async function activateWithoutEmail(userId, mode, client) {
+  const { status } = await readUser(userId, client);
+  let activation = {};
+
+  if (status === 'STAGED' || (mode === 'link' && status === 'PROVISIONED')) {
+    const request = withoutEmail(buildLifecycleRequest(userId, status === 'STAGED' ? 'activate' : 'reactivate'));
+    const response = await client.request(request.path, request);
+    if (!response.ok) {
+      throw await createOktaApiError('Failed to activate user', response, { requiredScope: 'okta.users.manage' });
+    }
+    activation = await response.json();
+    logger.info(`Activated user ${userId} without an activation email`);
+  }
+
+  let resetPasswordUrl = null;
+  if (mode === 'reset') {
+    const request = withoutEmail(buildLifecycleRequest(userId, 'reset_password'));
+    const response = await client.request(request.path, request);
+    if (!response.ok) {
+      throw await createOktaApiError('Failed to create reset password link', response, { requiredScope: 'okta.users.manage' });
+    }
+    resetPasswordUrl = (await response.json()).resetPasswordUrl ?? null;
+    logger.info(`Created a reset password link for user ${userId}`);
+  }
+
+  return {
+    user: await readUser(userId, client),
+    activationUrl: mode === 'link' ? (activation.activationUrl ?? null) : null,
+    activationToken: mode === 'link' ? (activation.activationToken ?? null) : null,
+    resetPasswordUrl
+  };
+}
+
+/**
+ * Applies the configured lifecycle policy to an existing user
+ * Users whose status has no policy, or whose policy is return, are left as they are
+ * @param {Object} user - Existing user from Okta
+ * @param {Object} params - Job input parameters with the on<Status> policies
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} [options] - Lifecycle options
+ * @param {boolean} [options.dryRun] - Return the operation without running it
+ * @returns {Promise<Object>} { lifecycleAction, lifecycleRequest }, both null if the user is left as it is
+ * @throws {Error} With statusCode 409 if the policy is fail, or an API error if the operation fails
+ * @private
+ */
+async function applyLifecyclePolicy(user, params, client, { dryRun = false } = {}) {
+  const policy = LIFECYCLE_POLICIES[user.status];
+  const choice = policy ? (params[policy.param] || 'return') : 'return';
+
+  if (choice === 'return') {
+    return { lifecycleAction: null, lifecycleRequest: null };
+  }
+
+  if (choice === 'fail') {
+    const err = new Error(`User ${user.id} is ${user.status} and ${policy.param} is set to fail`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const lifecycleRequest = buildLifecycleRequest(user.id, policy.operation);
+  if (dryRun) {
+    return { lifecycleAction: policy.action, lifecycleRequest };
+  }
+
+  const response = await client.request(lifecycleRequest.path, lifecycleRequest);
+  if (!response.ok) {
+    throw await createOktaApiError(`Failed to ${policy.action} user`, response, { requiredScope: 'okta.users.manage' });
+  }
+  logger.info(`Ran ${policy.action} on ${user.status} user ${user.id}`);
+
+  return { lifecycleAction: policy.action, lifecycleRequest };
+}
+
+/**
+ * Parses the profile attributes used for duplicate detection
+ * @param {string} matchAttributes - Comma-separated profile attribute names
+ * @returns {Array<string>} Attribute names
+ * @throws {Error} If an attribute name is not a valid Okta profile attribute name
+ * @private
+ */
+function parseMatchAttributes(matchAttributes) {
+  const attributes = parseGroupIds(matchAttributes);
+  const invalid = attributes.filter((attribute) => !/^[A-Za-z][A-Za-z0-9_]*$/.test(attribute));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid matchAttributes: ${invalid.join(', ')}`);
+  }
+  return [...new Set(attributes)];
+}
+
+/**
+ * Compares a stored profile value with a requested one the way Okta's eq search does
+ * @param {*} stored - Value from the stored profile
+ * @param {*} requested - Value from the requested profile
+ * @returns {boolean} True if the values match
+ * @private
+ */
+function profileValueMatches(stored, requested) {
+  if (typeof stored === 'string' && typeof requested === 'string') {
+    return stored.trim().toLowerCase() === requested.trim().toLowerCase();
+  }
+  return stored === requested;
+}
+
+/**
+ * Finds users that already hold one of the requested identifying attributes
+ * Catches people who already have an account under a different login
+ * @param {Object} profile - Requested profile
+ * @param {Array<string>} attributes - Profile attributes to match on
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Array<Object>>} Candidates as { user, matchedOn }, one per matching user
+ * @throws {Error} If the search request fails
+ * @private
+ */
+async function findDuplicateCandidates(profile, attributes, client) {
+  const criteria = attributes.filter((attribute) => profile[attribute] !== undefined && profile[attribute] !== null && profile[attribute] !== '');
+  if (criteria.length === 0) {
+    return [];
+  }
+
+  const search = criteria.map((attribute) => `profile.${attribute} eq ${quoteFilterValue(profile[attribute])}`).join(' or ');
+  const query = new URLSearchParams({ search, limit: '200' });
+  const users = await listAll(`/api/v1/users?${query.toString()}`, client, 'Failed to search for duplicate users', 'okta.users.read');
+
+  return users.map((user) => ({
+    user,
+    matchedOn: criteria.filter((attribute) => profileValueMatches(user.profile?.[attribute], profile[attribute]))
+  }));
+}
+
+/**
+ * Summarizes a duplicate candidate for the job output
+ * @param {Object} candidate - Candidate from findDuplicateCandidates
+ * @returns {Object} { id, login, status, matchedOn }
+ * @private
+ */
+function describeCandidate({ user, matchedOn }) {
+  return {
+    id: user.id,
+    login: user.profile?.login,
+    status: user.status,
+    matchedOn
+  };
+}
+
+/**
+ * Fetches a user type by ID
+ * @param {string} typeId - Okta user type ID (oty...)
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Object>} User type
+ * @throws {Error} If the user type doesn't exist or can't be read
+ * @private
+ */
+async function getUserType(typeId, client) {
+  const response = await client.request(`/api/v1/meta/types/user/${encodeURIComponent(typeId)}`);
+
+  if (response.status === 404) {
+    throw new Error(`User type ${typeId} not found`);
+  }
+  if (!response.ok) {
+    throw await createOktaApiError('Failed to read user type', response, { requiredScope: 'okta.schemas.read' });
+  }
+
+  return response.json();
+}
+
+/**
+ * Resolves the userType input to an Okta user type
+ * IDs are fetched directly. Names are matched exactly against the API name
+ * first and then the display name, which doesn't have to be unique.
+ * @param {string} userType - User type ID, name or display name
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Object|null>} User type, or null if no user type was requested
+ * @throws {Error} If the user type is missing or the display name is ambiguous
+ * @private
+ */
+async function resolveUserType(userType, client) {
+  if (!userType) {
+    return null;
+  }
+
+  if (/^oty[A-Za-z0-9]+$/.test(userType)) {
+    return getUserType(userType, client);
+  }
+
+  const response = await client.request('/api/v1/meta/types/user');
+  if (!response.ok) {
+    throw await createOktaApiError('Failed to list user types', response, { requiredScope: 'okta.schemas.read' });
+  }
+  const types = await response.json();
+
+  const byName = types.find((type) => type.name === userType);
+  if (byName) {
+    return byName;
+  }
+
+  const byDisplayName = types.filter((type) => type.displayName === userType);
+  if (byDisplayName.length > 1) {
+    throw new Error(`User type "${userType}" is ambiguous: matches ${byDisplayName.map((type) => type.id).join(', ')}`);
+  }
+  if (byDisplayName.length === 0) {
+    throw new Error(`User type "${userType}" not found`);
+  }
+  return byDisplayName[0];
+}
+
+/**
+ * Extracts the schema ID of a user type from its schema link
+ * @param {Object} [userType] - Okta user type
+ * @returns {string} Schema ID, or default if the type has no schema link
+ * @private
+ */
+function getSchemaId(userType) {
+  const href = userType?._links?.schema?.href;
+  return href ? href.split('/').pop() : 'default';
+}
+
+/**
+ * Summarizes a user type for the job output
+ * @param {Object} [userType] - Okta user type
+ * @returns {Object|null} { id, name, displayName }, or null for the default type
+ * @private
+ */
+function describeUserType(userType) {
+  if (!userType) {
+    return null;
+  }
+  return {
+    id: userType.id,
+    name: userType.name,
+    displayName: userType.displayName
+  };
+}
+
+/**
+ * Resolves the manager input to an Okta user
+ * The value is looked up as a user ID or login first; a value that looks like
+ * an email and isn't a login is then searched for as the email address.
+ * @param {string} manager - Login, email or Okta user ID of the manager
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Object|null>} { id, login, displayName }, or null if no manager was requested
+ * @throws {Error} If the manager is missing, ambiguous or deactivated
+ * @private
+ */
+async function resolveManager(manager, client) {
+  if (!manager) {
+    return null;
+  }
+
+  let user = null;
+  const response = await getUser(manager, client);
+  if (response.ok) {
+    user = await response.json();
+  } else if (response.status !== 404) {
+    throw await createOktaApiError('Failed to look up manager', response, { requiredScope: 'okta.users.read' });
+  } else if (manager.includes('@')) {
+    const query = new URLSearchParams({ search: `profile.email eq ${quoteFilterValue(manager)}`, limit: '200' });
+    const users = await listAll(`/api/v1/users?${query.toString()}`, client, 'Failed to search for manager', 'okta.users.read');
+    if (users.length > 1) {
+      throw new Error(`Manager "${manager}" is ambiguous: matches ${users.map((candidate) => candidate.id).join(', ')}`);
+    }
+    user = users[0] || null;
+  }
+
+  if (!user) {
+    throw new Error(`Manager "${manager}" not found`);
+  }
+  if (user.status === 'DEPROVISIONED') {
+    throw new Error(`Manager "${manager}" (${user.id}) is deactivated`);
+  }
+
+  const { login, displayName, firstName, lastName } = user.profile || {};
+  return {
+    id: user.id,
+    login,
+    displayName: displayName || [firstName, lastName].filter(Boolean).join(' ') || login
+  };
+}
+
+/**
+ * Builds the request that links a user to their manager through a linked object
+ * The user is the associated side and the manager the primary side of the relationship.
+ * @param {string} userId - Okta user ID
+ * @param {string} relationship - Primary relationship name of the linked object definition, e.g. manager
+ * @param {string} managerId - Okta user ID of the manager
+ * @returns {Object} { method, path } request for the Okta client
+ * @private
+ */
+function buildManagerLinkRequest(userId, relationship, managerId) {
+  return {
+    method: 'PUT',
+    path: `/api/v1/users/${encodeURIComponent(userId)}/linkedObjects/${encodeURIComponent(relationship)}/${encodeURIComponent(managerId)}`
+  };
+}
+
+/**
+ * Links a user to their manager when a managerRelationship is configured
+ * Setting the link replaces any previous manager for the relationship, so it is safe to repeat.
+ * @param {string} userId - Okta user ID
+ * @param {Object} [manager] - Manager from resolveManager
+ * @param {string} [relationship] - Primary relationship name of the linked object definition
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} [options] - Link options
+ * @param {boolean} [options.dryRun] - Build the request without sending it
+ * @returns {Promise<Object|null>} The link request, or null if there is nothing to link
+ * @throws {OktaApiError} If the link can't be created
+ * @private
+ */
+async function linkManager(userId, manager, relationship, client, { dryRun = false } = {}) {
+  if (!manager || !relationship) {
+    return null;
+  }
+
+  const request = buildManagerLinkRequest(userId, relationship, manager.id);
+  if (dryRun) {
+    return request;
+  }
+
+  const response = await client.request(request.path, request);
+  if (!response.ok) {
+    throw await createOktaApiError(`Failed to link user to manager ${manager.id}`, response, { requiredScope: 'okta.users.manage' });
+  }
+  logger.info(`Linked user ${userId} to manager ${manager.id} as ${relationship}`);
+  return request;
+}
+
+/**
+ * Validates a profile against the org's user schema before it is written
+ * If the schema can't be read (for example the credentials lack okta.schemas.read)
+ * validation is skipped with a warning rather than blocking provisioning
+ * @param {Object} profile - Profile about to be sent to Okta
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} options - Validation options
+ * @param {boolean} options.enabled - Whether schema validation is enabled
+ * @param {boolean} [options.partial] - Skip required attribute checks, for partial updates
+ * @param {string} [options.schemaId] - Schema of the target user type (default: default)
+ * @returns {Promise<string>} passed, skipped or disabled
+ * @throws {Error} With every violation if the profile doesn't match the schema
+ * @private
+ */
+async function checkProfileSchema(profile, client, { enabled, partial = false, schemaId = 'default' }) {
+  if (!enabled) {
+    return 'disabled';
+  }
+
+  let schema;
+  try {
+    schema = await fetchUserSchema(client, schemaId);
+  } catch (error) {
+    logger.warn(`Skipping profile schema validation: ${error.message}`);
+    return 'skipped';
+  }
+
+  const violations = validateProfile(profile, schema, { partial });
+  if (violations.length > 0) {
+    const err = new Error(`Profile does not match the user schema: ${violations.join('; ')}`);
+    err.violations = violations;
+    throw err;
+  }
+
+  return 'passed';
+}
+
+/**
+ * Parse comma-separated group IDs from params
+ * @param {string} groupIds - Comma-separated group IDs
+ * @returns {Array<string>} Array of group IDs
+ * @private
+ */
+function parseGroupIds(groupIds) {
+  if (!groupIds) {
+    return [];
+  }
+  return groupIds.split(',').map(id => id.trim()).filter(id => id);
+}
+
+/**
+ * Parse group names from params
+ * Accepts a JSON array for names that contain commas, otherwise a comma-separated list
+ * @param {string} groupNames - JSON array or comma-separated group names
+ * @returns {Array<string>} Array of unique group names
+ * @throws {Error} If a JSON array is malformed
+ * @private
+ */
+function parseGroupNames(groupNames) {
+  if (!groupNames) {
+    return [];
+  }
+
+  let names;
+  if (groupNames.trim().startsWith('[')) {
+    try {
+      names = JSON.parse(groupNames);
+    } catch (error) {
+      throw new Error(`Invalid groupNames JSON: ${error.message}`, { cause: error });
+    }
+    if (!Array.isArray(names) || names.some((name) => typeof name !== 'string')) {
+      throw new Error('Invalid groupNames JSON: expected an array of strings');
+    }
+  } else {
+    names = groupNames.split(',');
+  }
+
+  return [...new Set(names.map(name => name.trim()).filter(name => name))];
+}
+
+/**
+ * Extracts the next page URL from an Okta Link header
+ * @param {Response} response - Fetch Response object
+ * @returns {string|null} URL of the next page, or null on the last page
+ * @private
+ */
+function getNextLink(response) {
+  const link = response.headers?.get?.('link');
+  if (!link) {
+    return null;
+  }
+  const match = link.split(',').map((part) => part.match(/<([^>]+)>;\s*rel="next"/)).find(Boolean);
+  return match ? match[1] : null;
+}
+
+/**
+ * Fetches every page of an Okta list endpoint
+ * @param {string} path - API path of the first page
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {string} errorMessage - Description used if a page request fails
+ * @param {string} requiredScope - OAuth scope the endpoint needs
+ * @returns {Promise<Array<Object>>} Items from all pages
+ * @throws {Error} If any page request fails
+ * @private
+ */
+async function listAll(path, client, errorMessage, requiredScope) {
+  const items = [];
+  let next = path;
+
+  while (next) {
+    const response = await client.request(next);
+
+    if (!response.ok) {
+      throw await createOktaApiError(errorMessage, response, { requiredScope });
+    }
+
+    items.push(...await response.json());
+    next = getNextLink(response);
+  }
+
+  return items;
+}
+
+/**
+ * Lists the IDs of all groups a user is a member of
+ * @param {string} userId - Okta user ID
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Set<string>>} Set of group IDs
+ * @throws {Error} If the groups cannot be listed
+ * @private
+ */
+async function listUserGroupIds(userId, client) {
+  const path = `/api/v1/users/${encodeURIComponent(userId)}/groups?limit=200`;
+  const groups = await listAll(path, client, 'Failed to list user groups', 'okta.users.read');
+  return new Set(groups.map((group) => group.id));
+}
+
+/**
+ * Quotes a value for use in an Okta search expression
+ * @param {string} value - Raw value
+ * @returns {string} Double-quoted value with quotes and backslashes escaped
+ * @private
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Searches for groups whose name matches exactly
+ * The search API matches case-insensitively, so results are filtered again
+ * @param {string} name - Group name to search for
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Array<Object>>} Groups with exactly this name
+ * @throws {Error} If the search request fails
+ * @private
+ */
+async function findGroupsByName(name, client) {
+  const query = new URLSearchParams({ search: `profile.name eq ${quoteFilterValue(name)}`, limit: '200' });
+  const groups = await listAll(`/api/v1/groups?${query.toString()}`, client, `Failed to search for group "${name}"`, 'okta.groups.read');
+  return groups.filter((group) => group.profile?.name === name);
+}
+
+/**
+ * Builds the request that creates an Okta-mastered group
+ * @param {string} name - Name of the new group
+ * @returns {Object} { method, path, body } request for the Okta client
+ * @private
+ */
+function buildCreateGroupRequest(name) {
+  return {
+    method: 'POST',
+    path: '/api/v1/groups',
+    body: { profile: { name } }
+  };
+}
+
+/**
+ * Placeholder ID for a group that a dry run would create
+ * @param {string} name - Group name
+ * @returns {string} Placeholder shown in planned requests
+ * @private
+ */
+function plannedGroupId(name) {
+  return `<new group "${name}">`;
+}
+
+/**
+ * Creates an Okta-mastered group
+ * @param {string} name - Name of the new group
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Object>} Created group
+ * @throws {Error} If the group cannot be created
+ * @private
+ */
+async function createGroup(name, client) {
+  const response = await client.request('/api/v1/groups', buildCreateGroupRequest(name));
+
+  if (!response.ok) {
+    throw await createOktaApiError(`Failed to create group "${name}"`, response, { requiredScope: 'okta.groups.manage' });
+  }
+
+  return response.json();
+}
+
+/**
+ * Resolves one group name to an assignable group ID
+ * Only OKTA_GROUP groups accept direct membership changes, so directory-mastered
+ * APP_GROUP groups and built-in groups are rejected. A missing group that may be
+ * created is left for createPendingGroups, which runs once the user exists.
+ * @param {string} name - Group name to resolve
+ * @param {boolean} createMissing - Allow an OKTA_GROUP to be created if the name doesn't exist
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {boolean} dryRun - Use a placeholder ID for a missing group
+ * @returns {Promise<Object>} { name, groupId, created }, with groupId null for a group still to be created
+ * @throws {Error} If the name is missing, ambiguous or not an OKTA_GROUP
+ * @private
+ */
+async function resolveGroupName(name, createMissing, client, dryRun) {
+  const matches = await findGroupsByName(name, client);
+
+  if (matches.length > 1) {
+    throw new Error(`Group name "${name}" is ambiguous: matches ${matches.map((g) => g.id).join(', ')}`);
+  }
+
+  if (matches.length === 0) {
+    if (!createMissing) {
+      throw new Error(`Group "${name}" not found. Set createMissingGroups to true to create it`);
+    }
+    return { name, groupId: dryRun ? plannedGroupId(name) : null, created: true };
+  }
+
+  const [group] = matches;
+  if (group.type === 'APP_GROUP') {
+    throw new Error(`Group "${name}" (${group.id}) is an APP_GROUP mastered by a directory or app and cannot be assigned directly`);
+  }
+  if (group.type !== 'OKTA_GROUP') {
+    throw new Error(`Group "${name}" (${group.id}) is a ${group.type} group and cannot be assigned directly`);
+  }
+  return { name, groupId: group.id, created: false };
+}
+
+/**
+ * Resolves group names to assignable group IDs
+ * @param {Array<string>} groupNames - Group names to resolve
+ * @param {boolean} createMissing - Allow an OKTA_GROUP to be created for names that don't exist
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} [options] - Resolution options
+ * @param {boolean} [options.dryRun] - Use a placeholder ID for missing groups
+ * @param {Map} [options.cache] - Resolutions shared between batch rows, so concurrent rows
+ *   don't look up the same name twice or create the same group twice
+ * @returns {Promise<Array<Object>>} One { name, groupId, created } entry per name, with
+ *   groupId null for groups still to be created
+ * @throws {Error} If a name is missing, ambiguous or not an OKTA_GROUP
+ * @private
+ */
+async function resolveGroupNames(groupNames, createMissing, client, { dryRun = false, cache = new Map() } = {}) {
+  const resolved = [];
+
+  for (const name of groupNames) {
+    if (!cache.has(name)) {
+      cache.set(name, resolveGroupName(name, createMissing, client, dryRun));
+    }
+    resolved.push(await cache.get(name));
+  }
+
+  return resolved;
+}
+
+/**
+ * Creates the missing groups resolveGroupNames left to be created
+ * Runs once the user exists, so a run stopped by a conflict or a failed create
+ * request leaves no new groups behind.
+ * @param {Array<Object>} resolvedGroups - Entries from resolveGroupNames
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} [options] - Creation options
+ * @param {Map} [options.cache] - Resolutions shared between batch rows, so concurrent rows
+ *   create each group once
+ * @returns {Promise<Array<Object>>} resolvedGroups with the IDs of the created groups filled in
+ * @throws {Error} If a group cannot be created
+ * @private
+ */
+async function createPendingGroups(resolvedGroups, client, { cache = new Map() } = {}) {
+  const groups = [];
+
+  for (const group of resolvedGroups) {
+    if (group.groupId !== null) {
+      groups.push(group);
+      continue;
+    }
+
+    // Another row of the batch may have created the group since this one resolved it
+    const pending = cache.get(group.name);
+    const current = pending && await pending;
+    if (!current?.groupId && cache.get(group.name) === pending) {
+      cache.set(group.name, createGroup(group.name, client).then((created) => {
+        logger.info(`Created group ${created.id}`, { groupName: group.name });
+        return { name: group.name, groupId: created.id, created: true };
+      }));
+    }
+    groups.push(await cache.get(group.name));
+  }
+
+  return groups;
+}
+
+/**
+ * Builds the request that adds a user to a group
+ * @param {string} groupId - Okta group ID
+ * @param {string} userId - Okta user ID
+ * @returns {Object} { method, path } request for the Okta client
+ * @private
+ */
+function buildGroupMembershipRequest(groupId, userId) {
+  return {
+    method: 'PUT',
+    path: `/api/v1/groups/${encodeURIComponent(groupId)}/users/${encodeURIComponent(userId)}`
+  };
+}
+
+/**
+ * Ensures an existing user is a member of every requested group
+ * Each group is reported separately so a single failure doesn't hide the others
+ * @param {string} userId - Okta user ID
+ * @param {Array<string>} groupIds - Requested group IDs
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} [options] - Reconciliation options
+ * @param {boolean} [options.dryRun] - Report missing memberships as planned without adding them
+ * @param {Object} [options.progress] - Progress journal from getProgress, to record each membership added
+ * @returns {Promise<Array<Object>>} One { groupId, status, reason? } entry per group,
+ *   where status is added, already-member, failed or (in a dry run) planned
+ * @private
+ */
+async function reconcileGroups(userId, groupIds, client, { dryRun = false, progress } = {}) {
+  if (groupIds.length === 0) {
+    return [];
+  }
+
+  const currentGroupIds = await listUserGroupIds(userId, client);
+  const assignments = [];
+
+  for (const groupId of groupIds) {
+    if (currentGroupIds.has(groupId)) {
+      assignments.push({ groupId, status: 'already-member' });
+      continue;
+    }
+
+    if (dryRun) {
+      assignments.push({ groupId, status: 'planned' });
+      continue;
+    }
+
+    const request = buildGroupMembershipRequest(groupId, userId);
+    const response = await client.request(request.path, request);
+    if (response.ok) {
+      logger.info(`Added user ${userId} to group ${groupId}`);
+      progress?.groupAssignments.push({ userId, groupId });
+      assignments.push({ groupId, status: 'added' });
+      continue;
+    }
+
+    const error = await createOktaApiError(`Failed to add user to group ${groupId}`, response, { requiredScope: 'okta.groups.manage' });
+    assignments.push({ groupId, status: 'failed', reason: error.message });
+  }
+
+  return assignments;
+}
+
+/**
+ * Allowed scopes of an app assignment
+ * @private
+ */
+const APP_ASSIGNMENT_SCOPES = ['USER', 'GROUP'];
+
+/**
+ * Parses the appAssignments input
+ * Accepts a JSON array whose entries are app IDs or labels, or { app, scope, profile }
+ * objects, otherwise a comma-separated list of app IDs or labels
+ * @param {string} appAssignments - JSON array or comma-separated app IDs and labels
+ * @returns {Array<Object>} One { app, scope, profile } entry per app, with scope defaulting to USER
+ * @throws {Error} If the input is malformed or lists an app twice
+ * @private
+ */
+function parseAppAssignments(appAssignments) {
+  if (!appAssignments) {
+    return [];
+  }
+
+  let entries;
+  if (/^[[{]/.test(appAssignments.trim())) {
+    try {
+      entries = JSON.parse(appAssignments);
+    } catch (error) {
+      throw new Error(`Invalid appAssignments JSON: ${error.message}`, { cause: error });
+    }
+    if (!Array.isArray(entries)) {
+      throw new Error('Invalid appAssignments JSON: expected an array');
+    }
+  } else {
+    entries = appAssignments.split(',');
+  }
+
+  const assignments = [];
+  for (const entry of entries) {
+    const { app, scope = 'USER', profile = null } = typeof entry === 'string' ? { app: entry } : (entry || {});
+    if (typeof app !== 'string' || !app.trim()) {
+      if (typeof entry === 'string') {
+        continue;
+      }
+      throw new Error('Invalid appAssignments: each entry must be an app ID or label, or an object with an app');
+    }
+    const name = app.trim();
+    if (!APP_ASSIGNMENT_SCOPES.includes(scope)) {
+      throw new Error(`Invalid appAssignments: scope for ${name} must be one of ${APP_ASSIGNMENT_SCOPES.join(', ')}`);
+    }
+    if (profile !== null && (typeof profile !== 'object' || Array.isArray(profile))) {
+      throw new Error(`Invalid appAssignments: profile for ${name} must be an object`);
+    }
+    if (assignments.some((assignment) => assignment.app === name)) {
+      throw new Error(`Invalid appAssignments: ${name} is listed more than once`);
+    }
+    assignments.push({ app: name, scope, profile });
+  }
+
+  return assignments;
+}
+
+/**
+ * Resolves an app ID or label to an app
+ * IDs are fetched directly. Labels are looked up with the apps list API and
+ * must match exactly one app.
+ * @param {string} app - App ID or label
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Object>} { appId, label }
+ * @throws {Error} If the app doesn't exist or the label is ambiguous
+ * @private
+ */
+async function resolveApp(app, client) {
+  if (/^0oa[A-Za-z0-9]+$/.test(app)) {
+    const response = await client.request(`/api/v1/apps/${encodeURIComponent(app)}`);
+    if (response.status === 404) {
+      throw new Error(`App ${app} not found`);
+    }
+    if (!response.ok) {
+      throw await createOktaApiError('Failed to read app', response, { requiredScope: 'okta.apps.read' });
+    }
+    const { id, label } = await response.json();
+    return { appId: id, label };
+  }
+
+  // The q filter matches label prefixes case-insensitively, so filter again
+  const query = new URLSearchParams({ q: app, limit: '200' });
+  const apps = await listAll(`/api/v1/apps?${query.toString()}`, client, `Failed to search for app "${app}"`, 'okta.apps.read');
+  const matches = apps.filter((candidate) => candidate.label === app);
+
+  if (matches.length > 1) {
+    throw new Error(`App label "${app}" is ambiguous: matches ${matches.map((candidate) => candidate.id).join(', ')}`);
+  }
+  if (matches.length === 0) {
+    throw new Error(`App "${app}" not found`);
+  }
+  return { appId: matches[0].id, label: app };
+}
+
+/**
+ * Resolves the requested app assignments to app IDs
+ * @param {Array<Object>} assignments - Entries from parseAppAssignments
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} [options] - Resolution options
+ * @param {Map} [options.cache] - Resolutions shared between batch rows
+ * @returns {Promise<Array<Object>>} One { app, appId, label, scope, profile } entry per app
+ * @throws {Error} If an app is missing or a label is ambiguous
+ * @private
+ */
+async function resolveApps(assignments, client, { cache = new Map() } = {}) {
+  const resolved = [];
+
+  for (const assignment of assignments) {
+    if (!cache.has(assignment.app)) {
+      cache.set(assignment.app, resolveApp(assignment.app, client));
+    }
+    resolved.push({ ...assignment, ...await cache.get(assignment.app) });
+  }
+
+  return resolved;
+}
+
+/**
+ * Placeholder for the ID of a user that a dry run would create
+ * @private
+ */
+const PLANNED_USER_ID = '<new user>';
+
+/**
+ * Builds the request that assigns an app to a user
+ * @param {Object} app - Resolved app from resolveApps
+ * @param {string} userId - Okta user ID
+ * @returns {Object} { method, path, body } request for the Okta client
+ * @private
+ */
+function buildAppAssignmentRequest({ appId, scope, profile }, userId) {
+  const body = { id: userId, scope };
+  if (profile) {
+    body.profile = profile;
+  }
+  return {
+    method: 'POST',
+    path: `/api/v1/apps/${encodeURIComponent(appId)}/users`,
+    body
+  };
+}
+
+/**
+ * Assigns the requested apps to a user
+ * Each app is reported separately so a single failure doesn't hide the others.
+ * Existing users are checked for an assignment first, which is left as it is.
+ * @param {string} userId - Okta user ID
+ * @param {Array<Object>} apps - Resolved apps from resolveApps
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} [options] - Assignment options
+ * @param {boolean} [options.checkExisting] - Skip apps the user is already assigned to
+ * @param {boolean} [options.dryRun] - Report assignments as planned without sending them
+ * @param {Object} [options.progress] - Progress journal from getProgress, to record each assignment
+ * @returns {Promise<Array<Object>>} One { appId, label, scope, status, reason? } entry per app,
+ *   where status is assigned, already-assigned, failed or (in a dry run) planned
+ * @throws {OktaApiError} If an existing assignment can't be checked
+ * @private
+ */
+async function assignApps(userId, apps, client, { checkExisting = false, dryRun = false, progress } = {}) {
+  const assignments = [];
+
+  for (const app of apps) {
+    const { appId, label, scope } = app;
+
+    if (checkExisting) {
+      const response = await client.request(`/api/v1/apps/${encodeURIComponent(appId)}/users/${encodeURIComponent(userId)}`);
+      if (response.ok) {
+        assignments.push({ appId, label, scope, status: 'already-assigned' });
+        continue;
+      }
+      if (response.status !== 404) {
+        throw await createOktaApiError('Failed to check app assignment', response, { requiredScope: 'okta.apps.read' });
+      }
+    }
+
+    if (dryRun) {
+      assignments.push({ appId, label, scope, status: 'planned' });
+      continue;
+    }
+
+    const request = buildAppAssignmentRequest(app, userId);
+    const response = await client.request(request.path, request);
+    if (response.ok) {
+      logger.info(`Assigned app ${appId} to user ${userId}`);
+      progress?.appAssignments.push({ userId, appId });
+      assignments.push({ appId, label, scope, status: 'assigned' });
+      continue;
+    }
+
+    const error = await createOktaApiError(`Failed to assign app ${appId}`, response, { requiredScope: 'okta.apps.manage' });
+    assignments.push({ appId, label, scope, status: 'failed', reason: error.message });
+  }
+
+  return assignments;
+}
+
+/**
+ * Lists the app operations a dry run would perform
+ * @param {Array<Object>} apps - Resolved apps from resolveApps
+ * @param {Array<Object>} appAssignments - Per-app outcome from assignApps, or null for a new user
+ * @param {string} [userId] - Okta user ID of an existing user
+ * @returns {Array<Object>} One { operation, appId, label, request? } entry per app
+ * @private
+ */
+function planAppOperations(apps, appAssignments, userId = PLANNED_USER_ID) {
+  return apps.map((app, index) => {
+    const { appId, label } = app;
+    const status = appAssignments ? appAssignments[index].status : 'planned';
+    if (status !== 'planned') {
+      return { operation: status, appId, label };
+    }
+    return { operation: 'assign-app', appId, label, request: describeRequest(buildAppAssignmentRequest(app, userId)) };
+  });
+}
+
+/**
+ * Build standardized user response object
+ * @param {Object} userData - User data from Okta API
+ * @param {Object} details - Outcome of the run
+ * @param {Array<string>} details.requestedGroupIds - Group IDs requested in the job input
+ * @param {Array<Object>} details.groupAssignments - Per-group outcome from group assignment
+ * @param {Array<Object>} details.resolvedGroups - Group names resolved to IDs
+ * @param {Array<Object>} [details.appAssignments] - Per-app outcome from assignApps
+ * @param {Object} [details.manager] - Manager from resolveManager
+ * @param {string} [details.managerRelationship] - Linked object relationship the manager was linked with
+ * @param {Object} [details.activation] - Links returned by activateWithoutEmail
+ * @param {Array<Object>} [details.profileChanges] - Attributes changed on an existing user
+ * @param {string} [details.statusBefore] - Status of an existing user before any lifecycle change
+ * @param {string} [details.lifecycleAction] - Lifecycle policy applied to an existing user
+ * @param {Array<Object>} [details.duplicateCandidates] - Users found by duplicate detection
+ * @param {Object} details.rateLimit - Rate limit headroom reported by the Okta client
+ * @param {string} [details.schemaValidation] - Outcome of profile schema validation
+ * @param {Object} [details.userType] - User type the user was created with
+ * @returns {Object} Standardized response object
+ * @private
+ */
+function buildUserResponse(userData, {
+  requestedGroupIds,
+  groupAssignments,
+  resolvedGroups,
+  appAssignments = [],
+  manager = null,
+  managerRelationship = null,
+  profileChanges = [],
+  statusBefore = null,
+  lifecycleAction = null,
+  duplicateCandidates = [],
+  rateLimit,
+  schemaValidation = null,
+  userType = null,
+  activation = null
+}) {
+  return {
+    ...describeUser(userData),
+    requestedGroupIds,
+    groupIds: groupAssignments.filter((a) => a.status !== 'failed').map((a) => a.groupId),
+    groupAssignments,
+    resolvedGroups,
+    appAssignments,
+    manager: manager ? { ...manager, relationship: managerRelationship } : null,
+    profileChanges,
+    statusBefore,
+    lifecycleAction,
+    duplicateCandidates,
+    rateLimit,
+    schemaValidation,
+    userType: describeUserType(userType) || (userData.type?.id ? { id: userData.type.id } : null),
+    activationUrl: activation?.activationUrl ?? null,
+    activationToken: activation?.activationToken ?? null,
+    resetPasswordUrl: activation?.resetPasswordUrl ?? null,
+    verification: null
+  };
+}
+
+/**
+ * Describes the fields of the response that come from the Okta user itself
+ * @param {Object} userData - User from Okta
+ * @returns {Object} User fields of the standardized response
+ * @private
+ */
+function describeUser(userData) {
+  return {
+    id: userData.id,
+    status: userData.status,
+    created: userData.created,
+    activated: userData.activated,
+    statusChanged: userData.statusChanged,
+    lastLogin: userData.lastLogin,
+    lastUpdated: userData.lastUpdated,
+    profile: userData.profile,
+    statusAfter: userData.status,
+    login: userData.profile?.login ?? null,
+    realmId: userData.realmId ?? null,
+    provider: userData.credentials?.provider ?? null
+  };
+}
+
+/**
+ * Replacement for password material in dry-run plans
+ * @private
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Describes a request for a dry-run plan, with password values and hashes redacted
+ * @param {Object} [request] - Request built by one of the build*Request helpers
+ * @returns {Object|null} { method, path, body? }, or null if there is no request
+ * @private
+ */
+function describeRequest(request) {
+  if (!request) {
+    return null;
+  }
+
+  const planned = { method: request.method, path: request.path };
+  if (request.body === undefined) {
+    return planned;
+  }
+
+  planned.body = request.body;
+  const password = request.body.credentials?.password;
+  if (password) {
+    const redacted = { ...password };
+    if ('value' in redacted) {
+      redacted.value = REDACTED;
+    }
+    if (redacted.hash) {
+      redacted.hash = { ...redacted.hash, value: REDACTED };
+    }
+    planned.body = { ...request.body, credentials: { ...request.body.credentials, password: redacted } };
+  }
+  return planned;
+}
+
+/**
+ * Lists the group operations a dry run would perform
+ * @param {Array<Object>} resolvedGroups - Group names resolved to IDs, with planned groups marked created
+ * @param {Array<Object>} groupAssignments - Per-group outcome, with status planned, already-member or assign-on-create
+ * @param {string} [userId] - Okta user ID, for memberships added to an existing user
+ * @returns {Array<Object>} One { operation, groupId, name?, request? } entry per operation
+ * @private
+ */
+function planGroupOperations(resolvedGroups, groupAssignments, userId) {
+  const operations = resolvedGroups
+    .filter((group) => group.created)
+    .map(({ name, groupId }) => ({
+      operation: 'create-group',
+      name,
+      groupId,
+      request: describeRequest(buildCreateGroupRequest(name))
+    }));
+
+  for (const { groupId, status } of groupAssignments) {
+    if (status === 'planned') {
+      operations.push({ operation: 'add-member', groupId, request: describeRequest(buildGroupMembershipRequest(groupId, userId)) });
+    } else {
+      operations.push({ operation: status, groupId });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Build the response of a dry run
+ * @param {Object} plan - What the run would do
+ * @param {string} plan.action - create, update-existing, return-existing or conflict
+ * @param {string} [plan.reason] - Why the run would fail, for conflicts
+ * @param {string} [plan.userId] - ID of the existing user
+ * @param {string} [plan.login] - Login the user would be created or found with
+ * @param {Object} [plan.request] - Create or profile update request
+ * @param {Object} [plan.lifecycleRequest] - Lifecycle operation for an existing user
+ * @param {Array<Object>} [plan.groupOperations] - Group operations from planGroupOperations
+ * @param {Array<Object>} [plan.appOperations] - App operations from planAppOperations
+ * @param {Object} [plan.managerRequest] - Linked object request for the manager
+ * @param {Array<Object>} [plan.activationRequests] - Lifecycle requests that activate a new user without an email
+ * @param {Array<Object>} [plan.profileChanges] - Attributes that would change on an existing user
+ * @param {string} [plan.schemaValidation] - Outcome of profile schema validation
+ * @param {Array<Object>} [plan.duplicateCandidates] - Users found by duplicate detection
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Object} { dryRun, plan, rateLimit }
+ * @private
+ */
+function buildDryRunResponse({
+  action,
+  reason = null,
+  userId = null,
+  login = null,
+  request = null,
+  lifecycleRequest = null,
+  groupOperations = [],
+  appOperations = [],
+  managerRequest = null,
+  activationRequests = [],
+  profileChanges = [],
+  schemaValidation = null,
+  duplicateCandidates = []
+}, client) {
+  return {
+    dryRun: true,
+    plan: {
+      action,
+      reason,
+      userId,
+      login,
+      request: describeRequest(request),
+      lifecycleRequest: describeRequest(lifecycleRequest),
+      groupOperations,
+      appOperations,
+      managerRequest: describeRequest(managerRequest),
+      activationRequests: activationRequests.map(describeRequest),
+      profileChanges,
+      schemaValidation,
+      duplicateCandidates
+    },
+    rateLimit: client.getRateLimit()
+  };
+}
+
+/**
+ * Runs one step of a run, checkpointing its result in context.partial_results
+ * A step recorded by an earlier attempt of the same run is not repeated: its
+ * recorded result is returned instead. Without a checkpoint (dry runs and batch
+ * rows) the step simply runs.
+ * @param {Object} run - State of the current run
+ * @param {Object} [run.checkpoint] - Checkpoint from getCheckpoint
+ * @param {Object} [run.context] - Execution context, whose current_step is updated
+ * @param {string} name - Step name
+ * @param {Function} step - Async function returning the JSON-serializable step result
+ * @param {Object} [options] - Step options
+ * @param {Function} [options.reuse] - Decides whether a recorded result can be reused (default: always)
+ * @param {boolean} [options.record] - Record the result; false for results that hold credentials (default: true)
+ * @returns {Promise<*>} Result of the step
+ * @private
+ */
+async function runStep(run, name, step, { reuse = () => true, record = true } = {}) {
+  const { checkpoint, context } = run;
+  const recorded = checkpoint?.steps[name];
+
+  if (recorded !== undefined && reuse(recorded)) {
+    logger.info(`Skipping step ${name}, completed by an earlier attempt`);
+    return recorded;
+  }
+
+  if (context) {
+    context.current_step = name;
+  }
+  const result = await step();
+  if (checkpoint && record) {
+    checkpoint.steps[name] = result;
+  }
+  return result;
+}
+
+/**
+ * Reads a user by ID
+ * @param {string} userId - Okta user ID
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Object>} Okta user
+ * @throws {OktaApiError} If the user can't be read
+ * @private
+ */
+async function readUser(userId, client) {
+  const response = await getUser(userId, client);
+  if (!response.ok) {
+    throw await createOktaApiError('Failed to read user', response, { requiredScope: 'okta.users.read' });
+  }
+  return response.json();
+}
+
+/**
+ * Default time verification keeps polling for the user to settle, in seconds
+ * @private
+ */
+const DEFAULT_VERIFY_TIMEOUT_SECONDS = 10;
+
+/**
+ * Longest verifyTimeout accepted, leaving room in the 30s runtime for the writes
+ * @private
+ */
+const MAX_VERIFY_TIMEOUT_SECONDS = 20;
+
+/**
+ * Delays between verification reads; the last one repeats until the timeout
+ * @private
+ */
+const VERIFY_POLL_DELAYS_MS = [250, 500, 1000, 2000];
+
+/**
+ * Lists the groups that active group rules assign users to
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Set<string>|null>} Group IDs targeted by rules, or null if the rules can't be read
+ * @throws {Error} If the rules request fails for a reason other than missing permissions
+ * @private
+ */
+async function listRuleGroupIds(client) {
+  try {
+    const rules = await listAll('/api/v1/groups/rules?limit=200', client, 'Failed to list group rules', 'okta.groups.read');
+    return new Set(rules
+      .filter((rule) => rule.status === 'ACTIVE')
+      .flatMap((rule) => rule.actions?.assignUserToGroups?.groupIds || []));
+  } catch (error) {
+    if (error.type !== 'insufficient-scope') {
+      throw error;
+    }
+    logger.warn('Group rules could not be read, so rule-assigned groups are not told apart from direct ones');
+    return null;
+  }
+}
+
+/**
+ * Compares the profile stored in Okta with the attributes that were sent
+ * @param {Object} storedProfile - Profile read back from Okta
+ * @param {Object} sentProfile - Profile attributes the run sent
+ * @returns {Array<Object>} One { attribute, expected, actual } entry per attribute that doesn't match
+ * @private
+ */
+function findProfileMismatches(storedProfile, sentProfile) {
+  return Object.entries(sentProfile)
+    .filter(([attribute, value]) => !profileValueMatches(storedProfile[attribute], value) &&
+      JSON.stringify(storedProfile[attribute] ?? null) !== JSON.stringify(value ?? null))
+    .map(([attribute, value]) => ({ attribute, expected: value ?? null, actual: storedProfile[attribute] ?? null }));
+}
+
+/**
+ * Describes one group membership found by verification
+ * @param {Object} group - Group from the user's group list
+ * @param {Array<string>} requestedGroupIds - Groups the run assigned directly
+ * @param {Set<string>|null} ruleGroupIds - Groups targeted by group rules, from listRuleGroupIds
+ * @returns {Object} { groupId, name, type, assignment } with assignment direct, rule, built-in or unknown
+ * @private
+ */
+function describeMembership(group, requestedGroupIds, ruleGroupIds) {
+  let assignment = 'direct';
+  if (group.type === 'BUILT_IN') {
+    assignment = 'built-in';
+  } else if (!requestedGroupIds.includes(group.id)) {
+    if (!ruleGroupIds) {
+      assignment = 'unknown';
+    } else if (ruleGroupIds.has(group.id)) {
+      assignment = 'rule';
+    }
+  }
+  return { groupId: group.id, name: group.profile?.name ?? null, type: group.type ?? null, assignment };
+}
+
+/**
+ * Reads a user and their groups back until they match what the run wrote
+ * Okta applies some changes, such as group memberships, eventually, so the
+ * reads are repeated with increasing delays until the profile matches and
+ * every requested group is listed, or the timeout runs out.
+ * @param {string} userId - Okta user ID
+ * @param {Object} expected - What the run wrote
+ * @param {Object} expected.profile - Profile attributes that were sent
+ * @param {Array<string>} expected.groupIds - Groups the user was assigned to
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} options - Verification options
+ * @param {number} options.timeoutMs - Longest total wait between reads
+ * @returns {Promise<Object>} { user, verification } with the last read of the user and its verification report
+ * @throws {OktaApiError} If the user or their groups can't be read
+ * @private
+ */
+async function verifyUser(userId, expected, client, { timeoutMs }) {
+  const ruleGroupIds = await listRuleGroupIds(client);
+  const groupsPath = `/api/v1/users/${encodeURIComponent(userId)}/groups?limit=200`;
+  let waited = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    const user = await readUser(userId, client);
+    const groups = await listAll(groupsPath, client, 'Failed to list user groups', 'okta.users.read');
+    const memberIds = new Set(groups.map((group) => group.id));
+    const profileMismatches = findProfileMismatches(user.profile || {}, expected.profile);
+    const missingGroupIds = expected.groupIds.filter((groupId) => !memberIds.has(groupId));
+    const verified = profileMismatches.length === 0 && missingGroupIds.length === 0;
+
+    const delay = VERIFY_POLL_DELAYS_MS[Math.min(attempt, VERIFY_POLL_DELAYS_MS.length) - 1];
+    if (verified || waited + delay > timeoutMs || !await client.pause(delay)) {
+      if (!verified) {
+        logger.warn(`User ${userId} did not match the request after ${attempt} read(s): ` +
+          `${profileMismatches.length} profile mismatch(es), ${missingGroupIds.length} missing group(s)`);
+      }
+      return {
+        user,
+        verification: {
+          verified,
+          attempts: attempt,
+          profileMismatches,
+          missingGroupIds,
+          groups: groups.map((group) => describeMembership(group, expected.groupIds, ruleGroupIds))
+        }
+      };
+    }
+    waited += delay;
+  }
+}
+
+/**
+ * Brings an existing user in line with the request
+ * Applies the lifecycle policy for the user's status, the onExisting strategy,
+ * the requested group memberships, app assignments and manager link, as the
+ * lifecycle, update, missingGroups, groups, apps and manager steps.
+ * Like the rest of the profile, the manager is only applied by onExisting update.
+ * @param {Object} existingUser - Existing user from Okta
+ * @param {Object} run - State of the current run
+ * @param {Object} run.params - Job input parameters
+ * @param {string} run.onExisting - return, update or fail
+ * @param {boolean} run.validateSchema - Whether to validate profile updates against the user schema
+ * @param {Object} run.profile - Requested profile
+ * @param {Array<string>} run.groupIds - Requested group IDs
+ * @param {Array<Object>} run.resolvedGroups - Group names resolved to IDs, with groupId null for groups still to be created
+ * @param {Map} [run.groupCache] - Group name resolutions shared between batch rows
+ * @param {Array<Object>} run.apps - Apps to assign, from resolveApps
+ * @param {Object} [run.manager] - Manager from resolveManager
+ * @param {string} [run.managerRelationship] - Linked object relationship to link the manager with
+ * @param {Array<Object>} [run.duplicateCandidates] - Candidates when the user was adopted by duplicate detection
+ * @param {boolean} run.dryRun - Plan the writes instead of sending them
+ * @param {Object} run.progress - Progress journal from getProgress
+ * @param {Object} run.client - Okta API client from createOktaClient
+ * @returns {Promise<Object>} Standardized response object, or the plan of a dry run
+ * @throws {Error} With statusCode 409 if onExisting or the lifecycle policy is fail
+ * @private
+ */
+async function syncExistingUser(existingUser, run) {
+  const {
+    params, onExisting, validateSchema, profile, groupIds, resolvedGroups, groupCache, apps, manager, managerRelationship,
+    duplicateCandidates, dryRun, progress, client
+  } = run;
+
+  if (onExisting === 'fail') {
+    const err = new Error(`User ${existingUser.id} already exists and onExisting is set to fail`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  // Steps skipped on a retry leave userData as read back by the lookup step,
+  // which already reflects their changes
+  let userData = existingUser;
+
+  // Bring users that can't sign in back to a usable state before updating them
+  let statusChanged = false;
+  const { statusBefore, lifecycleAction, lifecycleRequest } = await runStep(run, 'lifecycle', async () => {
+    const lifecycle = await applyLifecyclePolicy(userData, params, client, { dryRun });
+    statusChanged = lifecycle.lifecycleAction !== null && !dryRun;
+    return { statusBefore: userData.status, ...lifecycle };
+  });
+
+  // Lifecycle operations don't return the user, so read back the new status.
+  // The read isn't part of the step, so a failed read never repeats the operation.
+  if (statusChanged) {
+    userData = await readUser(userData.id, client);
+  }
+
+  const { profileChanges, schemaValidation, updateRequest } = await runStep(run, 'update', async () => {
+    if (onExisting !== 'update') {
+      return { profileChanges: [], schemaValidation: null, updateRequest: null };
+    }
+
+    const changes = diffProfile(userData.profile, profile);
+    if (changes.length === 0) {
+      return { profileChanges: changes, schemaValidation: null, updateRequest: null };
+    }
+
+    const changedProfile = Object.fromEntries(changes.map(({ attribute, newValue }) => [attribute, newValue]));
+    const existingType = validateSchema && userData.type?.id ? await getUserType(userData.type.id, client) : null;
+    const validation = await checkProfileSchema(changedProfile, client, {
+      enabled: validateSchema,
+      partial: true,
+      schemaId: getSchemaId(existingType)
+    });
+    const request = buildProfileUpdateRequest(userData.id, changedProfile);
+    if (!dryRun) {
+      const updateResponse = await client.request(request.path, request);
+      if (!updateResponse.ok) {
+        throw await createOktaApiError('Failed to update user', updateResponse, { requiredScope: 'okta.users.manage' });
+      }
+      userData = await updateResponse.json();
+      logger.info(`Updated ${changes.length} profile attribute(s) on user ${userData.id}`);
+    }
+    return { profileChanges: changes, schemaValidation: validation, updateRequest: request };
+  });
+
+  // Make sure the requested groups are actually assigned
+  logger.info(`User ${userData.id} already exists with matching attributes`);
+  const groups = await runStep(run, 'missingGroups', () => createPendingGroups(resolvedGroups, client, { cache: groupCache }));
+  const requestedGroupIds = [...new Set([...groupIds, ...groups.map((g) => g.groupId)])];
+  const groupAssignments = await runStep(run, 'groups', () => reconcileGroups(userData.id, requestedGroupIds, client, { dryRun, progress }));
+  const appAssignments = await runStep(run, 'apps', () => assignApps(userData.id, apps, client, { checkExisting: true, dryRun, progress }));
+  // The manager is part of the profile, which only onExisting update changes
+  const appliedManager = onExisting === 'update' ? manager : null;
+  const managerRequest = await runStep(run, 'manager', () => linkManager(userData.id, appliedManager, managerRelationship, client, { dryRun }));
+
+  if (dryRun) {
+    return buildDryRunResponse({
+      action: updateRequest ? 'update-existing' : 'return-existing',
+      userId: userData.id,
+      login: userData.profile?.login,
+      request: updateRequest,
+      lifecycleRequest,
+      groupOperations: planGroupOperations(resolvedGroups, groupAssignments, userData.id),
+      appOperations: planAppOperations(apps, appAssignments, userData.id),
+      managerRequest,
+      profileChanges,
+      schemaValidation,
+      duplicateCandidates
+    }, client);
+  }
+  return buildUserResponse(userData, {
+    requestedGroupIds,
+    groupAssignments,
+    resolvedGroups: groups,
+    appAssignments,
+    manager: appliedManager,
+    managerRelationship: managerRequest ? managerRelationship : null,
+    profileChanges,
+    statusBefore,
+    lifecycleAction,
+    duplicateCandidates,
+    rateLimit: client.getRateLimit(),
+    schemaValidation
+  });
+}
+
+/**
+ * Finds or creates the requested user, as the lookup, create, missingGroups, groups,
+ * apps, manager and activation steps
+ * A lookup that found the login free is never reused by a retry: the attempt
+ * that failed may have created the user before losing the response.
+ * @param {Object} run - State of the current run, as for syncExistingUser, plus:
+ * @param {string} run.requestedLogin - Login from the login input or loginTemplate
+ * @param {boolean} run.generated - Whether the login came from loginTemplate
+ * @param {number} run.maxLoginSuffix - Highest suffix to try for generated logins
+ * @param {Array<string>} run.matchAttributes - Profile attributes used for duplicate detection
+ * @param {string} run.onDuplicate - fail or adopt
+ * @param {Object} [run.credentials] - Okta credentials object built by buildCredentials
+ * @param {Object} [run.userType] - User type resolved by resolveUserType
+ * @param {string} run.activationMode - email, link or reset
+ * @returns {Promise<Object>} Standardized response object, or the plan of a dry run
+ * @throws {Error} With statusCode 409 for conflicts, or an API error if a request fails
+ * @private
+ */
+async function provisionUser(run) {
+  const {
+    params, requestedLogin, generated, maxLoginSuffix, matchAttributes, onDuplicate,
+    validateSchema, profile, credentials, userType, groupIds, resolvedGroups, groupCache, apps, manager, managerRelationship,
+    activationMode, dryRun, progress, client
+  } = run;
+
+  let existingUser = null;
+  let lostCreate = null;
+  const lookup = await runStep(run, 'lookup', async () => {
+    // Check if user already exists, trying alternative logins for generated ones
+    const resolved = await resolveLogin(requestedLogin, params, client, { generated, maxSuffix: maxLoginSuffix });
+    if (resolved.existingUser && isPendingCreate(progress, resolved.existingUser)) {
+      // An earlier attempt sent the create request but lost the response
+      lostCreate = resolved.existingUser;
+      return { login: resolved.login, existingUserId: null, duplicateCandidates: null };
+    }
+    if (resolved.existingUser) {
+      existingUser = resolved.existingUser;
+      return { login: resolved.login, existingUserId: existingUser.id, duplicateCandidates: null };
+    }
+
+    // Login is free, but the person may already have an account under another login
+    profile.login = resolved.login;
+    const candidates = await findDuplicateCandidates(profile, matchAttributes, client);
+    const duplicateCandidates = candidates.map(describeCandidate);
+
+    if (candidates.length > 0) {
+      logger.info(`Found ${candidates.length} existing user(s) matching ${matchAttributes.join(', ')}`);
+
+      if (onDuplicate === 'fail' || candidates.length > 1) {
+        const err = new Error(`Found ${candidates.length} existing user(s) matching the requested identity: ` +
+          duplicateCandidates.map(({ id, matchedOn }) => `${id} (${matchedOn.join(', ')})`).join('; '));
+        err.statusCode = 409;
+        err.candidates = duplicateCandidates;
+        throw err;
+      }
+
+      existingUser = candidates[0].user;
+      return { login: resolved.login, existingUserId: existingUser.id, duplicateCandidates };
+    }
+
+    return { login: resolved.login, existingUserId: null, duplicateCandidates: null };
+  }, { reuse: ({ existingUserId }) => existingUserId !== null || run.checkpoint?.steps.create !== undefined });
+
+  const { login, existingUserId, duplicateCandidates } = lookup;
+  profile.login = login;
+
+  if (existingUserId) {
+    // A resumed run reads the user again to pick up its current state
+    const user = existingUser || await readUser(existingUserId, client);
+    return syncExistingUser(user, duplicateCandidates ? { ...run, duplicateCandidates } : run);
+  }
+
+  // User doesn't exist, check the profile against the schema and create the user
+  const createRequest = buildCreateUserRequest(params, { profile, groupIds, credentials, userType, realmId: params.realmId });
+
+  if (dryRun) {
+    return buildDryRunResponse({
+      action: 'create',
+      login,
+      request: createRequest,
+      groupOperations: planGroupOperations(resolvedGroups, groupIds.map((groupId) => ({ groupId, status: 'assign-on-create' }))),
+      appOperations: planAppOperations(apps, null),
+      managerRequest: await linkManager(PLANNED_USER_ID, manager, managerRelationship, client, { dryRun }),
+      activationRequests: activationMode === 'email' ? [] : buildActivationRequests(PLANNED_USER_ID, activationMode),
+      schemaValidation: await checkProfileSchema(profile, client, { enabled: validateSchema, schemaId: getSchemaId(userType) })
+    }, client);
   }
+
+  const { user: userData, schemaValidation } = await runStep(run, 'create', async () => {
+    if (lostCreate) {
+      logger.info(`Found user ${lostCreate.id} created by an earlier attempt`);
+      recordCreatedUser(progress, lostCreate, login, groupIds);
+      return { user: lostCreate, schemaValidation: null };
+    }
+
+    const validation = await checkProfileSchema(profile, client, { enabled: validateSchema, schemaId: getSchemaId(userType) });
+    // Until the response arrives, the user may or may not exist
+    progress.pendingCreates.push({ login, email: params.email });
+    const createUserResponse = await createUser(createRequest, client);
+
+    if (!createUserResponse.ok) {
+      // A 4xx means Okta refused the request; after a 5xx the user may still have been created
+      if (createUserResponse.status < 500) {
+        clearPendingCreate(progress, login);
+      }
+      throw await createOktaApiError('Failed to create user', createUserResponse, { requiredScope: 'okta.users.manage' });
+    }
+
+    const created = await createUserResponse.json();
+    logger.info(`Successfully created user ${created.id}`);
+    recordCreatedUser(progress, created, login, groupIds);
+    return { user: created, schemaValidation: validation };
+  });
+
+  // Groups that don't exist yet are only created now, and the user is added to them
+  const groups = await runStep(run, 'missingGroups', () => createPendingGroups(resolvedGroups, client, { cache: groupCache }));
+  const newGroupIds = groups.filter((group, index) => resolvedGroups[index].groupId === null).map((group) => group.groupId);
+  const newGroupAssignments = await runStep(run, 'groups', () => reconcileGroups(userData.id, newGroupIds, client, { progress }));
+
+  // Apps can only be assigned once the user exists
+  const appAssignments = await runStep(run, 'apps', () => assignApps(userData.id, apps, client, { progress }));
+  const managerRequest = await runStep(run, 'manager', () => linkManager(userData.id, manager, managerRelationship, client));
+
+  // Activation comes last, and its links are never recorded in partial_results
+  const activation = activationMode === 'email'
+    ? null
+    : await runStep(run, 'activation', () => activateWithoutEmail(userData.id, activationMode, client), { record: false });
+
+  // Groups sent in the create request are assigned atomically with the user
+  const groupAssignments = [...groupIds.map((groupId) => ({ groupId, status: 'added' })), ...newGroupAssignments];
+  return buildUserResponse(activation?.user ?? userData, {
+    requestedGroupIds: [...groupIds, ...newGroupIds],
+    groupAssignments,
+    resolvedGroups: groups,
+    appAssignments,
+    manager,
+    managerRelationship: managerRequest ? managerRelationship : null,
+    rateLimit: client.getRateLimit(),
+    schemaValidation,
+    userType,
+    activation
+  });
 }
 
 /**
- * Validates that an existing user has the same email as the requested email
- * Used to prevent creating duplicate users with different emails but same login
- * @param {Object} existingProfile - Profile of the existing user from Okta
- * @param {Object} params - Parameters containing the requested email
- * @throws {Error} With statusCode 409 if emails don't match
+ * What the halt handler does with users created by the halted run
  * @private
  */
-function assertSameIdentity(existingProfile, params) {
-  const existingEmail = String(existingProfile.email).trim().toLowerCase();
-  const incomingEmail = String(params.email).trim().toLowerCase();
+const HALT_CLEANUP_POLICIES = ['leave', 'deactivate', 'delete'];
 
-  if (existingEmail !== incomingEmail) {
-    const err = new Error('Login already exists in the organization for a user with a different email');
-    err.statusCode = 409;
-    throw err;
+/**
+ * Returns the progress journal of the run
+ * The journal lives in context.partial_results so the halt handler can tell
+ * which users this run created, as opposed to users it found already existing.
+ * pendingCreates lists the create requests sent without a response yet.
+ * @param {Object} context - Execution context
+ * @returns {Object} { createdUsers: [{ id, login }], pendingCreates: [{ login, email }], groupAssignments: [{ userId, groupId }], appAssignments: [{ userId, appId }] }
+ * @private
+ */
+function getProgress(context) {
+  context.partial_results ??= {};
+  context.partial_results.progress ??= { createdUsers: [], groupAssignments: [], appAssignments: [] };
+  context.partial_results.progress.pendingCreates ??= [];
+  return context.partial_results.progress;
+}
+
+/**
+ * Drops the pending create marker of a login
+ * @param {Object} progress - Progress journal from getProgress
+ * @param {string} login - Login sent in the create request
+ * @private
+ */
+function clearPendingCreate(progress, login) {
+  progress.pendingCreates = progress.pendingCreates.filter((pending) => pending.login.toLowerCase() !== login.toLowerCase());
+}
+
+/**
+ * Checks whether a user found by the lookup is the one an earlier attempt
+ * sent a create request for: same login and same email
+ * @param {Object} progress - Progress journal from getProgress
+ * @param {Object} user - Okta user found by the lookup
+ * @returns {boolean} True if the user was created by this run
+ * @private
+ */
+function isPendingCreate(progress, user) {
+  return progress.pendingCreates.some((pending) => pending.login.toLowerCase() === String(user.profile.login).toLowerCase() &&
+    hasSameEmail(user.profile, pending));
+}
+
+/**
+ * Journals a user created by this run, so the halt handler can undo it
+ * @param {Object} progress - Progress journal from getProgress
+ * @param {Object} user - Okta user that was created
+ * @param {string} login - Login sent in the create request
+ * @param {Array<string>} groupIds - Groups assigned in the create request
+ * @private
+ */
+function recordCreatedUser(progress, user, login, groupIds) {
+  clearPendingCreate(progress, login);
+  progress.createdUsers.push({ id: user.id, login: user.profile?.login ?? login });
+  progress.groupAssignments.push(...groupIds.map((groupId) => ({ userId: user.id, groupId })));
+}
+
+/**
+ * Returns the checkpoint of the run, starting a new one if the recorded
+ * checkpoint belongs to a run with different inputs
+ * The checkpoint lives in context.partial_results next to the progress journal,
+ * so a retry of a failed attempt picks up after the last completed step.
+ * @param {Object} context - Execution context
+ * @param {Object} params - Job input parameters
+ * @returns {Object} { inputs, steps } with step results keyed by step name
+ * @private
+ */
+function getCheckpoint(context, params) {
+  const inputs = createHash('sha256').update(JSON.stringify(params)).digest('hex');
+  context.partial_results ??= {};
+  if (context.partial_results.checkpoint?.inputs !== inputs) {
+    context.partial_results.checkpoint = { inputs, steps: {} };
   }
+  return context.partial_results.checkpoint;
 }
 
 /**
- * Fetches an existing user by login from Okta API
- * @param {string} login - User's login/username to search for
- * @param {string} baseUrl - Base URL for the Okta API
- * @param {Object} headers - HTTP headers including authentication
- * @returns {Promise<Response>} Fetch Response object (status 200 if user exists, 404 if not found)
+ * Drops the checkpoint of a finished run, so a later run with the same inputs starts fresh
+ * @param {Object} context - Execution context
  * @private
  */
-async function getUser(login, baseUrl, headers) {
-  const url = `${baseUrl}/api/v1/users/${encodeURIComponent(login)}`;
+function clearCheckpoint(context) {
+  delete context.partial_results.checkpoint;
+}
 
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: headers
-  });
+/**
+ * Undoes the creation of a user created by the halted run
+ * Deleting requires the user to be deactivated first, so delete runs both steps.
+ * @param {Object} user - { id, login } from the progress journal
+ * @param {string} policy - deactivate or delete
+ * @param {Object} client - Okta API client from createOktaClient
+ * @returns {Promise<Object|null>} { userId, login, action } describing what was undone, or null if the user is already gone
+ * @throws {Error} If Okta rejects the deactivation or deletion
+ * @private
+ */
+async function compensateCreatedUser(user, policy, client) {
+  const deactivate = buildLifecycleRequest(user.id, 'deactivate');
+  const deactivateResponse = await client.request(deactivate.path, deactivate);
+  if (deactivateResponse.status === 404) {
+    return null;
+  }
+  if (!deactivateResponse.ok) {
+    throw await createOktaApiError(`Failed to deactivate user ${user.id}`, deactivateResponse, { requiredScope: 'okta.users.manage' });
+  }
+  if (policy === 'deactivate') {
+    return { userId: user.id, login: user.login, action: 'deactivated' };
+  }
 
-  return response;
+  const deleteResponse = await client.request(`/api/v1/users/${encodeURIComponent(user.id)}`, { method: 'DELETE' });
+  if (!deleteResponse.ok && deleteResponse.status !== 404) {
+    throw await createOktaApiError(`Failed to delete user ${user.id}`, deleteResponse, { requiredScope: 'okta.users.manage' });
+  }
+  return { userId: user.id, login: user.login, action: 'deleted' };
 }
 
 /**
- * Creates a new user in Okta with specified profile attributes and group assignments
- * @param {Object} params - User creation parameters
- * @param {string} baseUrl - Base URL for the Okta API
- * @param {Object} headers - HTTP headers including authentication
- * @returns {Promise<Response>} Fetch Response object with created user data
+ * Validates the inputs for one user and works out the settings of its run
+ * Everything is checked here, before any API call is made
+ * @param {Object} params - Job input parameters for one user
+ * @param {Object} [secrets] - Secrets holding the user's password material
+ * @returns {Object} Run settings for executeRun
+ * @throws {Error} If an input is missing or invalid
  * @private
  */
-async function createUser(params, baseUrl, headers) {
-  const { email, login, firstName, lastName, department, employeeNumber, groupIds, additionalProfileAttributes } = params;
+function prepareRun(params, secrets) {
+  assertRequired(params, ['email', 'firstName', 'lastName']);
+  if (params.login && params.loginTemplate) {
+    throw new Error('Provide either login or loginTemplate, not both');
+  }
+  if (!params.loginTemplate) {
+    assertRequired(params, ['login']);
+  }
 
-  // Build profile object with required fields
-  const profile = {
-    email,
-    login,
-    firstName,
-    lastName
-  };
+  const generated = Boolean(params.loginTemplate);
+  const requestedLogin = generated ? renderLoginTemplate(params.loginTemplate, params) : params.login;
+  const maxLoginSuffix = params.maxLoginSuffix === undefined || params.maxLoginSuffix === ''
+    ? DEFAULT_MAX_LOGIN_SUFFIX
+    : parseInteger(params.maxLoginSuffix);
+  if (!(maxLoginSuffix >= 1 && maxLoginSuffix <= MAX_LOGIN_SUFFIX)) {
+    throw new Error(`Invalid maxLoginSuffix parameter: expected an integer from 1 to ${MAX_LOGIN_SUFFIX}`);
+  }
 
-  // Add optional fields if provided
-  if (department) {
-    profile.department = department;
+  // Validate lifecycle options, profile and credentials before making any API calls
+  buildCreateUserQuery(params);
+  const onExisting = params.onExisting || 'return';
+  if (!ON_EXISTING_STRATEGIES.includes(onExisting)) {
+    throw new Error(`Invalid onExisting parameter: expected one of ${ON_EXISTING_STRATEGIES.join(', ')}`);
   }
-  if (employeeNumber) {
-    profile.employeeNumber = employeeNumber;
+  assertLifecyclePolicies(params);
+  const matchAttributes = parseMatchAttributes(params.matchAttributes);
+  const onDuplicate = params.onDuplicate || 'fail';
+  if (!ON_DUPLICATE_POLICIES.includes(onDuplicate)) {
+    throw new Error(`Invalid onDuplicate parameter: expected one of ${ON_DUPLICATE_POLICIES.join(', ')}`);
+  }
+  if (params.haltCleanup && !HALT_CLEANUP_POLICIES.includes(params.haltCleanup)) {
+    throw new Error(`Invalid haltCleanup parameter: expected one of ${HALT_CLEANUP_POLICIES.join(', ')}`);
+  }
+  if (params.managerRelationship && !params.manager) {
+    throw new Error('managerRelationship requires the manager parameter');
+  }
+  if (params.managerRelationship && !/^[A-Za-z][A-Za-z0-9_]*$/.test(params.managerRelationship)) {
+    throw new Error('Invalid managerRelationship parameter: expected the primary name of a linked object definition');
+  }
+  const verifyTimeout = params.verifyTimeout === undefined || params.verifyTimeout === ''
+    ? DEFAULT_VERIFY_TIMEOUT_SECONDS
+    : parseInteger(params.verifyTimeout);
+  if (!(verifyTimeout >= 0 && verifyTimeout <= MAX_VERIFY_TIMEOUT_SECONDS)) {
+    throw new Error(`Invalid verifyTimeout parameter: expected an integer from 0 to ${MAX_VERIFY_TIMEOUT_SECONDS}`);
+  }
+  const activationMode = parseActivationMode(params);
+  const credentials = buildCredentials(params, secrets);
+  if (activationMode === 'reset' && !credentials?.password) {
+    // Okta only resets passwords of ACTIVE users, and users without a password stay PROVISIONED
+    throw new Error('activationMode=reset requires USER_PASSWORD or USER_PASSWORD_HASH; use activationMode=link for users without a password');
   }
 
-  // Parse and add additional profile attributes if provided
-  if (additionalProfileAttributes) {
-    try {
-      const additionalAttrs = JSON.parse(additionalProfileAttributes);
-      Object.assign(profile, additionalAttrs);
-    } catch (error) {
-      throw new Error(`Invalid additionalProfileAttributes JSON: ${error.message}`, { cause: error });
-    }
+  // Normalize before the lookups, so they search for the values that will be stored
+  const skipNormalization = parseGroupIds(params.skipNormalization);
+  const invalidSkips = skipNormalization.filter((attribute) => !/^[A-Za-z][A-Za-z0-9_]*$/.test(attribute));
+  if (invalidSkips.length > 0) {
+    throw new Error(`Invalid skipNormalization: ${invalidSkips.join(', ')}`);
   }
+  const requestedProfile = buildProfile({ ...params, login: requestedLogin });
+  const { profile, changes: normalizedAttributes } = parseBoolean(params.normalizeProfile, true, 'normalizeProfile')
+    ? normalizeProfile(requestedProfile, { skip: skipNormalization })
+    : { profile: requestedProfile, changes: [] };
+  logger.addSensitive([params.email, params.login, params.manager, requestedLogin]);
+  logger.addSensitiveProfile(requestedProfile);
+  logger.addSensitiveProfile(profile);
 
-  // Build request body
-  const requestBody = {
-    profile
+  return {
+    params,
+    requestedLogin: profile.login,
+    generated,
+    maxLoginSuffix,
+    onExisting,
+    matchAttributes,
+    onDuplicate,
+    validateSchema: parseBoolean(params.validateSchema, true, 'validateSchema'),
+    createMissingGroups: parseBoolean(params.createMissingGroups, false, 'createMissingGroups'),
+    dryRun: parseBoolean(params.dryRun, false, 'dryRun'),
+    verify: parseBoolean(params.verify, false, 'verify'),
+    verifyTimeoutMs: verifyTimeout * 1000,
+    appAssignments: parseAppAssignments(params.appAssignments),
+    managerRelationship: params.managerRelationship || null,
+    activationMode,
+    profile,
+    normalizedAttributes,
+    credentials
   };
+}
 
-  // Parse and add group IDs if provided
-  const groupIdArray = parseGroupIds(groupIds);
-  if (groupIdArray.length > 0) {
-    requestBody.groupIds = groupIdArray;
+/**
+ * Creates the Okta API client for a run
+ * @param {Object} params - Job input parameters
+ * @param {Object} context - Execution context with secrets and environment
+ * @returns {Promise<Object>} Okta API client from createOktaClient
+ * @private
+ */
+async function connect(params, context) {
+  // Get base URL using utility function
+  const baseUrl = getBaseURL(params, context);
+  if (context.secrets?.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY) {
+    const { headers, dpop } = await getPrivateKeyJwtAuth(baseUrl, context);
+    return createOktaClient({ baseUrl, headers, dpop });
   }
+  const authHeader = await getOktaAuthHeader(context);
+  return createOktaClient({ baseUrl, headers: authHeader });
+}
+
+/**
+ * Starts logging for a job handler: applies LOG_LEVEL, registers every secret
+ * of the run and the personal values among the inputs
+ * invoke, error and halt all start here. The hash key is kept in
+ * partial_results, so every handler of a job hashes a person the same way.
+ * @param {Object} params - Job input parameters
+ * @param {Object} context - Execution context with secrets, environment and partial_results
+ * @private
+ */
+function configureLogger(params, context) {
+  context.partial_results ??= {};
+  context.partial_results.logKey ??= randomBytes(32).toString('hex');
+  logger.configure({
+    level: context.environment?.LOG_LEVEL,
+    secrets: Object.values(context.secrets || {}),
+    hashKey: context.partial_results.logKey
+  });
+  logger.addSensitiveProfile(params);
+}
+
+/**
+ * Resolves the user type, manager, groups and apps of a prepared run and provisions the user
+ * Conflicts found in a dry run are returned as the plan instead of thrown
+ * @param {Object} run - Run settings from prepareRun, plus the checkpoint and context for runStep
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {Object} options - Execution options
+ * @param {Object} options.progress - Progress journal from getProgress
+ * @param {Map} [options.groupCache] - Group name resolutions shared between batch rows
+ * @param {Map} [options.appCache] - App resolutions shared between batch rows
+ * @returns {Promise<Object>} Standardized response object, or the plan of a dry run
+ * @private
+ */
+async function executeRun(run, client, { progress, groupCache, appCache }) {
+  const { params, createMissingGroups, appAssignments, dryRun, profile } = run;
 
-  // Build URL using base URL (already cleaned by getBaseUrl)
-  const url = `${baseUrl}/api/v1/users`;
+  const { userType, resolvedGroups, groupIds, apps, manager } = await runStep(run, 'resolve', async () => {
+    // Resolve the user type, manager and apps up front so an unknown one fails before any writes
+    const type = await resolveUserType(params.userType, client);
+    const resolvedManager = await resolveManager(params.manager, client);
+    const resolvedApps = await resolveApps(appAssignments, client, { cache: appCache });
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(requestBody)
+    // Resolve group names and merge them with the explicit group IDs
+    const groups = await resolveGroupNames(parseGroupNames(params.groupNames), createMissingGroups, client, {
+      dryRun,
+      cache: groupCache
+    });
+    const ids = [...new Set([...parseGroupIds(params.groupIds), ...groups.map((g) => g.groupId).filter(Boolean)])];
+    return { userType: type, resolvedGroups: groups, groupIds: ids, apps: resolvedApps, manager: resolvedManager };
   });
 
-  return response;
+  if (manager) {
+    profile.managerId = manager.id;
+    profile.manager = manager.displayName;
+  }
+
+  let result;
+  try {
+    result = await provisionUser({ ...run, userType, resolvedGroups, groupIds, apps, manager, progress, groupCache, client });
+  } catch (error) {
+    // A conflict is a valid plan outcome: report it instead of failing the dry run
+    if (dryRun && error.statusCode === 409) {
+      return buildDryRunResponse({
+        action: 'conflict',
+        reason: error.message,
+        login: profile.login,
+        duplicateCandidates: error.candidates || []
+      }, client);
+    }
+    throw error;
+  }
+
+  if (!run.verify || dryRun) {
+    return result;
+  }
+
+  // New users were sent the whole profile; existing users only the attributes that changed
+  const sentProfile = result.statusBefore === null
+    ? profile
+    : Object.fromEntries(result.profileChanges.map(({ attribute, newValue }) => [attribute, newValue]));
+  const { user, verification } = await runStep(run, 'verify', () => verifyUser(
+    result.id,
+    { profile: sentProfile, groupIds: result.groupIds },
+    client,
+    { timeoutMs: run.verifyTimeoutMs }
+  ), { record: false });
+  return { ...result, ...describeUser(user), verification };
 }
 
 /**
- * Parse comma-separated group IDs from params
- * @param {Object} params - Job input parameters
- * @returns {Array<string>} Array of group IDs
+ * Default number of batch rows processed at the same time
  * @private
  */
-function parseGroupIds(groupIds) {
-  if (!groupIds) {
-    return [];
+const DEFAULT_BATCH_CONCURRENCY = 4;
+
+/**
+ * Upper bound for batchConcurrency, to keep a batch from using up the org's rate limit
+ * @private
+ */
+const MAX_BATCH_CONCURRENCY = 10;
+
+/**
+ * Decides the audit action of a completed run
+ * @param {Object} result - Response of executeRun
+ * @param {Object} trail - Audit trail of the run from createAuditTrail
+ * @returns {Object} { action, userId, login } for the audit record
+ * @private
+ */
+function describeAuditOutcome(result, trail) {
+  if (result.dryRun) {
+    return {
+      action: result.plan.action === 'conflict' ? 'conflict' : 'planned',
+      userId: result.plan.userId ?? null,
+      login: result.plan.login ?? null
+    };
   }
-  return groupIds.split(',').map(id => id.trim()).filter(id => id);
+
+  let action = 'unchanged';
+  if (result.statusBefore === null) {
+    action = 'created';
+  } else if (result.duplicateCandidates.length > 0) {
+    action = 'adopted';
+  } else if (result.profileChanges.length > 0 || result.lifecycleAction || trail.hasMutations()) {
+    // Changes made by an earlier attempt of a resumed run are only in the checkpointed results
+    action = 'updated';
+  }
+  return { action, userId: result.id, login: result.login };
 }
 
 /**
- * Build standardized user response object
- * @param {Object} userData - User data from Okta API
- * @param {Array<string>} groupIds - Array of group IDs
- * @returns {Object} Standardized response object
+ * Decides the audit action of a failed run
+ * @param {Error} error - Error the run failed with
+ * @param {string} [login] - Login the run was working on
+ * @returns {Object} { action, login, error } for the audit record
+ * @private
+ */
+function describeAuditFailure(error, login) {
+  return { action: error.statusCode === 409 ? 'conflict' : 'failed', login: login ?? null, error };
+}
+
+/**
+ * Summarizes the outcome of one batch row
+ * @param {Object} row - { row, email, login } identifying the row
+ * @param {Object} result - Response of executeRun for the row
+ * @returns {Object} Row result with outcome created, existing or planned
  * @private
  */
-function buildUserResponse(userData, groupIds) {
+function describeBatchRow(row, result) {
+  if (result.dryRun) {
+    return {
+      ...row,
+      login: result.plan.login ?? row.login,
+      outcome: 'planned',
+      id: result.plan.userId,
+      status: null,
+      error: null,
+      retryable: null,
+      plan: result.plan
+    };
+  }
+
   return {
-    id: userData.id,
-    status: userData.status,
-    created: userData.created,
-    activated: userData.activated,
-    statusChanged: userData.statusChanged,
-    lastLogin: userData.lastLogin,
-    lastUpdated: userData.lastUpdated,
-    profile: userData.profile,
-    groupIds: groupIds
+    ...row,
+    login: result.login,
+    outcome: result.statusBefore === null ? 'created' : 'existing',
+    id: result.id,
+    status: result.status,
+    error: null,
+    retryable: null
+  };
+}
+
+/**
+ * Creates every user in the users input
+ * Rows run with bounded concurrency through one shared client, so they share the
+ * rate limit handling and the runtime budget. A failed row is reported in its
+ * result and never stops the other rows; rows that can't start before the
+ * budget runs out are reported as skipped. Completed rows are checkpointed, so
+ * running the same batch again only retries the rows that didn't complete.
+ * @param {Object} params - Job input parameters; everything but users and batchConcurrency applies to every row
+ * @param {Object} context - Execution context with secrets and environment
+ * @returns {Promise<Object>} { batch, results, summary, rateLimit }
+ * @throws {Error} If the batch itself is invalid
+ * @private
+ */
+async function runBatch(params, context) {
+  const { users, batchConcurrency, ...sharedParams } = params;
+  const rows = parseBatchUsers(users);
+
+  const concurrency = batchConcurrency === undefined || batchConcurrency === ''
+    ? DEFAULT_BATCH_CONCURRENCY
+    : parseInteger(batchConcurrency);
+  if (!(concurrency >= 1 && concurrency <= MAX_BATCH_CONCURRENCY)) {
+    throw new Error(`Invalid batchConcurrency parameter: expected an integer from 1 to ${MAX_BATCH_CONCURRENCY}`);
+  }
+  if (sharedParams.haltCleanup && !HALT_CLEANUP_POLICIES.includes(sharedParams.haltCleanup)) {
+    throw new Error(`Invalid haltCleanup parameter: expected one of ${HALT_CLEANUP_POLICIES.join(', ')}`);
+  }
+  if (context.secrets?.USER_PASSWORD || context.secrets?.USER_PASSWORD_HASH) {
+    throw new Error('USER_PASSWORD and USER_PASSWORD_HASH cannot be used with users: every user in the batch would get the same password');
+  }
+  if ([sharedParams, ...rows].some(({ activationMode }) => activationMode && activationMode !== 'email')) {
+    throw new Error('activationMode link and reset cannot be used with users: batch results don\'t return activation links');
+  }
+
+  logger.info(`Starting Okta batch user creation for ${rows.length} user(s) with concurrency ${concurrency}`);
+  const client = await connect(params, context);
+  const authMode = getAuthMode(context);
+  const progress = getProgress(context);
+  const checkpoint = getCheckpoint(context, params);
+  const groupCache = new Map();
+  const appCache = new Map();
+
+  const results = await mapWithConcurrency(rows, concurrency, async (row, index) => {
+    const rowParams = row instanceof Error ? {} : { ...sharedParams, ...row };
+    const entry = { row: index + 1, email: rowParams.email ?? null, login: rowParams.login ?? null };
+    const step = `row ${index + 1}`;
+
+    if (checkpoint.steps[step]) {
+      logger.info(`Skipping batch row ${index + 1}, completed by an earlier attempt`);
+      return checkpoint.steps[step];
+    }
+    if (client.getRemainingBudget() <= 0) {
+      return {
+        ...entry,
+        outcome: 'skipped',
+        id: null,
+        status: null,
+        error: 'Runtime budget exhausted before this row started',
+        retryable: true,
+        audit: null
+      };
+    }
+
+    // Each row gets its own trail, so calls of rows running side by side aren't mixed up
+    const trail = createAuditTrail({ authMode });
+    let run = null;
+    try {
+      // Rows parseBatchUsers couldn't read fail on their own
+      if (row instanceof Error) {
+        throw row;
+      }
+      run = prepareRun(rowParams, {});
+      const response = await executeRun(run, trail.wrap(client), { progress, groupCache, appCache });
+      const result = { ...describeBatchRow(entry, response), audit: trail.finish(describeAuditOutcome(response, trail)) };
+      if (result.outcome !== 'planned') {
+        checkpoint.steps[step] = result;
+      }
+      return result;
+    } catch (error) {
+      logger.error(`Batch row ${index + 1} failed`, { error });
+      return {
+        ...entry,
+        outcome: 'failed',
+        id: null,
+        status: null,
+        error: error.message,
+        retryable: isRetryableError(error),
+        audit: trail.finish(describeAuditFailure(error, run?.profile.login ?? entry.login))
+      };
+    }
+  });
+
+  const summary = { total: results.length, created: 0, existing: 0, planned: 0, failed: 0, skipped: 0 };
+  for (const { outcome } of results) {
+    summary[outcome]++;
+  }
+  logger.info(`Batch finished: ${summary.created} created, ${summary.existing} existing, ${summary.planned} planned, ` +
+    `${summary.failed} failed, ${summary.skipped} skipped`);
+
+  // Keep the checkpoint while rows are left to retry, so running the batch again only picks those up
+  if (!results.some(({ outcome, retryable }) => outcome === 'skipped' || (outcome === 'failed' && retryable))) {
+    clearCheckpoint(context);
+  }
+
+  return {
+    batch: true,
+    results,
+    summary,
+    rateLimit: client.getRateLimit(),
+    address: client.getBaseUrl()
   };
 }
 
@@ -179,15 +2879,54 @@ export default {
    * @param {string} params.firstName - User's first name
    * @param {string} params.lastName - User's last name
    * @param {string} params.email - User's email address
-   * @param {string} params.login - User's login/username
+   * @param {string} params.login - User's login/username (required unless loginTemplate is set)
+   * @param {string} params.loginTemplate - Template to generate the login from, e.g. {firstName}.{lastName}@corp.com (optional)
+   * @param {number} params.maxLoginSuffix - Highest numbered suffix tried when a generated login is taken (default: 9)
    * @param {string} params.department - User's department (optional)
    * @param {string} params.employeeNumber - Employee number (optional)
    * @param {string} params.groupIds - Comma-separated group IDs (optional)
+   * @param {string} params.groupNames - Comma-separated or JSON array of group names to resolve (optional)
+   * @param {boolean} params.createMissingGroups - Create OKTA_GROUP groups for names that don't exist (default: false)
+   * @param {string} params.appAssignments - Comma-separated or JSON array of app IDs, labels or { app, scope, profile } objects to assign (optional)
+   * @param {string} params.manager - Login, email or Okta ID of the user's manager, filling in managerId and manager (optional)
+   * @param {string} params.managerRelationship - Primary name of a linked object definition to link the manager with, e.g. manager (optional)
    * @param {string} params.additionalProfileAttributes - JSON string of additional attributes (optional)
+   * @param {boolean} params.normalizeProfile - Normalize whitespace, emails, phones, countries, locales and time zones before sending the profile (default: true)
+   * @param {string} params.skipNormalization - Comma-separated profile attributes to send exactly as given (optional)
+   * @param {boolean} params.validateSchema - Validate the profile against the org's user schema before writing it (default: true)
+   * @param {string} params.userType - User type ID, name or display name to create the user with (optional)
+   * @param {string} params.realmId - Identity Engine realm ID to create the user in (optional)
+   * @param {string} params.onExisting - What to do when the login already exists: return, update or fail (default: return)
+   * @param {string} params.onDeprovisioned - Existing DEPROVISIONED user: return, reactivate or fail (default: return)
+   * @param {string} params.onSuspended - Existing SUSPENDED user: return, unsuspend or fail (default: return)
+   * @param {string} params.onLockedOut - Existing LOCKED_OUT user: return, unlock or fail (default: return)
+   * @param {string} params.onStaged - Existing STAGED user: return, activate or fail (default: return)
+   * @param {string} params.matchAttributes - Comma-separated profile attributes used to detect duplicates under other logins (optional)
+   * @param {string} params.onDuplicate - What to do when duplicate detection finds a user: fail or adopt (default: fail)
+   * @param {boolean} params.activate - Activate the user on creation, false creates a STAGED user (default: true)
+   * @param {boolean} params.provider - Create the user with an external authentication provider (default: true with providerType, otherwise false)
+   * @param {string} [params.providerType] - External authentication provider: FEDERATION, SOCIAL, LDAP or ACTIVE_DIRECTORY
+   * @param {string} [params.providerName] - Provider name; the directory instance name for LDAP and ACTIVE_DIRECTORY
+   * @param {string} params.nextLogin - Set to changePassword to expire the password on first login (optional)
+   * @param {string} params.activationMode - email (Okta emails the user), link (return the activation link) or reset (return a reset password link) (default: email)
+   * @param {string} params.passwordHashAlgorithm - Imported password hash algorithm: BCRYPT, SHA-512, SHA-256, SHA-1, MD5 or PBKDF2 (optional)
+   * @param {string} params.passwordHashSalt - Salt used to compute the imported hash (optional)
+   * @param {string} params.passwordHashSaltOrder - PREFIX or POSTFIX, for salted SHA-* and MD5 hashes (optional)
+   * @param {number} params.passwordHashWorkFactor - BCRYPT work factor (optional)
+   * @param {string} params.passwordHashDigestAlgorithm - PBKDF2 digest algorithm: SHA256_HMAC or SHA512_HMAC (optional)
+   * @param {number} params.passwordHashIterations - PBKDF2 iteration count (optional)
+   * @param {number} params.passwordHashKeySize - PBKDF2 derived key size in bytes (optional)
+   * @param {boolean} params.dryRun - Do every read but no writes, and return the plan instead (default: false)
+   * @param {boolean} params.verify - Read the user and their groups back after the writes and report mismatches (default: false)
+   * @param {number} params.verifyTimeout - Seconds verification keeps polling for the user to settle (default: 10)
+   * @param {string} params.users - JSON array or CSV of per-user parameters to create in one batch (optional)
+   * @param {number} params.batchConcurrency - Number of batch rows processed at the same time (default: 4)
+   * @param {string} params.haltCleanup - What halt does with users created by this run: leave, deactivate or delete (default: leave)
    * @param {string} params.address - Full URL to Okta API (defaults to ADDRESS environment variable)
    *
    * @param {Object} context - Execution context with secrets and environment
    * @param {string} context.environment.ADDRESS - Default Okta API base URL
+   * @param {string} context.environment.LOG_LEVEL - Lowest log level written (default: info)
    *
    * The configured auth type will determine which of the following environment variables and secrets are available
    * @param {string} context.secrets.BEARER_AUTH_TOKEN
@@ -204,110 +2943,131 @@ export default {
    *
    * @param {string} context.secrets.OAUTH2_AUTHORIZATION_CODE_ACCESS_TOKEN
    *
+   * @param {string} context.secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY - PEM or JWK private key of an Okta API service app
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_SCOPE
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_KEY_ID - Key ID registered in Okta (optional)
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_TOKEN_URL - Token endpoint (default: {address}/oauth2/v1/token)
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_DPOP - Request a DPoP-bound token (default: true)
+   *
+   * Password material for the new user is always read from secrets
+   * @param {string} context.secrets.USER_PASSWORD - Plaintext password for the new user (optional)
+   * @param {string} context.secrets.USER_PASSWORD_HASH - Base64 password hash to import (optional)
+   *
    * @returns {Object} Job results with created user information
    */
   invoke: async (params, context) => {
-    assertRequired(params, ['email', 'login', 'firstName', 'lastName']);
-
-    const { email, login } = params;
-
-    console.log(`Starting Okta user creation for ${email}`);
-
-    // Get base URL using utility function
-    const baseUrl = getBaseURL(params, context);
-    const authHeader = await getOktaAuthHeader(context);
-
-    // Check if user already exists
-    const getUserResponse = await getUser(login, baseUrl, authHeader);
-
-    if (getUserResponse.ok) {
-      // User already exists, compare attributes
-      const existingUser = await getUserResponse.json();
-      assertSameIdentity(existingUser.profile, params);
-
-      // User exists with matching attributes, return existing user
-      console.log(`User ${existingUser.id} already exists with matching attributes`);
-      const groupIds = parseGroupIds(params.groupIds);
-      return buildUserResponse(existingUser, groupIds);
+    configureLogger(params, context);
+    if (params.users) {
+      return runBatch(params, context);
     }
 
-    if (getUserResponse.status === 404) {
-      // User doesn't exist, create new user
-      const createUserResponse = await createUser(params, baseUrl, authHeader);
-
-      if (createUserResponse.ok) {
-        const userData = await createUserResponse.json();
-        console.log(`Successfully created user ${userData.id}`);
-
-        const groupIds = parseGroupIds(params.groupIds);
-        return buildUserResponse(userData, groupIds);
-      }
-
-      // Failed to create user
-      const errorMessage = `Failed to create user: HTTP ${createUserResponse.status}`;
-      let errorBody;
-      try {
-        errorBody = await createUserResponse.json();
-        console.error('Create user error details:', errorBody);
-      } catch {
-        console.error('Failed to parse error response');
-      }
-
-      const error = new Error(errorMessage);
-      error.statusCode = createUserResponse.status;
-      error.body = errorBody;
-      throw error;
-    }
+    const run = prepareRun(params, context.secrets);
+    logger.info('Starting Okta user creation', { email: params.email, dryRun: run.dryRun });
 
-    // Unexpected error when checking for existing user
-    const errorMessage = `Failed to check if user exists: HTTP ${getUserResponse.status}`;
-    let errorBody;
+    const client = await connect(params, context);
+    const trail = createAuditTrail({ authMode: getAuthMode(context) });
+    // Dry runs make no writes, so there is nothing to resume
+    const checkpoint = run.dryRun ? null : getCheckpoint(context, params);
+    let result;
     try {
-      errorBody = await getUserResponse.json();
-      console.error('Get user error details:', errorBody);
-    } catch {
-      console.error('Failed to parse error response');
+      result = await executeRun({ ...run, checkpoint, context }, trail.wrap(client), { progress: getProgress(context) });
+    } catch (error) {
+      // The error is the only output of a failed run, so it carries the audit record
+      error.audit = trail.finish(describeAuditFailure(error, run.profile.login));
+      throw error;
     }
-
-    const error = new Error(errorMessage);
-    error.statusCode = getUserResponse.status;
-    error.body = errorBody;
-    throw error;
+    clearCheckpoint(context);
+    return {
+      ...result,
+      normalizedAttributes: run.normalizedAttributes,
+      address: client.getBaseUrl(),
+      audit: trail.finish(describeAuditOutcome(result, trail))
+    };
   },
 
   /**
-   * Error recovery handler - framework handles retries by default
+   * Error recovery handler - decides whether the framework should retry
+   * The error is always re-thrown as it came, status code included, so the
+   * framework's retry of transient statuses (429, 502, 503, 504) still applies.
+   * Errors a retry can't fix (validation, conflict, insufficient scope, not
+   * found) are flagged retryable: false first; errors that can't be classified
+   * are left untouched.
    * @param {Object} params - Original params plus error information
    * @param {Object} context - Execution context
    * @returns {Object} Recovery results
+   * @throws {Error} The original error
    */
-  error: async (params, _context) => {
+  error: async (params, context) => {
     const { error, email } = params;
-    console.error(`User creation failed for ${email}: ${error.message}`);
+    configureLogger(params, context);
+
+    if (isRetryableError(error)) {
+      logger.error('User creation failed with a retryable error', { email, error });
+      throw error;
+    }
+
+    if (typeof error?.retryable !== 'boolean' && !error?.statusCode) {
+      logger.error('User creation failed', { email, error });
+      throw error;
+    }
 
-    // Framework handles retries for transient errors (429, 502, 503, 504)
-    // Just re-throw the error to let the framework handle it
+    logger.error('User creation failed and will not be retried', { email, error });
+    error.retryable = false;
     throw error;
   },
 
   /**
    * Graceful shutdown handler - cleanup when job is halted
+   * Applies the haltCleanup policy to the users this run created: leave them,
+   * deactivate them, or deactivate and delete them
    * @param {Object} params - Original params plus halt reason
-   * @param {Object} context - Execution context
-   * @returns {Object} Cleanup results
+   * @param {Object} context - Execution context, with the run's progress in partial_results
+   * @returns {Object} Cleanup results listing what was undone
    */
-  halt: async (params, _context) => {
+  halt: async (params, context) => {
     const { reason, email } = params;
-    console.log(`User creation job is being halted (${reason}) for ${email}`);
+    configureLogger(params, context);
+    logger.info('User creation job is being halted', { reason, email });
+
+    // Only users this run created are compensated; users it found already existing are never touched
+    const createdUsers = context?.partial_results?.progress?.createdUsers || [];
+    let cleanupPolicy = params.haltCleanup || 'leave';
+    if (!HALT_CLEANUP_POLICIES.includes(cleanupPolicy)) {
+      logger.error(`Unknown haltCleanup policy ${cleanupPolicy}, leaving created users in place`);
+      cleanupPolicy = 'leave';
+    }
 
-    // No cleanup needed for this simple operation
-    // The POST request either completed or didn't
+    const undone = [];
+    const cleanupFailures = [];
+    if (cleanupPolicy !== 'leave' && createdUsers.length > 0) {
+      try {
+        const client = await connect(params, context);
+        for (const user of createdUsers) {
+          try {
+            const result = await compensateCreatedUser(user, cleanupPolicy, client);
+            if (result) {
+              logger.info(`Halt cleanup ${result.action} user ${user.id}`);
+              undone.push(result);
+            }
+          } catch (error) {
+            cleanupFailures.push({ userId: user.id, login: user.login, error: error.message });
+          }
+        }
+      } catch (error) {
+        cleanupFailures.push(...createdUsers.map((user) => ({ userId: user.id, login: user.login, error: error.message })));
+      }
+    }
 
     return {
       email: email || 'unknown',
       reason: reason,
       haltedAt: new Date().toISOString(),
-      cleanupCompleted: true
+      cleanupPolicy,
+      createdUsers,
+      undone,
+      cleanupFailures,
+      cleanupCompleted: cleanupFailures.length === 0
     };
   }
 };
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * Okta user schema validation
+ *
+ * Checks a profile against the org's user schema before it is sent, so typos,
+ * wrong types and out-of-range values are reported together instead of as an
+ * opaque 400 from Okta.
+ */
+
+import { createOktaApiError } from './okta-errors.mjs';
+
+/**
+ * Fetches a user schema
+ * @param {Object} client - Okta API client from createOktaClient
+ * @param {string} [schemaId] - Schema ID for a user type (default: the default user type)
+ * @returns {Promise<Object>} Okta user schema
+ * @throws {OktaApiError} If the schema can't be read
+ */
+export async function fetchUserSchema(client, schemaId = 'default') {
+  const response = await client.request(`/api/v1/meta/schemas/user/${encodeURIComponent(schemaId)}`);
+
+  if (!response.ok) {
+    throw await createOktaApiError('Failed to read user schema', response, { requiredScope: 'okta.schemas.read' });
+  }
+
+  return response.json();
+}
+
+/**
+ * Collects the base and custom attribute definitions of a schema
+ * @param {Object} schema - Okta user schema
+ * @returns {Object} { properties, required } keyed by attribute name
+ * @private
+ */
+function collectDefinitions(schema) {
+  const definitions = Object.values(schema.definitions || {});
+  return {
+    properties: Object.assign({}, ...definitions.map((definition) => definition.properties || {})),
+    required: definitions.flatMap((definition) => definition.required || [])
+  };
+}
+
+/**
+ * Checks a single value against a JSON schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Okta schema type (string, boolean, number, integer, array)
+ * @returns {boolean} True if the value has the type
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Lists the allowed values of an attribute, from enum or oneOf
+ * @param {Object} property - Attribute definition
+ * @returns {Array|null} Allowed values, or null if any value is allowed
+ * @private
+ */
+function allowedValues(property) {
+  if (Array.isArray(property?.enum)) {
+    return property.enum;
+  }
+  if (Array.isArray(property?.oneOf)) {
+    return property.oneOf.map((option) => option.const);
+  }
+  return null;
+}
+
+/**
+ * Validates one attribute value against its definition
+ * @param {string} attribute - Attribute name
+ * @param {*} value - Requested value
+ * @param {Object} property - Attribute definition from the schema
+ * @returns {Array<string>} Violations for this attribute
+ * @private
+ */
+function validateAttribute(attribute, value, property) {
+  const violations = [];
+
+  if (property.mutability === 'READ_ONLY') {
+    violations.push(`${attribute}: attribute is read-only`);
+    return violations;
+  }
+
+  // Null clears an attribute; required attributes are checked separately
+  if (value === null) {
+    return violations;
+  }
+
+  if (!matchesType(value, property.type)) {
+    violations.push(`${attribute}: expected ${property.type} but got ${Array.isArray(value) ? 'array' : typeof value}`);
+    return violations;
+  }
+
+  const values = property.type === 'array' ? value : [value];
+  const itemProperty = property.type === 'array' ? (property.items || {}) : property;
+  const allowed = allowedValues(itemProperty);
+
+  for (const item of values) {
+    if (property.type === 'array' && itemProperty.type && !matchesType(item, itemProperty.type)) {
+      violations.push(`${attribute}: expected array of ${itemProperty.type} but found ${typeof item}`);
+      continue;
+    }
+    if (allowed && !allowed.includes(item)) {
+      violations.push(`${attribute}: ${JSON.stringify(item)} is not one of ${allowed.map((v) => JSON.stringify(v)).join(', ')}`);
+    }
+    if (typeof item === 'string') {
+      if (itemProperty.minLength !== undefined && item.length < itemProperty.minLength) {
+        violations.push(`${attribute}: must be at least ${itemProperty.minLength} characters`);
+      }
+      if (itemProperty.maxLength !== undefined && item.length > itemProperty.maxLength) {
+        violations.push(`${attribute}: must be at most ${itemProperty.maxLength} characters`);
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validates a profile against a user schema
+ * @param {Object} profile - Profile to validate
+ * @param {Object} schema - Okta user schema from fetchUserSchema
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial] - Skip required attribute checks, for partial profile updates
+ * @returns {Array<string>} Every violation found (empty if the profile is valid)
+ */
+export function validateProfile(profile, schema, { partial = false } = {}) {
+  const { properties, required } = collectDefinitions(schema);
+  const violations = [];
+
+  if (!partial) {
+    for (const attribute of required) {
+      const value = profile[attribute];
+      if (value === undefined || value === null || value === '') {
+        violations.push(`${attribute}: attribute is required`);
+      }
+    }
+  }
+
+  for (const [attribute, value] of Object.entries(profile)) {
+    const property = properties[attribute];
+    if (!property) {
+      violations.push(`${attribute}: attribute is not defined in the user schema`);
+      continue;
+    }
+    violations.push(...validateAttribute(attribute, value, property));
+  }
+
+  return violations;
+}
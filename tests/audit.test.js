@@ -0,0 +1,92 @@
+import { createAuditTrail, AUDIT_SCHEMA_VERSION } from '../src/audit.mjs';
+
+describe('Audit Trail', () => {
+  let clock;
+
+  const createTrail = () => createAuditTrail({ authMode: 'ssws', now: () => new Date(clock) });
+
+  const call = (method, status, overrides = {}) => ({
+    method,
+    path: '/api/v1/users',
+    status,
+    requestId: 'req-1',
+    attempts: 1,
+    startedAt: '2024-01-01T00:00:00.000Z',
+    completedAt: '2024-01-01T00:00:00.100Z',
+    error: null,
+    ...overrides
+  });
+
+  // Stands in for createOktaClient, reporting the given calls for every request
+  const fakeClient = (...reports) => ({
+    request: async (path, { onCall }) => {
+      onCall(reports.shift());
+      return { ok: true };
+    },
+    getBaseUrl: () => 'https://example.okta.com'
+  });
+
+  beforeEach(() => {
+    clock = Date.parse('2024-01-01T00:00:00.000Z');
+  });
+
+  describe('wrap', () => {
+    test('should record the outcome of every request made through the client', async () => {
+      const trail = createTrail();
+      const client = trail.wrap(fakeClient(
+        call('GET', 404),
+        call('POST', 200),
+        call('PUT', 403, { requestId: 'req-2' }),
+        call('DELETE', null, { requestId: null, attempts: 3, error: 'socket hang up' })
+      ));
+
+      for (const method of ['GET', 'POST', 'PUT', 'DELETE']) {
+        await client.request('/api/v1/users', { method });
+      }
+
+      expect(client.getBaseUrl()).toBe('https://example.okta.com');
+      expect(trail.finish({ action: 'failed' }).calls.map(({ method, mutation, outcome, status, attempts, error }) =>
+        ({ method, mutation, outcome, status, attempts, error }))).toEqual([
+        { method: 'GET', mutation: false, outcome: 'not-found', status: 404, attempts: 1, error: null },
+        { method: 'POST', mutation: true, outcome: 'success', status: 200, attempts: 1, error: null },
+        { method: 'PUT', mutation: true, outcome: 'failed', status: 403, attempts: 1, error: null },
+        { method: 'DELETE', mutation: true, outcome: 'network-error', status: null, attempts: 3, error: 'socket hang up' }
+      ]);
+    });
+  });
+
+  describe('hasMutations', () => {
+    test('should only count writes that succeeded', async () => {
+      const trail = createTrail();
+      const client = trail.wrap(fakeClient(call('GET', 200), call('PUT', 500), call('POST', 204)));
+
+      await client.request('/a', { method: 'GET' });
+      await client.request('/b', { method: 'PUT' });
+      expect(trail.hasMutations()).toBe(false);
+
+      await client.request('/c', { method: 'POST' });
+      expect(trail.hasMutations()).toBe(true);
+    });
+  });
+
+  describe('finish', () => {
+    test('should produce a record with the documented fields', () => {
+      const trail = createTrail();
+      clock += 1500;
+
+      const error = Object.assign(new Error('Failed to create user: HTTP 400'), { statusCode: 400, requestId: 'req-9' });
+
+      expect(trail.finish({ action: 'failed', login: 'john.doe@example.com', error })).toEqual({
+        schemaVersion: AUDIT_SCHEMA_VERSION,
+        action: 'failed',
+        userId: null,
+        login: 'john.doe@example.com',
+        actor: { authMode: 'ssws' },
+        startedAt: '2024-01-01T00:00:00.000Z',
+        completedAt: '2024-01-01T00:00:01.500Z',
+        calls: [],
+        error: { message: 'Failed to create user: HTTP 400', statusCode: 400, requestId: 'req-9' }
+      });
+    });
+  });
+});
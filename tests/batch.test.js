@@ -0,0 +1,87 @@
+import { parseBatchUsers, mapWithConcurrency, MAX_BATCH_SIZE } from '../src/batch.mjs';
+
+describe('Batch Input', () => {
+  describe('parseBatchUsers', () => {
+    test('should parse a JSON array of parameter objects', () => {
+      expect(parseBatchUsers(JSON.stringify([
+        { email: 'a@example.com', login: 'a@example.com', groupIds: ['g1', 'g2'], additionalProfileAttributes: { title: 'Engineer' } },
+        { email: 'b@example.com', login: 'b@example.com', department: null, activate: false }
+      ]))).toEqual([
+        { email: 'a@example.com', login: 'a@example.com', groupIds: 'g1,g2', additionalProfileAttributes: '{"title":"Engineer"}' },
+        { email: 'b@example.com', login: 'b@example.com', activate: false }
+      ]);
+    });
+
+    test('should accept an already parsed array', () => {
+      expect(parseBatchUsers([{ email: 'a@example.com' }])).toEqual([{ email: 'a@example.com' }]);
+    });
+
+    test('should parse CSV with quoted fields and skip empty cells', () => {
+      const csv = [
+        'email,login,firstName,lastName,groupNames,department',
+        'a@example.com,a@example.com,Ann,Lee,"Engineering, Platform",',
+        '',
+        'b@example.com,b@example.com,"Bob ""Bobby""",Ray,"[""Sales, EMEA""]",Sales'
+      ].join('\r\n');
+
+      expect(parseBatchUsers(csv)).toEqual([
+        { email: 'a@example.com', login: 'a@example.com', firstName: 'Ann', lastName: 'Lee', groupNames: 'Engineering, Platform' },
+        { email: 'b@example.com', login: 'b@example.com', firstName: 'Bob "Bobby"', lastName: 'Ray', groupNames: '["Sales, EMEA"]', department: 'Sales' }
+      ]);
+    });
+
+    test('should reject malformed input', () => {
+      expect(() => parseBatchUsers('[{"email": ')).toThrow('Invalid users JSON');
+      expect(() => parseBatchUsers('email,\na@example.com,x')).toThrow('Invalid users CSV: the header row must name every column');
+      expect(() => parseBatchUsers('email\n"a@example.com')).toThrow('Invalid users CSV: unterminated quoted field');
+      expect(() => parseBatchUsers('email,login\n')).toThrow('Invalid users parameter: no users found');
+      expect(() => parseBatchUsers(42)).toThrow('Invalid users parameter: expected a JSON array or CSV text');
+    });
+
+    test('should return an error in place of each row that cannot be used', () => {
+      expect(parseBatchUsers('["a@example.com", {"email": "b@example.com"}]')).toEqual([
+        new Error('Invalid users JSON: row 1 is not an object'),
+        { email: 'b@example.com' }
+      ]);
+      expect(parseBatchUsers('email,login\na@example.com\nb@example.com,b')).toEqual([
+        new Error('Invalid users CSV: row 1 has 1 fields, expected 2'),
+        { email: 'b@example.com', login: 'b' }
+      ]);
+    });
+
+    test('should return an error for rows setting run-level parameters', () => {
+      expect(parseBatchUsers([{ email: 'a@example.com', address: 'https://evil.example.com' }, { email: 'b@example.com' }])).toEqual([
+        new Error('Invalid users: address can only be set for the whole batch'),
+        { email: 'b@example.com' }
+      ]);
+    });
+
+    test('should enforce the batch size limit', () => {
+      const rows = Array.from({ length: MAX_BATCH_SIZE + 1 }, (_, i) => ({ email: `u${i}@example.com` }));
+      expect(() => parseBatchUsers(rows)).toThrow(`exceeds the limit of ${MAX_BATCH_SIZE}`);
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    test('should keep at most the given number of items in flight and preserve order', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        inFlight--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+      expect(maxInFlight).toBe(2);
+    });
+
+    test('should handle fewer items than the concurrency', async () => {
+      await expect(mapWithConcurrency(['a'], 4, async (item) => item.toUpperCase())).resolves.toEqual(['A']);
+      await expect(mapWithConcurrency([], 4, async () => 'x')).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import { createLogger } from '../src/logger.mjs';
+
+describe('Logger', () => {
+  let lines;
+
+  const createTestLogger = (options = {}) => createLogger({
+    write: (line, level) => lines.push({ level, entry: JSON.parse(line) }),
+    now: () => new Date('2024-01-01T00:00:00.000Z'),
+    ...options
+  });
+
+  beforeEach(() => {
+    lines = [];
+  });
+
+  describe('levels', () => {
+    test('should write one JSON entry per call with timestamp, level and fields', () => {
+      createTestLogger().info('Okta API GET', { status: 200, requestId: 'req-1' });
+
+      expect(lines).toEqual([{
+        level: 'info',
+        entry: { timestamp: '2024-01-01T00:00:00.000Z', level: 'info', message: 'Okta API GET', status: 200, requestId: 'req-1' }
+      }]);
+    });
+
+    test('should skip entries below the configured level', () => {
+      const logger = createTestLogger();
+      logger.configure({ level: 'WARN' });
+
+      logger.debug('a');
+      logger.info('b');
+      logger.warn('c');
+      logger.error('d');
+
+      expect(lines.map(({ level }) => level)).toEqual(['warn', 'error']);
+    });
+
+    test('should fall back to info for unknown levels', () => {
+      const logger = createTestLogger();
+      logger.configure({ level: 'verbose' });
+
+      logger.debug('a');
+      logger.info('b');
+
+      expect(lines.map(({ level }) => level)).toEqual(['info']);
+    });
+  });
+
+  describe('redaction', () => {
+    test('should replace secret fields at any depth', () => {
+      createTestLogger().info('Request', {
+        headers: { Authorization: 'SSWS 00abc' },
+        credentials: { password: { value: 'Secret123!' } },
+        activationUrl: 'https://example.okta.com/welcome/abc',
+        token: null
+      });
+
+      expect(lines[0].entry).toMatchObject({
+        headers: { Authorization: '[REDACTED]' },
+        credentials: '[REDACTED]',
+        activationUrl: '[REDACTED]',
+        token: null
+      });
+    });
+
+    test('should replace registered secrets wherever they appear', () => {
+      const logger = createTestLogger();
+      logger.configure({ secrets: ['s3cr3t-value', ''] });
+
+      logger.warn('Token s3cr3t-value was rejected', { detail: 'bearer s3cr3t-value' });
+
+      expect(JSON.stringify(lines)).not.toContain('s3cr3t-value');
+      expect(lines[0].entry).toMatchObject({ message: 'Token [REDACTED] was rejected', detail: 'bearer [REDACTED]' });
+    });
+
+    test('should replace secrets obtained during the run until the next run starts', () => {
+      const logger = createTestLogger();
+      logger.configure();
+      logger.addSecrets(['eyJ.access.token', null]);
+
+      logger.info('Token eyJ.access.token issued');
+      logger.configure();
+      logger.info('Token eyJ.access.token issued');
+
+      expect(lines.map(({ entry }) => entry.message)).toEqual(['Token [REDACTED] issued', 'Token eyJ.access.token issued']);
+    });
+
+    test('should hash personal fields consistently within a run', () => {
+      const logger = createTestLogger();
+      logger.configure();
+
+      logger.info('Start', { email: 'John.Doe@example.com', profile: { firstName: 'John', employeeNumber: 42 } });
+      logger.info('Again', { login: 'john.doe@example.com' });
+
+      const [{ entry: first }, { entry: second }] = lines;
+      expect(first.email).toMatch(/^\[pii:[0-9a-f]{10}\]$/);
+      expect(first.profile.firstName).toMatch(/^\[pii:[0-9a-f]{10}\]$/);
+      expect(first.profile.employeeNumber).toMatch(/^\[pii:[0-9a-f]{10}\]$/);
+      expect(second.login).toBe(first.email);
+      expect(JSON.stringify(lines)).not.toMatch(/john|doe/i);
+    });
+
+    test('should use a new hash key for every run', () => {
+      const logger = createTestLogger();
+      logger.configure();
+      logger.info('Start', { email: 'john.doe@example.com' });
+      logger.configure();
+      logger.info('Start', { email: 'john.doe@example.com' });
+
+      expect(lines[0].entry.email).not.toBe(lines[1].entry.email);
+    });
+
+    test('should keep the hash key given to configure', () => {
+      const logger = createTestLogger();
+      logger.configure({ hashKey: 'job-key' });
+      logger.info('Start', { email: 'john.doe@example.com' });
+      logger.configure({ hashKey: 'job-key' });
+      logger.info('Start', { email: 'john.doe@example.com' });
+
+      expect(lines[1].entry.email).toBe(lines[0].entry.email);
+    });
+
+    test('should hash email addresses in free text, including URL-encoded ones', () => {
+      createTestLogger().info('Okta API GET', {
+        path: '/api/v1/users/john.doe%40example.com',
+        note: 'Login jane@example.co.uk is taken'
+      });
+
+      const { entry } = lines[0];
+      expect(JSON.stringify(entry)).not.toMatch(/john|jane|example/);
+      expect(entry.path).toMatch(/^\/api\/v1\/users\/\[pii:[0-9a-f]{10}\]$/);
+    });
+
+    test('should hash registered personal values as whole words only', () => {
+      const logger = createTestLogger();
+      logger.configure();
+      logger.addSensitive(['Ann', 'Mary Lee', null, ' ']);
+
+      logger.info('Annual review for Ann', { path: '/api/v1/users?search=profile.lastName+eq+Mary+Lee' });
+
+      const { entry } = lines[0];
+      expect(entry.message).toMatch(/^Annual review for \[pii:[0-9a-f]{10}\]$/);
+      expect(entry.path).toMatch(/eq\+\[pii:[0-9a-f]{10}\]$/);
+    });
+
+    test('should register the personal attributes of a profile only', () => {
+      const logger = createTestLogger();
+      logger.configure();
+      logger.addSensitiveProfile({ firstName: 'Zelda', department: 'Engineering', mobilePhone: '+15551234567' });
+
+      logger.info('Zelda in Engineering called from +15551234567');
+
+      expect(lines[0].entry.message).toMatch(/^\[pii:[0-9a-f]{10}\] in Engineering called from \+?\[pii:[0-9a-f]{10}\]$/);
+    });
+
+    test('should forget personal values from the previous run', () => {
+      const logger = createTestLogger();
+      logger.configure();
+      logger.addSensitive(['Zelda']);
+      logger.configure();
+
+      logger.info('Zelda');
+
+      expect(lines[0].entry.message).toBe('Zelda');
+    });
+
+    test('should log the identifying fields of errors with a scrubbed message', () => {
+      const error = Object.assign(new Error('Login john.doe@example.com already exists'), {
+        statusCode: 400,
+        retryable: false,
+        requestId: 'req-2',
+        body: { profile: { login: 'john.doe@example.com' } }
+      });
+
+      createTestLogger().error('Failed', { error });
+
+      expect(lines[0].entry.error).toEqual({
+        name: 'Error',
+        message: expect.stringMatching(/^Login \[pii:[0-9a-f]{10}\] already exists$/),
+        statusCode: 400,
+        retryable: false,
+        requestId: 'req-2'
+      });
+    });
+  });
+});
@@ -0,0 +1,363 @@
+import { jest } from '@jest/globals';
+import { createOktaClient, DEFAULT_BUDGET_MS } from '../src/okta-client.mjs';
+
+describe('Okta Client', () => {
+  let originalFetch;
+  let clock;
+  let sleeps;
+
+  const createClient = (options = {}) => createOktaClient({
+    baseUrl: 'https://example.okta.com',
+    headers: { Authorization: 'SSWS token' },
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      clock += ms;
+    },
+    now: () => clock,
+    random: () => 0.5,
+    ...options
+  });
+
+  const response = (status, rateLimit, requestId) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: {
+      get: (name) => ({
+        'x-rate-limit-limit': rateLimit?.limit,
+        'x-rate-limit-remaining': rateLimit?.remaining,
+        'x-rate-limit-reset': rateLimit?.reset,
+        'x-okta-request-id': requestId
+      })[name.toLowerCase()] ?? null
+    },
+    json: async () => ({})
+  });
+
+  const mockResponses = (...responses) => {
+    const calls = [];
+    global.fetch = (url, options) => {
+      calls.push({ url, ...options });
+      const next = responses.shift();
+      return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+    };
+    return calls;
+  };
+
+  beforeAll(() => {
+    originalFetch = global.fetch;
+  });
+
+  beforeEach(() => {
+    clock = 1700000000000;
+    sleeps = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('request', () => {
+    test('should send JSON requests relative to the base URL', async () => {
+      const calls = mockResponses(response(200));
+
+      const result = await createClient().request('/api/v1/users?activate=true', {
+        method: 'POST',
+        body: { profile: { login: 'john.doe@example.com' } }
+      });
+
+      expect(result.status).toBe(200);
+      expect(calls).toEqual([{
+        url: 'https://example.okta.com/api/v1/users?activate=true',
+        method: 'POST',
+        headers: { Authorization: 'SSWS token' },
+        body: '{"profile":{"login":"john.doe@example.com"}}'
+      }]);
+    });
+
+    test('should use absolute URLs from Link headers as-is', async () => {
+      const calls = mockResponses(response(200));
+
+      await createClient().request('https://example.okta.com/api/v1/groups?after=00g1');
+
+      expect(calls[0].url).toBe('https://example.okta.com/api/v1/groups?after=00g1');
+    });
+
+    test('should wait for the rate limit reset on 429', async () => {
+      const reset = clock / 1000 + 5;
+      const calls = mockResponses(
+        response(429, { limit: 600, remaining: 0, reset }),
+        response(200, { limit: 600, remaining: 599, reset: reset + 60 })
+      );
+
+      const result = await createClient().request('/api/v1/users?activate=true', { method: 'POST', body: {} });
+
+      expect(result.status).toBe(200);
+      expect(calls.length).toBe(2);
+      expect(sleeps).toEqual([5000 + 125]);
+    });
+
+    test('should retry 5xx for idempotent requests with jittered backoff', async () => {
+      const calls = mockResponses(response(503), response(502), response(200));
+
+      const result = await createClient().request('/api/v1/users/john');
+
+      expect(result.status).toBe(200);
+      expect(calls.length).toBe(3);
+      expect(sleeps).toEqual([100, 200]);
+    });
+
+    test('should not retry 5xx for POST requests', async () => {
+      const calls = mockResponses(response(500), response(200));
+
+      const result = await createClient().request('/api/v1/users', { method: 'POST', body: {} });
+
+      expect(result.status).toBe(500);
+      expect(calls.length).toBe(1);
+    });
+
+    test('should retry 5xx for POST requests marked idempotent', async () => {
+      mockResponses(response(500), response(200));
+
+      const result = await createClient().request('/api/v1/users/00u1', { method: 'POST', body: {}, idempotent: true });
+
+      expect(result.status).toBe(200);
+    });
+
+    test('should give up after the maximum number of retries', async () => {
+      const calls = mockResponses(response(500), response(500), response(500));
+
+      const result = await createClient({ maxRetries: 2 }).request('/api/v1/users/john');
+
+      expect(result.status).toBe(500);
+      expect(calls.length).toBe(3);
+    });
+
+    test('should retry network errors for idempotent requests only', async () => {
+      mockResponses(new Error('socket hang up'), response(200));
+      await expect(createClient().request('/api/v1/users/john')).resolves.toMatchObject({ status: 200 });
+
+      mockResponses(new Error('socket hang up'), response(200));
+      await expect(createClient().request('/api/v1/users', { method: 'POST', body: {} }))
+        .rejects.toThrow('socket hang up');
+    });
+
+    test('should not wait past the runtime budget', async () => {
+      const reset = clock / 1000 + 60;
+      const calls = mockResponses(response(429, { limit: 600, remaining: 0, reset }), response(200));
+
+      const result = await createClient().request('/api/v1/users/john');
+
+      expect(result.status).toBe(429);
+      expect(calls.length).toBe(1);
+      expect(sleeps).toEqual([]);
+    });
+
+    test('should account for time already spent in the budget', async () => {
+      const client = createClient();
+      clock += DEFAULT_BUDGET_MS - 2150;
+      const calls = mockResponses(response(503), response(503), response(200));
+
+      const result = await client.request('/api/v1/users/john');
+
+      expect(result.status).toBe(503);
+      expect(calls.length).toBe(2);
+      expect(sleeps).toEqual([100]);
+    });
+
+    test('should log every call with its Okta request ID and redact emails in the path', async () => {
+      mockResponses(response(503, null, 'req-1'), response(200, null, 'req-2'));
+
+      await createClient().request('/api/v1/users/john.doe%40example.com');
+
+      const entries = [...console.log.mock.calls, ...console.warn.mock.calls].map(([line]) => JSON.parse(line));
+      expect(entries.filter(({ message }) => message === 'Okta API GET').map(({ status, requestId }) => [status, requestId]))
+        .toEqual([[503, 'req-1'], [200, 'req-2']]);
+      expect(entries).toContainEqual(expect.objectContaining({ level: 'warn', message: 'Retrying GET after HTTP 503', requestId: 'req-1' }));
+      expect(JSON.stringify(entries)).not.toContain('john.doe');
+    });
+
+    test('should report each request once it is done, after any retries', async () => {
+      const reports = [];
+      mockResponses(response(503), response(200, null, 'req-2'));
+
+      await createClient().request('https://example.okta.com/api/v1/groups?after=00g1', { onCall: (call) => reports.push(call) });
+
+      expect(reports).toEqual([{
+        method: 'GET',
+        path: '/api/v1/groups?after=00g1',
+        status: 200,
+        requestId: 'req-2',
+        attempts: 2,
+        startedAt: new Date(1700000000000).toISOString(),
+        completedAt: new Date(1700000000100).toISOString(),
+        error: null
+      }]);
+    });
+
+    test('should report requests that failed at the network level', async () => {
+      const reports = [];
+      mockResponses(new Error('socket hang up'));
+
+      await expect(createClient().request('/api/v1/users', { method: 'POST', body: {}, onCall: (call) => reports.push(call) }))
+        .rejects.toThrow('socket hang up');
+
+      expect(reports).toEqual([expect.objectContaining({ method: 'POST', status: null, requestId: null, attempts: 1, error: 'socket hang up' })]);
+    });
+
+    test('should tag network failures so they are retried by the framework', async () => {
+      mockResponses(new TypeError('fetch failed'));
+
+      const error = await createClient().request('/api/v1/users', { method: 'POST', body: {} }).catch((e) => e);
+
+      expect(error).toMatchObject({ message: 'fetch failed', type: 'network' });
+    });
+  });
+
+  describe('DPoP', () => {
+    const nonceChallenge = (nonce) => ({
+      ok: false,
+      status: 401,
+      headers: {
+        get: (name) => ({
+          'www-authenticate': 'DPoP error="use_dpop_nonce", error_description="Resource server requires nonce in DPoP proof"',
+          'dpop-nonce': nonce
+        })[name.toLowerCase()] ?? null
+      },
+      json: async () => ({})
+    });
+
+    let proofs;
+    let nonces;
+
+    const dpop = {
+      proof: (method, url) => {
+        proofs.push({ method, url });
+        return `proof-${proofs.length}`;
+      },
+      setNonce: (nonce) => nonces.push(nonce)
+    };
+
+    beforeEach(() => {
+      proofs = [];
+      nonces = [];
+    });
+
+    test('should sign every attempt and answer a nonce challenge once, even for POSTs', async () => {
+      const calls = mockResponses(nonceChallenge('n-1'), response(200));
+
+      const result = await createClient({ dpop, headers: { Authorization: 'DPoP at-1' } })
+        .request('/api/v1/users?activate=true', { method: 'POST', body: {} });
+
+      expect(result.status).toBe(200);
+      expect(nonces).toEqual(['n-1']);
+      expect(proofs).toEqual([
+        { method: 'POST', url: 'https://example.okta.com/api/v1/users?activate=true' },
+        { method: 'POST', url: 'https://example.okta.com/api/v1/users?activate=true' }
+      ]);
+      expect(calls.map(({ headers }) => headers)).toEqual([
+        { Authorization: 'DPoP at-1', DPoP: 'proof-1' },
+        { Authorization: 'DPoP at-1', DPoP: 'proof-2' }
+      ]);
+      expect(sleeps).toEqual([0]);
+    });
+
+    test('should return a repeated nonce challenge', async () => {
+      const calls = mockResponses(nonceChallenge('n-1'), nonceChallenge('n-2'), response(200));
+
+      const result = await createClient({ dpop }).request('/api/v1/users/john');
+
+      expect(result.status).toBe(401);
+      expect(calls.length).toBe(2);
+      expect(nonces).toEqual(['n-1', 'n-2']);
+    });
+
+    test('should not retry a 401 without a nonce challenge', async () => {
+      const calls = mockResponses(response(401), response(200));
+
+      await createClient({ dpop }).request('/api/v1/users/john');
+
+      expect(calls.length).toBe(1);
+    });
+  });
+
+  describe('shared rate limit window', () => {
+    test('should hold back other requests while one waits out a 429', async () => {
+      const client = createClient();
+      const reset = clock / 1000 + 5;
+      mockResponses(response(429, { limit: 600, remaining: 0, reset }), response(200), response(200));
+
+      await client.request('/api/v1/users/john');
+      const sleepsBefore = sleeps.length;
+      // Another request starts a second before the window resets
+      clock = reset * 1000 - 1000;
+      await client.request('/api/v1/users/jane');
+
+      expect(sleeps.slice(sleepsBefore)).toEqual([1000 + 125]);
+      expect(client.getRateLimit().retries).toBe(1);
+    });
+  });
+
+  describe('getRemainingBudget', () => {
+    test('should report the time left before the budget reserve', () => {
+      const client = createClient();
+      clock += 10000;
+
+      expect(client.getRemainingBudget()).toBe(DEFAULT_BUDGET_MS - 2000 - 10000);
+    });
+  });
+
+  describe('pause', () => {
+    test('should wait when the delay fits in the budget', async () => {
+      await expect(createClient().pause(500)).resolves.toBe(true);
+      expect(sleeps).toEqual([500]);
+    });
+
+    test('should skip waits that would run past the budget', async () => {
+      const client = createClient();
+      clock += DEFAULT_BUDGET_MS - 2500;
+
+      await expect(client.pause(1000)).resolves.toBe(false);
+      expect(sleeps).toEqual([]);
+    });
+  });
+
+  describe('getBaseUrl', () => {
+    test('should report the base URL requests are sent to', () => {
+      expect(createClient().getBaseUrl()).toBe('https://example.okta.com');
+    });
+  });
+
+  describe('getRateLimit', () => {
+    test('should report the bucket with the least headroom and the retry count', async () => {
+      const client = createClient();
+      const reset = clock / 1000 + 30;
+      mockResponses(
+        response(200, { limit: 600, remaining: 550, reset }),
+        response(503, { limit: 100, remaining: 12, reset }),
+        response(200, { limit: 100, remaining: 11, reset }),
+        response(200, { limit: 600, remaining: 549, reset })
+      );
+
+      await client.request('/api/v1/users/john');
+      await client.request('/api/v1/groups?search=x');
+      await client.request('/api/v1/users/john');
+
+      expect(client.getRateLimit()).toEqual({
+        limit: 100,
+        remaining: 11,
+        resetAt: new Date(reset * 1000).toISOString(),
+        retries: 1
+      });
+    });
+
+    test('should report nulls when Okta sent no rate limit headers', () => {
+      expect(createClient().getRateLimit()).toEqual({ limit: null, remaining: null, resetAt: null, retries: 0 });
+    });
+  });
+});
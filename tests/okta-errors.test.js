@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import { createOktaApiError, isRetryableError, OktaApiError } from '../src/okta-errors.mjs';
+
+describe('Okta Errors', () => {
+  const response = (status, body, headers = {}) => ({
+    ok: false,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: async () => {
+      if (body === undefined) {
+        throw new Error('Not JSON');
+      }
+      return body;
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('createOktaApiError', () => {
+    test('should parse Okta error fields into the message', async () => {
+      const error = await createOktaApiError('Failed to create user', response(400, {
+        errorCode: 'E0000001',
+        errorSummary: 'Api validation failed: password',
+        errorLink: 'E0000001',
+        errorId: 'oae123',
+        errorCauses: [{ errorSummary: 'password: Password requirements were not met.' }]
+      }));
+
+      expect(error).toBeInstanceOf(OktaApiError);
+      expect(error.message).toBe('Failed to create user: HTTP 400 - Api validation failed: password ' +
+        '(password: Password requirements were not met.)');
+      expect(error.type).toBe('validation');
+      expect(error.retryable).toBe(false);
+      expect(error.statusCode).toBe(400);
+      expect(error.errorCode).toBe('E0000001');
+      expect(error.errorCauses).toEqual(['password: Password requirements were not met.']);
+      expect(error.errorId).toBe('oae123');
+    });
+
+    test('should classify a taken login as a conflict', async () => {
+      const error = await createOktaApiError('Failed to create user', response(400, {
+        errorCode: 'E0000001',
+        errorSummary: 'Api validation failed: login',
+        errorCauses: [{ errorSummary: 'login: An object with this field already exists in the current organization' }]
+      }));
+
+      expect(error.type).toBe('conflict');
+      expect(error.retryable).toBe(false);
+    });
+
+    test('should name the scope from the WWW-Authenticate challenge', async () => {
+      const error = await createOktaApiError('Failed to create user', response(403, {
+        errorCode: 'E0000006',
+        errorSummary: 'You do not have permission to perform the requested action'
+      }, {
+        'www-authenticate': 'Bearer authorization_uri="https://example.okta.com/oauth2/v1/authorize", realm="IdP", ' +
+          'scope="okta.users.manage", error="insufficient_scope"'
+      }), { requiredScope: 'okta.users.read' });
+
+      expect(error.type).toBe('insufficient-scope');
+      expect(error.requiredScope).toBe('okta.users.manage');
+      expect(error.message).toBe('Failed to create user: HTTP 403 - You do not have permission to perform the requested action. ' +
+        'The API credentials may be missing the okta.users.manage scope');
+    });
+
+    test('should fall back to the scope the caller needs', async () => {
+      const error = await createOktaApiError('Failed to create group "x"', response(403, {}), { requiredScope: 'okta.groups.manage' });
+
+      expect(error.requiredScope).toBe('okta.groups.manage');
+      expect(error.message).toBe('Failed to create group "x": HTTP 403. The API credentials may be missing the okta.groups.manage scope');
+    });
+
+    test.each([
+      [401, 'authentication', false],
+      [404, 'not-found', false],
+      [409, 'conflict', false],
+      [429, 'rate-limit', true],
+      [500, 'server', true],
+      [503, 'server', true],
+      [418, 'unknown', false]
+    ])('should classify HTTP %i as %s', async (status, type, retryable) => {
+      const error = await createOktaApiError('Failed', response(status, {}));
+
+      expect(error.type).toBe(type);
+      expect(error.retryable).toBe(retryable);
+    });
+
+    test('should handle responses without a JSON body', async () => {
+      const error = await createOktaApiError('Failed to create user', response(502));
+
+      expect(error.message).toBe('Failed to create user: HTTP 502');
+      expect(error.body).toBeUndefined();
+      expect(error.errorCauses).toEqual([]);
+      expect(error.retryable).toBe(true);
+    });
+
+    test('should keep the Okta request ID and log identifiers without the error text', async () => {
+      const error = await createOktaApiError('Failed to create user', response(400, {
+        errorCode: 'E0000001',
+        errorSummary: 'Api validation failed: login',
+        errorId: 'oae123',
+        errorCauses: [{ errorSummary: 'login: john.doe@example.com already exists' }]
+      }, { 'x-okta-request-id': 'req-abc' }));
+
+      expect(error.requestId).toBe('req-abc');
+      expect(console.error).toHaveBeenCalledTimes(1);
+      const entry = JSON.parse(console.error.mock.calls[0][0]);
+      expect(entry).toMatchObject({
+        level: 'error',
+        message: 'Failed to create user: conflict error',
+        statusCode: 400,
+        errorCode: 'E0000001',
+        errorId: 'oae123',
+        requestId: 'req-abc'
+      });
+      expect(console.error.mock.calls[0][0]).not.toContain('john.doe');
+    });
+  });
+
+  describe('isRetryableError', () => {
+    test('should use the retryable flag when present', () => {
+      expect(isRetryableError({ retryable: true, statusCode: 400 })).toBe(true);
+      expect(isRetryableError({ retryable: false, statusCode: 503 })).toBe(false);
+    });
+
+    test('should classify other errors by status code', () => {
+      expect(isRetryableError({ statusCode: 429 })).toBe(true);
+      expect(isRetryableError({ statusCode: 504 })).toBe(true);
+      expect(isRetryableError({ statusCode: 409 })).toBe(false);
+    });
+
+    test('should retry network failures but not local validation errors', () => {
+      expect(isRetryableError(Object.assign(new TypeError('fetch failed'), { type: 'network' }))).toBe(true);
+      expect(isRetryableError(new Error('Missing required parameter(s): email'))).toBe(false);
+    });
+
+    test('should not retry TypeErrors that did not come from the network', () => {
+      expect(isRetryableError(new TypeError('Cannot read properties of undefined (reading \'id\')'))).toBe(false);
+    });
+  });
+});
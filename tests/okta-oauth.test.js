@@ -0,0 +1,180 @@
+import { createServer } from 'node:http';
+import { createPublicKey, generateKeyPairSync, verify } from 'node:crypto';
+import {
+  loadSigningKey,
+  createClientAssertion,
+  createDpopSigner,
+  requestAccessToken,
+  CLIENT_ASSERTION_TYPE
+} from '../src/okta-oauth.mjs';
+
+describe('Okta OAuth', () => {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+  const decode = (jwt) => {
+    const [header, payload] = jwt.split('.').slice(0, 2).map((part) => JSON.parse(Buffer.from(part, 'base64url').toString()));
+    return { header, payload };
+  };
+
+  // Only RS256 and ES256 tokens are checked here
+  const isSignedBy = (jwt, key) => {
+    const [header, payload, signature] = jwt.split('.');
+    return verify('sha256', Buffer.from(`${header}.${payload}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'));
+  };
+
+  describe('loadSigningKey', () => {
+    test('should load PEM keys, including ones with escaped line breaks', () => {
+      expect(loadSigningKey(pem)).toMatchObject({ alg: 'RS256', kid: null });
+      expect(loadSigningKey(pem.replace(/\n/g, '\\n'), { keyId: 'key-1' })).toMatchObject({ alg: 'RS256', kid: 'key-1' });
+    });
+
+    test('should load JWK keys with their kid', () => {
+      const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ format: 'jwk' });
+
+      expect(loadSigningKey(JSON.stringify({ ...ec, kid: 'jwk-1' }))).toMatchObject({ alg: 'ES256', kid: 'jwk-1' });
+    });
+
+    test('should reject keys it cannot use without quoting them', () => {
+      expect(() => loadSigningKey('{"kty":"RSA","d":"c2VjcmV0"')).toThrow(
+        new Error('Invalid OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY: expected a PEM or JWK private key'));
+      const ed = generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+      expect(() => loadSigningKey(ed)).toThrow('expected an RSA key or an EC key on P-256, P-384 or P-521');
+    });
+  });
+
+  describe('createClientAssertion', () => {
+    test('should sign the claims Okta expects', () => {
+      const assertion = createClientAssertion({
+        clientId: '0oa1',
+        audience: 'https://example.okta.com/oauth2/v1/token',
+        signingKey: loadSigningKey(pem, { keyId: 'key-1' }),
+        now: () => 1700000000000
+      });
+
+      expect(decode(assertion)).toEqual({
+        header: { alg: 'RS256', typ: 'JWT', kid: 'key-1' },
+        payload: {
+          iss: '0oa1',
+          sub: '0oa1',
+          aud: 'https://example.okta.com/oauth2/v1/token',
+          iat: 1700000000,
+          exp: 1700000300,
+          jti: expect.any(String)
+        }
+      });
+      expect(isSignedBy(assertion, publicKey)).toBe(true);
+    });
+  });
+
+  describe('createDpopSigner', () => {
+    test('should sign proofs with the embedded key, the nonce and the token hash', () => {
+      const signer = createDpopSigner({ now: () => 1700000000000 });
+      signer.setNonce('nonce-1');
+
+      const proof = signer.bind('token-1').proof('GET', 'https://example.okta.com/api/v1/users?search=x');
+      const { header, payload } = decode(proof);
+
+      expect(header).toEqual({ typ: 'dpop+jwt', alg: 'ES256', jwk: { kty: 'EC', crv: 'P-256', x: expect.any(String), y: expect.any(String) } });
+      expect(payload).toEqual({
+        htm: 'GET',
+        htu: 'https://example.okta.com/api/v1/users',
+        iat: 1700000000,
+        jti: expect.any(String),
+        nonce: 'nonce-1',
+        // base64url(sha256("token-1"))
+        ath: 'PwiqzhIu4jaEMsHKI6BJvGQLr78A_fM6UkKfOLoS2_k'
+      });
+      expect(isSignedBy(proof, createPublicKey({ key: header.jwk, format: 'jwk' }))).toBe(true);
+    });
+  });
+
+  describe('requestAccessToken', () => {
+    let server;
+    let tokenUrl;
+    let requests;
+    let respond;
+
+    // Local stand-in for Okta's token endpoint
+    beforeAll(async () => {
+      server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          const request = { headers: req.headers, form: Object.fromEntries(new URLSearchParams(body)) };
+          requests.push(request);
+          const { status, headers = {}, json } = respond(request);
+          res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+          res.end(JSON.stringify(json));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      tokenUrl = `http://127.0.0.1:${server.address().port}/oauth2/v1/token`;
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    const options = () => ({ tokenUrl, clientId: '0oa1', scope: 'okta.users.manage', signingKey: loadSigningKey(pem) });
+
+    test('should send a verifiable client assertion', async () => {
+      respond = () => ({ status: 200, json: { token_type: 'Bearer', access_token: 'at-1', expires_in: 3600, scope: 'okta.users.manage' } });
+
+      const token = await requestAccessToken(options());
+
+      expect(token).toEqual({ accessToken: 'at-1', tokenType: 'Bearer', expiresIn: 3600, scope: 'okta.users.manage' });
+      const [{ headers, form }] = requests;
+      expect(headers.dpop).toBeUndefined();
+      expect(form).toEqual({
+        grant_type: 'client_credentials',
+        scope: 'okta.users.manage',
+        client_assertion_type: CLIENT_ASSERTION_TYPE,
+        client_assertion: expect.any(String)
+      });
+      expect(decode(form.client_assertion).payload).toMatchObject({ iss: '0oa1', sub: '0oa1', aud: tokenUrl });
+      expect(isSignedBy(form.client_assertion, publicKey)).toBe(true);
+    });
+
+    test('should answer the DPoP nonce challenge with a new proof and assertion', async () => {
+      respond = ({ headers }) => (decode(headers.dpop).payload.nonce === 'nonce-1'
+        ? { status: 200, json: { token_type: 'DPoP', access_token: 'dpop-at', expires_in: 3600 } }
+        : { status: 400, headers: { 'DPoP-Nonce': 'nonce-1' }, json: { error: 'use_dpop_nonce', error_description: 'Authorization server requires nonce in DPoP proof.' } });
+
+      const token = await requestAccessToken({ ...options(), dpop: createDpopSigner() });
+
+      expect(token).toMatchObject({ accessToken: 'dpop-at', tokenType: 'DPoP' });
+      expect(requests).toHaveLength(2);
+      const proofs = requests.map(({ headers }) => decode(headers.dpop));
+      expect(proofs.map(({ payload }) => [payload.htm, payload.htu, payload.nonce])).toEqual([
+        ['POST', tokenUrl, undefined],
+        ['POST', tokenUrl, 'nonce-1']
+      ]);
+      expect(proofs[1].payload.ath).toBeUndefined();
+      expect(isSignedBy(requests[1].headers.dpop, createPublicKey({ key: proofs[1].header.jwk, format: 'jwk' }))).toBe(true);
+      expect(decode(requests[0].form.client_assertion).payload.jti).not.toBe(decode(requests[1].form.client_assertion).payload.jti);
+    });
+
+    test('should report OAuth errors with the status code', async () => {
+      respond = () => ({ status: 401, json: { error: 'invalid_client', error_description: 'The client_assertion signature is invalid.' } });
+
+      const error = await requestAccessToken(options()).catch((e) => e);
+
+      expect(error.message).toBe(`Failed to get an access token from ${tokenUrl}: HTTP 401 - invalid_client: The client_assertion signature is invalid.`);
+      expect(error.statusCode).toBe(401);
+    });
+
+    test('should give up on a second nonce challenge', async () => {
+      respond = () => ({ status: 400, headers: { 'DPoP-Nonce': `nonce-${requests.length}` }, json: { error: 'use_dpop_nonce' } });
+
+      await expect(requestAccessToken({ ...options(), dpop: createDpopSigner() })).rejects.toThrow('HTTP 400 - use_dpop_nonce');
+      expect(requests).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import { normalizeProfile } from '../src/profile-normalization.mjs';
+
+describe('Profile Normalization', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('normalizeProfile', () => {
+    test('should trim, compose and collapse names and lowercase emails', () => {
+      const { profile, changes } = normalizeProfile({
+        firstName: '  José   Maria ',
+        lastName: 'Da Silva',
+        email: ' Jose.DaSilva@Example.COM ',
+        title: ' Staff  Engineer ',
+        active: true
+      });
+
+      expect(profile).toEqual({
+        firstName: 'José Maria',
+        lastName: 'Da Silva',
+        email: 'jose.dasilva@example.com',
+        title: 'Staff  Engineer',
+        active: true
+      });
+      expect(changes).toEqual([
+        { attribute: 'firstName', oldValue: '  José   Maria ', newValue: 'José Maria' },
+        { attribute: 'email', oldValue: ' Jose.DaSilva@Example.COM ', newValue: 'jose.dasilva@example.com' },
+        { attribute: 'title', oldValue: ' Staff  Engineer ', newValue: 'Staff  Engineer' }
+      ]);
+    });
+
+    test.each([
+      ['+1 (555) 123-4567', undefined, '+15551234567'],
+      ['0044 20 7946 0958', undefined, '+442079460958'],
+      ['+44 (0)20 7946 0958', undefined, '+442079460958'],
+      ['020 7946 0958', 'GB', '+442079460958'],
+      ['(555) 123-4567', 'US', '+15551234567'],
+      ['1-555-123-4567', 'US', '+15551234567'],
+      ['06 1234 5678', 'IT', '+390612345678'],
+      ['8 912 345-67-89', 'RU', '+79123456789']
+    ])('should format %s as E.164 (country %s)', (mobilePhone, countryCode, expected) => {
+      const { profile } = normalizeProfile(countryCode ? { countryCode, mobilePhone } : { mobilePhone });
+
+      expect(profile.mobilePhone).toBe(expected);
+    });
+
+    test('should leave phone numbers it cannot format as given', () => {
+      const { profile, changes } = normalizeProfile({ mobilePhone: ' 555-1234 ', primaryPhone: '+1 555 123 4567 ext. 89' });
+
+      expect(profile).toEqual({ mobilePhone: '555-1234', primaryPhone: '+1 555 123 4567 ext. 89' });
+      expect(changes).toEqual([{ attribute: 'mobilePhone', oldValue: ' 555-1234 ', newValue: '555-1234' }]);
+      expect(console.warn).toHaveBeenCalledWith(expect.not.stringContaining('555'));
+    });
+
+    test.each([
+      ['de', 'DE'],
+      ['Germany', 'DE'],
+      ['united  kingdom', 'GB'],
+      ['USA', 'US'],
+      ['Côte d’Ivoire', 'CI']
+    ])('should turn country %s into ISO code %s', (countryCode, expected) => {
+      expect(normalizeProfile({ countryCode }).profile.countryCode).toBe(expected);
+    });
+
+    test('should canonicalize locales, languages and time zones', () => {
+      const { profile } = normalizeProfile({ locale: 'en-gb', preferredLanguage: 'DE_ch', timezone: 'america/new_york' });
+
+      expect(profile).toEqual({ locale: 'en_GB', preferredLanguage: 'de-CH', timezone: 'America/New_York' });
+    });
+
+    test('should leave skipped attributes exactly as given', () => {
+      const { profile, changes } = normalizeProfile(
+        { email: ' John@Example.com', countryCode: 'Atlantis' },
+        { skip: ['email', 'countryCode'] }
+      );
+
+      expect(profile).toEqual({ email: ' John@Example.com', countryCode: 'Atlantis' });
+      expect(changes).toEqual([]);
+    });
+
+    test('should report every value that cannot be normalized', () => {
+      expect(() => normalizeProfile({ countryCode: 'Atlantis', locale: 'english', timezone: 'Mars/Olympus_Mons' }))
+        .toThrow('Profile could not be normalized: ' +
+          'countryCode: "Atlantis" is not an ISO 3166 country code or country name; ' +
+          'locale: "english" is not a BCP 47 language tag; ' +
+          'timezone: "Mars/Olympus_Mons" is not an IANA time zone');
+    });
+  });
+});
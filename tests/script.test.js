@@ -1,3 +1,5 @@
+import { jest } from '@jest/globals';
+import { generateKeyPairSync } from 'node:crypto';
 import script from '../src/script.mjs';
 
 describe('Okta Create User Script', () => {
@@ -11,6 +13,33 @@ describe('Okta Create User Script', () => {
     outputs: {}
   };
 
+  const userSchema = {
+    id: 'https://example.okta.com/meta/schemas/user/default',
+    definitions: {
+      base: {
+        properties: {
+          login: { type: 'string', minLength: 5, maxLength: 100, mutability: 'READ_WRITE' },
+          email: { type: 'string', mutability: 'READ_WRITE' },
+          firstName: { type: 'string', minLength: 1, maxLength: 50, mutability: 'READ_WRITE' },
+          lastName: { type: 'string', minLength: 1, maxLength: 50, mutability: 'READ_WRITE' },
+          department: { type: 'string', mutability: 'READ_WRITE' },
+          employeeNumber: { type: 'string', mutability: 'READ_WRITE' },
+          title: { type: 'string', mutability: 'READ_WRITE' },
+          mobilePhone: { type: 'string', maxLength: 100, mutability: 'READ_WRITE' },
+          userType: { type: 'string', enum: ['Employee', 'Contractor'], mutability: 'READ_WRITE' }
+        },
+        required: ['login', 'email', 'firstName', 'lastName']
+      },
+      custom: {
+        properties: {
+          costCenter: { type: 'string', mutability: 'READ_WRITE' },
+          hrSystemId: { type: 'integer', mutability: 'READ_ONLY' }
+        },
+        required: []
+      }
+    }
+  };
+
   let originalFetch;
   let originalURL;
 
@@ -21,6 +50,9 @@ describe('Okta Create User Script', () => {
   });
 
   beforeEach(() => {
+    // Every run records its progress in the context for the halt handler
+    delete mockContext.partial_results;
+
     // Mock fetch - default behavior: GET returns 404 (user doesn't exist), POST creates user
     global.fetch = (url, options) => {
       if (options?.method === 'GET') {
@@ -167,6 +199,14 @@ describe('Okta Create User Script', () => {
         .rejects.toThrow('Missing required parameter(s): lastName');
     });
 
+    test('should require email, firstName and lastName without a users batch', async () => {
+      global.fetch = jest.fn();
+
+      await expect(script.invoke({ email: '', firstName: '', lastName: '', login: 'john.doe@example.com', address: 'https://example.okta.com' }, mockContext))
+        .rejects.toThrow('Missing required parameter(s): email, firstName, lastName');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
     test('should throw error for missing address', async () => {
       const params = {
         email: 'john.doe@example.com',
@@ -214,8 +254,10 @@ describe('Okta Create User Script', () => {
       };
 
       const error = await script.invoke(params, mockContext).catch(e => e);
-      expect(error.message).toBe('Failed to create user: HTTP 400');
+      expect(error.message).toBe('Failed to create user: HTTP 400 - Api validation failed: email');
       expect(error.statusCode).toBe(400);
+      expect(error.type).toBe('validation');
+      expect(error.retryable).toBe(false);
       expect(error.body.errorSummary).toBe('Api validation failed: email');
     });
 
@@ -265,7 +307,23 @@ describe('Okta Create User Script', () => {
         address: 'https://example.okta.com'
       };
 
+      const putUrls = [];
       global.fetch = (url, options) => {
+        // GET groups: user is already a member of group1
+        if (options?.method === 'GET' && url.includes('/groups')) {
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            json: async () => ([{ id: 'group1' }])
+          });
+        }
+
+        // PUT: add to group succeeds
+        if (options?.method === 'PUT') {
+          putUrls.push(url);
+          return Promise.resolve({ ok: true, status: 204 });
+        }
+
         // GET: user exists with matching attributes
         if (options?.method === 'GET') {
           return Promise.resolve({
@@ -297,6 +355,11 @@ describe('Okta Create User Script', () => {
       expect(result.status).toBe('ACTIVE');
       expect(result.profile.email).toBe('existing.user@example.com');
       expect(result.groupIds).toEqual(['group1', 'group2']);
+      expect(result.groupAssignments).toEqual([
+        { groupId: 'group1', status: 'already-member' },
+        { groupId: 'group2', status: 'added' }
+      ]);
+      expect(putUrls).toEqual(['https://example.okta.com/api/v1/groups/group2/users/existing-user-id-123']);
       expect(result.lastLogin).toBe('2024-01-10T15:30:00.000Z');
     });
 
@@ -405,7 +468,8 @@ describe('Okta Create User Script', () => {
 
       const error = await script.invoke(params, mockContext).catch(e => e);
 
-      expect(error.message).toBe('Failed to check if user exists: HTTP 500');
+      expect(error.message).toBe('Failed to check if user exists: HTTP 500 - Internal Server Error');
+      expect(error.retryable).toBe(true);
       expect(error.statusCode).toBe(500);
       expect(error.body.errorSummary).toBe('Internal Server Error');
     });
@@ -565,31 +629,3159 @@ describe('Okta Create User Script', () => {
     });
   });
 
-  describe('error handler', () => {
-    test('should re-throw error for framework to handle', async () => {
-      const params = {
-        email: 'john.doe@example.com',
-        error: new Error('Network timeout')
+  describe('group reconciliation for existing users', () => {
+    const params = {
+      email: 'existing.user@example.com',
+      login: 'existing.user@example.com',
+      firstName: 'Existing',
+      lastName: 'User',
+      groupIds: 'group1, group2, group3',
+      address: 'https://example.okta.com'
+    };
+
+    const existingUser = {
+      id: 'existing-user-id',
+      status: 'ACTIVE',
+      profile: {
+        email: 'existing.user@example.com',
+        login: 'existing.user@example.com'
+      }
+    };
+
+    test('should report added, already-member and failed groups separately', async () => {
+      global.fetch = (url, options) => {
+        if (options?.method === 'GET' && url.includes('/groups')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => ([{ id: 'group2' }]) });
+        }
+        if (options?.method === 'GET') {
+          return Promise.resolve({ ok: true, status: 200, json: async () => existingUser });
+        }
+        if (url.includes('/groups/group3/')) {
+          return Promise.resolve({
+            ok: false,
+            status: 404,
+            json: async () => ({ errorCode: 'E0000007', errorSummary: 'Not found: Resource not found: group3 (UserGroup)' })
+          });
+        }
+        return Promise.resolve({ ok: true, status: 204 });
+      };
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(result.requestedGroupIds).toEqual(['group1', 'group2', 'group3']);
+      expect(result.groupIds).toEqual(['group1', 'group2']);
+      expect(result.groupAssignments).toEqual([
+        { groupId: 'group1', status: 'added' },
+        { groupId: 'group2', status: 'already-member' },
+        {
+          groupId: 'group3',
+          status: 'failed',
+          reason: 'Failed to add user to group group3: HTTP 404 - Not found: Resource not found: group3 (UserGroup)'
+        }
+      ]);
+    });
+
+    test('should name the missing scope when a group assignment is forbidden', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      global.fetch = (url, options) => {
+        if (options?.method === 'GET' && url.includes('/groups')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => [] });
+        }
+        if (options?.method === 'GET') {
+          return Promise.resolve({ ok: true, status: 200, json: async () => existingUser });
+        }
+        return Promise.resolve({
+          ok: false,
+          status: 403,
+          json: async () => ({ errorCode: 'E0000006', errorSummary: 'You do not have permission to perform the requested action' })
+        });
+      };
+
+      const result = await script.invoke({ ...params, groupIds: 'group1' }, mockContext);
+
+      expect(result.groupAssignments).toEqual([{
+        groupId: 'group1',
+        status: 'failed',
+        reason: 'Failed to add user to group group1: HTTP 403 - You do not have permission to perform the requested action. ' +
+          'The API credentials may be missing the okta.groups.manage scope'
+      }]);
+      console.error.mockRestore();
+    });
+
+    test('should follow pagination when reading current groups', async () => {
+      const getUrls = [];
+      let putCount = 0;
+      global.fetch = (url, options) => {
+        if (options?.method === 'GET' && url.includes('/groups')) {
+          getUrls.push(url);
+          const firstPage = !url.includes('after=');
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            headers: {
+              get: () => firstPage
+                ? '<https://example.okta.com/api/v1/users/existing-user-id/groups?limit=200>; rel="self", ' +
+                  '<https://example.okta.com/api/v1/users/existing-user-id/groups?after=group1&limit=200>; rel="next"'
+                : null
+            },
+            json: async () => (firstPage ? [{ id: 'group1' }] : [{ id: 'group2' }, { id: 'group3' }])
+          });
+        }
+        if (options?.method === 'GET') {
+          return Promise.resolve({ ok: true, status: 200, json: async () => existingUser });
+        }
+        putCount++;
+        return Promise.resolve({ ok: true, status: 204 });
+      };
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(getUrls).toEqual([
+        'https://example.okta.com/api/v1/users/existing-user-id/groups?limit=200',
+        'https://example.okta.com/api/v1/users/existing-user-id/groups?after=group1&limit=200'
+      ]);
+      expect(putCount).toBe(0);
+      expect(result.groupAssignments.every((a) => a.status === 'already-member')).toBe(true);
+    });
+
+    test('should throw when current groups cannot be read', async () => {
+      global.fetch = (url, options) => {
+        if (options?.method === 'GET' && url.includes('/groups')) {
+          return Promise.resolve({ ok: false, status: 403, json: async () => ({ errorSummary: 'Forbidden' }) });
+        }
+        return Promise.resolve({ ok: true, status: 200, json: async () => existingUser });
       };
 
-      await expect(script.error(params, mockContext))
-        .rejects.toThrow('Network timeout');
+      const error = await script.invoke(params, mockContext).catch(e => e);
+
+      expect(error.message).toBe('Failed to list user groups: HTTP 403 - Forbidden. The API credentials may be missing the okta.users.read scope');
+      expect(error.statusCode).toBe(403);
+    });
+
+    test('should report groups sent on creation as added', async () => {
+      const result = await script.invoke({ ...params, login: 'new.user@example.com' }, mockContext);
+
+      expect(result.requestedGroupIds).toEqual(['group1', 'group2', 'group3']);
+      expect(result.groupIds).toEqual(['group1', 'group2', 'group3']);
+      expect(result.groupAssignments.map((a) => a.status)).toEqual(['added', 'added', 'added']);
     });
   });
 
-  describe('halt handler', () => {
-    test('should handle graceful shutdown', async () => {
-      const params = {
-        email: 'john.doe@example.com',
-        reason: 'timeout'
+  describe('onExisting strategies', () => {
+    const params = {
+      email: 'existing.user@example.com',
+      login: 'existing.user@example.com',
+      firstName: 'Jonathan',
+      lastName: 'User',
+      department: 'Engineering',
+      employeeNumber: 'EMP002',
+      additionalProfileAttributes: '{"costCenter": "CC-42", "title": "Engineer"}',
+      address: 'https://example.okta.com'
+    };
+
+    const storedProfile = {
+      email: 'existing.user@example.com',
+      login: 'Existing.User@example.com',
+      firstName: 'Jon',
+      lastName: 'User',
+      department: 'Sales',
+      employeeNumber: 'EMP002',
+      title: 'Engineer',
+      mobilePhone: '555-1234'
+    };
+
+    let updateRequests;
+
+    beforeEach(() => {
+      updateRequests = [];
+      global.fetch = (url, options) => {
+        if (url.includes('/meta/schemas/user/')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => userSchema });
+        }
+        if (options?.method === 'GET') {
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            json: async () => ({ id: 'existing-user-id', status: 'ACTIVE', profile: storedProfile })
+          });
+        }
+
+        updateRequests.push({ url, body: JSON.parse(options.body) });
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({
+            id: 'existing-user-id',
+            status: 'ACTIVE',
+            profile: { ...storedProfile, ...JSON.parse(options.body).profile }
+          })
+        });
       };
+    });
 
-      const result = await script.halt(params, mockContext);
+    test('should return existing user unchanged by default', async () => {
+      const result = await script.invoke(params, mockContext);
 
-      expect(result.email).toBe('john.doe@example.com');
-      expect(result.reason).toBe('timeout');
-      expect(result.haltedAt).toBeDefined();
-      expect(result.cleanupCompleted).toBe(true);
+      expect(updateRequests).toEqual([]);
+      expect(result.profile.firstName).toBe('Jon');
+      expect(result.profileChanges).toEqual([]);
+    });
+
+    test('should send only changed attributes in update mode', async () => {
+      const result = await script.invoke({ ...params, onExisting: 'update' }, mockContext);
+
+      expect(updateRequests).toEqual([{
+        url: 'https://example.okta.com/api/v1/users/existing-user-id',
+        body: { profile: { firstName: 'Jonathan', department: 'Engineering', costCenter: 'CC-42' } }
+      }]);
+      expect(result.profileChanges).toEqual([
+        { attribute: 'firstName', oldValue: 'Jon', newValue: 'Jonathan' },
+        { attribute: 'department', oldValue: 'Sales', newValue: 'Engineering' },
+        { attribute: 'costCenter', oldValue: null, newValue: 'CC-42' }
+      ]);
+      expect(result.profile.firstName).toBe('Jonathan');
+      expect(result.profile.mobilePhone).toBe('555-1234');
+    });
+
+    test('should skip the update when nothing has drifted', async () => {
+      const result = await script.invoke({
+        ...params,
+        firstName: 'Jon',
+        department: 'Sales',
+        additionalProfileAttributes: '{"title": "Engineer"}',
+        onExisting: 'update'
+      }, mockContext);
+
+      expect(updateRequests).toEqual([]);
+      expect(result.profileChanges).toEqual([]);
+    });
+
+    test('should throw when the update is rejected', async () => {
+      global.fetch = (url, options) => {
+        if (options?.method === 'GET') {
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            json: async () => ({ id: 'existing-user-id', status: 'ACTIVE', profile: storedProfile })
+          });
+        }
+        return Promise.resolve({
+          ok: false,
+          status: 400,
+          json: async () => ({ errorSummary: 'Api validation failed: department' })
+        });
+      };
+
+      const error = await script.invoke({ ...params, onExisting: 'update', validateSchema: false }, mockContext).catch(e => e);
+
+      expect(error.message).toBe('Failed to update user: HTTP 400 - Api validation failed: department');
+      expect(error.body.errorSummary).toBe('Api validation failed: department');
+    });
+
+    test('should throw 409 in fail mode', async () => {
+      const error = await script.invoke({ ...params, onExisting: 'fail' }, mockContext).catch(e => e);
+
+      expect(error.message).toBe('User existing-user-id already exists and onExisting is set to fail');
+      expect(error.statusCode).toBe(409);
+      expect(updateRequests).toEqual([]);
+    });
+
+    test('should reject unknown strategies', async () => {
+      await expect(script.invoke({ ...params, onExisting: 'merge' }, mockContext))
+        .rejects.toThrow('Invalid onExisting parameter: expected one of return, update, fail');
+    });
+  });
+
+  describe('lifecycle policies for existing users', () => {
+    const params = {
+      email: 'rehire@example.com',
+      login: 'rehire@example.com',
+      firstName: 'Re',
+      lastName: 'Hire',
+      address: 'https://example.okta.com'
+    };
+
+    let requests;
+
+    const mockExistingUser = (status, statusAfter) => {
+      let currentStatus = status;
+      global.fetch = (url, options) => {
+        requests.push(`${options.method} ${url}`);
+        if (options.method === 'POST' && url.includes('/lifecycle/')) {
+          currentStatus = statusAfter;
+          return Promise.resolve({ ok: true, status: 200, json: async () => ({}) });
+        }
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({
+            id: 'rehire-id',
+            status: currentStatus,
+            profile: { email: 'rehire@example.com', login: 'rehire@example.com' }
+          })
+        });
+      };
+    };
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    test('should return the user unchanged by default', async () => {
+      mockExistingUser('DEPROVISIONED');
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(requests).toEqual(['GET https://example.okta.com/api/v1/users/rehire%40example.com']);
+      expect(result.statusBefore).toBe('DEPROVISIONED');
+      expect(result.statusAfter).toBe('DEPROVISIONED');
+      expect(result.lifecycleAction).toBeNull();
+    });
+
+    test.each([
+      ['DEPROVISIONED', 'onDeprovisioned', 'reactivate', 'activate', 'PROVISIONED'],
+      ['SUSPENDED', 'onSuspended', 'unsuspend', 'unsuspend', 'ACTIVE'],
+      ['LOCKED_OUT', 'onLockedOut', 'unlock', 'unlock', 'ACTIVE'],
+      ['STAGED', 'onStaged', 'activate', 'activate', 'PROVISIONED']
+    ])('should recover a %s user with %s=%s', async (status, param, action, operation, statusAfter) => {
+      mockExistingUser(status, statusAfter);
+
+      const result = await script.invoke({ ...params, [param]: action }, mockContext);
+
+      expect(requests).toEqual([
+        'GET https://example.okta.com/api/v1/users/rehire%40example.com',
+        `POST https://example.okta.com/api/v1/users/rehire-id/lifecycle/${operation}`,
+        'GET https://example.okta.com/api/v1/users/rehire-id'
+      ]);
+      expect(result.statusBefore).toBe(status);
+      expect(result.statusAfter).toBe(statusAfter);
+      expect(result.status).toBe(statusAfter);
+      expect(result.lifecycleAction).toBe(action);
+    });
+
+    test('should fail when the policy is fail', async () => {
+      mockExistingUser('SUSPENDED');
+
+      const error = await script.invoke({ ...params, onSuspended: 'fail' }, mockContext).catch(e => e);
+
+      expect(error.message).toBe('User rehire-id is SUSPENDED and onSuspended is set to fail');
+      expect(error.statusCode).toBe(409);
+    });
+
+    test('should ignore policies for other statuses', async () => {
+      mockExistingUser('ACTIVE');
+
+      const result = await script.invoke({ ...params, onSuspended: 'fail', onStaged: 'activate' }, mockContext);
+
+      expect(requests.length).toBe(1);
+      expect(result.statusAfter).toBe('ACTIVE');
+    });
+
+    test('should throw when the lifecycle operation fails', async () => {
+      global.fetch = (url, options) => {
+        if (options.method === 'POST') {
+          return Promise.resolve({
+            ok: false,
+            status: 403,
+            json: async () => ({ errorSummary: 'You do not have permission to perform the requested action' })
+          });
+        }
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({ id: 'rehire-id', status: 'LOCKED_OUT', profile: { email: 'rehire@example.com' } })
+        });
+      };
+
+      const error = await script.invoke({ ...params, onLockedOut: 'unlock' }, mockContext).catch(e => e);
+
+      expect(error.message).toBe('Failed to unlock user: HTTP 403 - You do not have permission to perform the requested action. ' +
+        'The API credentials may be missing the okta.users.manage scope');
+    });
+
+    test('should reject invalid policy values', async () => {
+      await expect(script.invoke({ ...params, onLockedOut: 'reactivate' }, mockContext))
+        .rejects.toThrow('Invalid onLockedOut parameter: expected one of return, unlock, fail');
+    });
+
+    test('should report null statusBefore for new users', async () => {
+      global.fetch = (url, options) => Promise.resolve(options.method === 'GET'
+        ? { ok: false, status: 404, json: async () => ({}) }
+        : { ok: true, status: 200, json: async () => ({ id: 'user123', status: 'ACTIVE', profile: {} }) });
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(result.statusBefore).toBeNull();
+      expect(result.statusAfter).toBe('ACTIVE');
+    });
+  });
+
+  describe('duplicate detection', () => {
+    const params = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      employeeNumber: 'EMP001',
+      additionalProfileAttributes: '{"workdayId": "WD-1"}',
+      matchAttributes: 'email, employeeNumber, workdayId',
+      address: 'https://example.okta.com'
+    };
+
+    const jdoe = {
+      id: 'jdoe-id',
+      status: 'ACTIVE',
+      profile: { login: 'jdoe@example.com', email: 'John.Doe@example.com', employeeNumber: 'EMP001' }
+    };
+
+    let requests;
+
+    const mockSearch = (users) => {
+      global.fetch = (url, options) => {
+        requests.push({ method: options.method, url });
+        if (options.method === 'GET' && url.includes('/api/v1/users?')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => users });
+        }
+        if (options.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+        }
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({ id: 'user123', status: 'ACTIVE', profile: {} })
+        });
+      };
+    };
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    test('should search on every configured attribute in one request', async () => {
+      mockSearch([]);
+
+      const result = await script.invoke(params, mockContext);
+
+      const search = new URLSearchParams(requests[1].url.split('?')[1]).get('search');
+      expect(search).toBe('profile.email eq "john.doe@example.com" or profile.employeeNumber eq "EMP001" or profile.workdayId eq "WD-1"');
+      expect(result.id).toBe('user123');
+      expect(result.duplicateCandidates).toEqual([]);
+    });
+
+    test('should skip the search when no attributes are configured', async () => {
+      mockSearch([jdoe]);
+
+      const result = await script.invoke({ ...params, matchAttributes: undefined }, mockContext);
+
+      expect(requests.filter((r) => r.url.includes('/api/v1/users?search'))).toEqual([]);
+      expect(result.id).toBe('user123');
+    });
+
+    test('should fail by default and report every candidate', async () => {
+      mockSearch([jdoe, { id: 'other-id', status: 'SUSPENDED', profile: { login: 'jd@example.com', workdayId: 'WD-1' } }]);
+
+      const error = await script.invoke(params, mockContext).catch(e => e);
+
+      expect(error.statusCode).toBe(409);
+      expect(error.message).toBe('Found 2 existing user(s) matching the requested identity: ' +
+        'jdoe-id (email, employeeNumber); other-id (workdayId)');
+      expect(error.candidates).toEqual([
+        { id: 'jdoe-id', login: 'jdoe@example.com', status: 'ACTIVE', matchedOn: ['email', 'employeeNumber'] },
+        { id: 'other-id', login: 'jd@example.com', status: 'SUSPENDED', matchedOn: ['workdayId'] }
+      ]);
+      expect(requests.some((r) => r.method === 'POST')).toBe(false);
+    });
+
+    test('should adopt a single matching user', async () => {
+      mockSearch([jdoe]);
+
+      const result = await script.invoke({ ...params, onDuplicate: 'adopt' }, mockContext);
+
+      expect(result.id).toBe('jdoe-id');
+      expect(result.profile.login).toBe('jdoe@example.com');
+      expect(result.duplicateCandidates).toEqual([
+        { id: 'jdoe-id', login: 'jdoe@example.com', status: 'ACTIVE', matchedOn: ['email', 'employeeNumber'] }
+      ]);
+      expect(requests.some((r) => r.method === 'POST')).toBe(false);
+    });
+
+    test('should refuse to adopt when several users match', async () => {
+      mockSearch([jdoe, { ...jdoe, id: 'jdoe2-id' }]);
+
+      const error = await script.invoke({ ...params, onDuplicate: 'adopt' }, mockContext).catch(e => e);
+
+      expect(error.statusCode).toBe(409);
+      expect(error.candidates.map((c) => c.id)).toEqual(['jdoe-id', 'jdoe2-id']);
+    });
+
+    test('should reject invalid attribute names and policies', async () => {
+      await expect(script.invoke({ ...params, matchAttributes: 'email, profile.login eq "x"' }, mockContext))
+        .rejects.toThrow('Invalid matchAttributes: profile.login eq "x"');
+      await expect(script.invoke({ ...params, onDuplicate: 'merge' }, mockContext))
+        .rejects.toThrow('Invalid onDuplicate parameter: expected one of fail, adopt');
+    });
+  });
+
+  describe('group name resolution', () => {
+    const baseParams = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    const groupsByName = {
+      Engineering: [{ id: '00gEng', type: 'OKTA_GROUP', profile: { name: 'Engineering' } }],
+      'R&D, Labs': [{ id: '00gLabs', type: 'OKTA_GROUP', profile: { name: 'R&D, Labs' } }],
+      Sales: [
+        { id: '00gSales1', type: 'OKTA_GROUP', profile: { name: 'Sales' } },
+        { id: '00gSales2', type: 'OKTA_GROUP', profile: { name: 'Sales' } }
+      ],
+      Finance: [
+        { id: '00gFin', type: 'OKTA_GROUP', profile: { name: 'Finance' } },
+        { id: '00gFinOps', type: 'OKTA_GROUP', profile: { name: 'finance' } }
+      ],
+      'AD Admins': [{ id: '00gAd', type: 'APP_GROUP', profile: { name: 'AD Admins' } }]
+    };
+
+    let requests;
+
+    beforeEach(() => {
+      requests = [];
+      global.fetch = (url, options) => {
+        requests.push({ method: options.method, url, body: options.body && JSON.parse(options.body) });
+
+        if (url.includes('/api/v1/groups?')) {
+          const search = new URLSearchParams(url.split('?')[1]).get('search');
+          const name = search.match(/^profile\.name eq "(.*)"$/)[1];
+          return Promise.resolve({ ok: true, status: 200, json: async () => groupsByName[name] || [] });
+        }
+        if (options.method === 'POST' && url.endsWith('/api/v1/groups')) {
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            json: async () => ({ id: '00gNew', type: 'OKTA_GROUP', profile: JSON.parse(options.body).profile })
+          });
+        }
+        if (url.endsWith('/api/v1/users/user123/groups?limit=200')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => [] });
+        }
+        if (options.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+        }
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({ id: 'user123', status: 'ACTIVE', profile: {} })
+        });
+      };
+    });
+
+    test('should resolve group names and merge them with group IDs', async () => {
+      const result = await script.invoke({
+        ...baseParams,
+        groupIds: '00gExisting, 00gEng',
+        groupNames: 'Engineering'
+      }, mockContext);
+
+      const createRequest = requests.find((r) => r.method === 'POST');
+      expect(createRequest.body.groupIds).toEqual(['00gExisting', '00gEng']);
+      expect(result.resolvedGroups).toEqual([{ name: 'Engineering', groupId: '00gEng', created: false }]);
+      expect(result.groupIds).toEqual(['00gExisting', '00gEng']);
+    });
+
+    test('should search with an exact-match filter', async () => {
+      await script.invoke({ ...baseParams, groupNames: 'Engineering' }, mockContext);
+
+      expect(requests[0].url).toBe('https://example.okta.com/api/v1/groups?search=profile.name+eq+%22Engineering%22&limit=200');
+    });
+
+    test('should accept a JSON array for names containing commas', async () => {
+      const result = await script.invoke({ ...baseParams, groupNames: '["R&D, Labs"]' }, mockContext);
+
+      expect(result.resolvedGroups).toEqual([{ name: 'R&D, Labs', groupId: '00gLabs', created: false }]);
+    });
+
+    test('should ignore case-insensitive search matches that are not exact', async () => {
+      const result = await script.invoke({ ...baseParams, groupNames: 'Finance' }, mockContext);
+
+      expect(result.resolvedGroups[0].groupId).toBe('00gFin');
+    });
+
+    test('should throw when a group name is ambiguous', async () => {
+      await expect(script.invoke({ ...baseParams, groupNames: 'Sales' }, mockContext))
+        .rejects.toThrow('Group name "Sales" is ambiguous: matches 00gSales1, 00gSales2');
+      expect(requests.some((r) => r.method === 'POST')).toBe(false);
+    });
+
+    test('should throw when a group name is not found', async () => {
+      await expect(script.invoke({ ...baseParams, groupNames: 'Marketing' }, mockContext))
+        .rejects.toThrow('Group "Marketing" not found. Set createMissingGroups to true to create it');
+    });
+
+    test('should create missing groups once the user exists when createMissingGroups is enabled', async () => {
+      const result = await script.invoke({ ...baseParams, groupNames: 'Marketing', createMissingGroups: 'true' }, mockContext);
+
+      const writes = requests.filter((r) => r.method !== 'GET');
+      expect(writes.map((r) => `${r.method} ${r.url}`)).toEqual([
+        'POST https://example.okta.com/api/v1/users?activate=true',
+        'POST https://example.okta.com/api/v1/groups',
+        'PUT https://example.okta.com/api/v1/groups/00gNew/users/user123'
+      ]);
+      expect(writes[0].body.groupIds).toBeUndefined();
+      expect(writes[1].body).toEqual({ profile: { name: 'Marketing' } });
+      expect(result.resolvedGroups).toEqual([{ name: 'Marketing', groupId: '00gNew', created: true }]);
+      expect(result.groupIds).toEqual(['00gNew']);
+    });
+
+    test('should not create missing groups when the run stops at a conflict', async () => {
+      const fetchGroups = global.fetch;
+      global.fetch = (url, options) => (url.endsWith('/api/v1/users/john.doe%40example.com')
+        ? Promise.resolve({ ok: true, status: 200, json: async () => ({ id: 'user123', status: 'ACTIVE', profile: { login: 'john.doe@example.com', email: 'john.doe@example.com' } }) })
+        : fetchGroups(url, options));
+
+      await expect(script.invoke({ ...baseParams, groupNames: 'Marketing', createMissingGroups: true, onExisting: 'fail' }, mockContext))
+        .rejects.toThrow('User user123 already exists and onExisting is set to fail');
+      expect(requests.filter((r) => r.method !== 'GET')).toEqual([]);
+    });
+
+    test('should refuse APP_GROUP groups', async () => {
+      await expect(script.invoke({ ...baseParams, groupNames: 'AD Admins' }, mockContext))
+        .rejects.toThrow('Group "AD Admins" (00gAd) is an APP_GROUP mastered by a directory or app and cannot be assigned directly');
+    });
+
+    test('should reject malformed groupNames JSON', async () => {
+      await expect(script.invoke({ ...baseParams, groupNames: '["Engineering"' }, mockContext))
+        .rejects.toThrow('Invalid groupNames JSON');
+    });
+  });
+
+  describe('rate limiting', () => {
+    const params = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    const rateLimitHeaders = (remaining, reset) => ({
+      get: (name) => ({
+        'x-rate-limit-limit': '600',
+        'x-rate-limit-remaining': String(remaining),
+        'x-rate-limit-reset': String(reset)
+      })[name.toLowerCase()] ?? null
+    });
+
+    afterEach(() => {
+      if (Math.random.mockRestore) Math.random.mockRestore();
+    });
+
+    test('should retry a rate limited create and report headroom', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      const reset = Math.floor(Date.now() / 1000);
+      let posts = 0;
+
+      global.fetch = (url, options) => {
+        if (options.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, headers: rateLimitHeaders(598, reset), json: async () => ({}) });
+        }
+        posts++;
+        if (posts === 1) {
+          return Promise.resolve({ ok: false, status: 429, headers: rateLimitHeaders(0, reset), json: async () => ({}) });
+        }
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          headers: rateLimitHeaders(41, reset),
+          json: async () => ({ id: 'user123', status: 'ACTIVE', profile: {} })
+        });
+      };
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(posts).toBe(2);
+      expect(result.id).toBe('user123');
+      expect(result.rateLimit).toEqual({
+        limit: 600,
+        remaining: 0,
+        resetAt: new Date(reset * 1000).toISOString(),
+        retries: 1
+      });
+    });
+
+    test('should not retry a create that failed with a server error', async () => {
+      let posts = 0;
+      global.fetch = (url, options) => {
+        if (options.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+        }
+        posts++;
+        return Promise.resolve({ ok: false, status: 502, json: async () => ({}) });
+      };
+
+      const error = await script.invoke(params, mockContext).catch(e => e);
+
+      expect(error.statusCode).toBe(502);
+      expect(posts).toBe(1);
+    });
+  });
+
+  describe('profile schema validation', () => {
+    const params = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    let requests;
+
+    const mockSchema = (schemaResponse) => {
+      global.fetch = (url, options) => {
+        requests.push(`${options.method} ${url}`);
+        if (url.includes('/meta/schemas/user/')) {
+          return Promise.resolve(schemaResponse);
+        }
+        if (options.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+        }
+        return Promise.resolve({ ok: true, status: 200, json: async () => ({ id: 'user123', status: 'ACTIVE', profile: {} }) });
+      };
+    };
+
+    beforeEach(() => {
+      requests = [];
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    test('should validate the profile before creating the user', async () => {
+      mockSchema({ ok: true, status: 200, json: async () => userSchema });
+
+      const result = await script.invoke({
+        ...params,
+        additionalProfileAttributes: '{"userType": "Employee", "costCenter": "CC-1"}'
+      }, mockContext);
+
+      expect(requests).toEqual([
+        'GET https://example.okta.com/api/v1/users/john.doe%40example.com',
+        'GET https://example.okta.com/api/v1/meta/schemas/user/default',
+        'POST https://example.okta.com/api/v1/users?activate=true'
+      ]);
+      expect(result.schemaValidation).toBe('passed');
+    });
+
+    test('should report every violation at once without creating the user', async () => {
+      mockSchema({ ok: true, status: 200, json: async () => userSchema });
+
+      const error = await script.invoke({
+        ...params,
+        additionalProfileAttributes: '{"userType": "Intern", "costCentre": "CC-1", "hrSystemId": 7, "mobilePhone": 5551234}'
+      }, mockContext).catch(e => e);
+
+      expect(error.violations).toEqual([
+        'userType: "Intern" is not one of "Employee", "Contractor"',
+        'costCentre: attribute is not defined in the user schema',
+        'hrSystemId: attribute is read-only',
+        'mobilePhone: expected string but got number'
+      ]);
+      expect(error.message).toMatch(/^Profile does not match the user schema: userType: /);
+      expect(requests.some((r) => r.startsWith('POST'))).toBe(false);
+    });
+
+    test('should skip validation with a warning when the schema cannot be read', async () => {
+      mockSchema({ ok: false, status: 403, json: async () => ({ errorSummary: 'Forbidden' }) });
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(result.schemaValidation).toBe('skipped');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('okta.schemas.read'));
+    });
+
+    test('should not read the schema when validation is disabled', async () => {
+      mockSchema({ ok: true, status: 200, json: async () => userSchema });
+
+      const result = await script.invoke({ ...params, validateSchema: 'false' }, mockContext);
+
+      expect(requests.some((r) => r.includes('/meta/schemas/'))).toBe(false);
+      expect(result.schemaValidation).toBe('disabled');
+    });
+
+    test('should protect dedicated inputs from additionalProfileAttributes', async () => {
+      mockSchema({ ok: true, status: 200, json: async () => userSchema });
+
+      await expect(script.invoke({
+        ...params,
+        department: 'Engineering',
+        additionalProfileAttributes: '{"login": "someone.else@example.com", "department": "Sales", "title": "Engineer"}'
+      }, mockContext)).rejects.toThrow('additionalProfileAttributes cannot override login, department; use the dedicated input instead');
+      expect(requests).toEqual([]);
+    });
+
+    test('should reject additionalProfileAttributes that are not an object', async () => {
+      await expect(script.invoke({ ...params, additionalProfileAttributes: '["title"]' }, mockContext))
+        .rejects.toThrow('Invalid additionalProfileAttributes JSON: expected an object');
+    });
+  });
+
+  describe('login generation', () => {
+    const params = {
+      email: 'jose.dasilva@corp.com',
+      firstName: 'José',
+      lastName: 'Da Silva',
+      loginTemplate: '{firstName}.{lastName}@corp.com',
+      address: 'https://example.okta.com'
+    };
+
+    let requests;
+    let users;
+
+    beforeEach(() => {
+      requests = [];
+      users = {};
+      global.fetch = (url, options) => {
+        requests.push({ url, method: options.method, body: options.body && JSON.parse(options.body) });
+        const login = decodeURIComponent(url.split('/api/v1/users/')[1] || '');
+        if (options.method === 'GET' && users[login]) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => users[login] });
+        }
+        if (options.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+        }
+        const body = JSON.parse(options.body);
+        return Promise.resolve({ ok: true, status: 200, json: async () => ({ id: 'user123', status: 'ACTIVE', profile: body.profile }) });
+      };
+    });
+
+    const lookups = () => requests
+      .filter(r => r.method === 'GET' && r.url.includes('/api/v1/users/'))
+      .map(r => decodeURIComponent(r.url.split('/api/v1/users/')[1]));
+
+    test('should generate a normalized login from the template', async () => {
+      const result = await script.invoke(params, mockContext);
+
+      expect(lookups()).toEqual(['jose.dasilva@corp.com']);
+      expect(requests.find(r => r.method === 'POST').body.profile.login).toBe('jose.dasilva@corp.com');
+      expect(result.login).toBe('jose.dasilva@corp.com');
+    });
+
+    test('should try numbered suffixes when the login belongs to someone else', async () => {
+      users['jose.dasilva@corp.com'] = { id: 'other1', profile: { email: 'jose.dasilva@other.com' } };
+      users['jose.dasilva2@corp.com'] = { id: 'other2', profile: { email: 'jdasilva@corp.com' } };
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(lookups()).toEqual(['jose.dasilva@corp.com', 'jose.dasilva2@corp.com', 'jose.dasilva3@corp.com']);
+      expect(result.login).toBe('jose.dasilva3@corp.com');
+      expect(result.profile.login).toBe('jose.dasilva3@corp.com');
+    });
+
+    test('should reuse a suffixed login that already belongs to the same person', async () => {
+      users['jose.dasilva@corp.com'] = { id: 'other1', profile: { email: 'jose.dasilva@other.com' } };
+      users['jose.dasilva2@corp.com'] = {
+        id: 'user456',
+        status: 'ACTIVE',
+        profile: { email: 'Jose.DaSilva@corp.com', login: 'jose.dasilva2@corp.com' }
+      };
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(result.id).toBe('user456');
+      expect(result.login).toBe('jose.dasilva2@corp.com');
+      expect(requests.some(r => r.method === 'POST')).toBe(false);
+    });
+
+    test('should fail with 409 once maxLoginSuffix is reached', async () => {
+      users['jose.dasilva@corp.com'] = { id: 'other1', profile: { email: 'a@corp.com' } };
+      users['jose.dasilva2@corp.com'] = { id: 'other2', profile: { email: 'b@corp.com' } };
+
+      const error = await script.invoke({ ...params, maxLoginSuffix: 2 }, mockContext).catch(e => e);
+
+      expect(error.message).toBe('No available login for jose.dasilva@corp.com: the login and suffixes 2-2 belong to other users');
+      expect(error.statusCode).toBe(409);
+    });
+
+    test('should not add suffixes to a login passed directly', async () => {
+      users['jose.dasilva@corp.com'] = { id: 'other1', profile: { email: 'jose.dasilva@other.com' } };
+
+      await expect(script.invoke({ ...params, loginTemplate: undefined, login: 'jose.dasilva@corp.com' }, mockContext))
+        .rejects.toThrow('Login already exists in the organization for a user with a different email');
+      expect(lookups()).toEqual(['jose.dasilva@corp.com']);
+    });
+
+    test('should validate the template and login inputs', async () => {
+      await expect(script.invoke({ ...params, login: 'jose@corp.com' }, mockContext))
+        .rejects.toThrow('Provide either login or loginTemplate, not both');
+      await expect(script.invoke({ ...params, loginTemplate: '{nickname}@corp.com' }, mockContext))
+        .rejects.toThrow('Invalid loginTemplate: unknown placeholder {nickname}');
+      await expect(script.invoke({ ...params, loginTemplate: '{employeeNumber}@corp.com' }, mockContext))
+        .rejects.toThrow('Invalid loginTemplate: {employeeNumber} has no value');
+      await expect(script.invoke({ ...params, maxLoginSuffix: 0 }, mockContext))
+        .rejects.toThrow('Invalid maxLoginSuffix parameter: expected an integer from 1 to 99');
+      await expect(script.invoke({ ...params, maxLoginSuffix: 100 }, mockContext))
+        .rejects.toThrow('Invalid maxLoginSuffix parameter: expected an integer from 1 to 99');
+      await expect(script.invoke({ ...params, loginTemplate: undefined }, mockContext))
+        .rejects.toThrow('Missing required parameter(s): login');
+      expect(requests).toEqual([]);
+    });
+  });
+
+  describe('user types and realms', () => {
+    const params = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    const contractorType = {
+      id: 'oty1contractor',
+      name: 'contractor',
+      displayName: 'Contractor',
+      _links: { schema: { href: 'https://example.okta.com/api/v1/meta/schemas/user/osc1contractor' } }
+    };
+
+    let requests;
+    let userTypes;
+
+    beforeEach(() => {
+      requests = [];
+      userTypes = [
+        { id: 'oty1default', name: 'user', displayName: 'User', default: true },
+        contractorType
+      ];
+      global.fetch = (url, options) => {
+        requests.push({ url, method: options.method, body: options.body && JSON.parse(options.body) });
+        if (url.endsWith('/api/v1/meta/types/user')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => userTypes });
+        }
+        if (url.includes('/api/v1/meta/types/user/')) {
+          const type = userTypes.find((t) => url.endsWith(`/${t.id}`));
+          return Promise.resolve(type
+            ? { ok: true, status: 200, json: async () => type }
+            : { ok: false, status: 404, json: async () => ({ errorCode: 'E0000007' }) });
+        }
+        if (url.includes('/meta/schemas/user/')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => userSchema });
+        }
+        if (options.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+        }
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({ id: 'user123', status: 'ACTIVE', profile: {}, type: { id: 'oty1contractor' }, realmId: 'guo1realm' })
+        });
+      };
+    });
+
+    test('should create the user with a type resolved by name and validate against its schema', async () => {
+      const result = await script.invoke({ ...params, userType: 'contractor', realmId: 'guo1realm' }, mockContext);
+
+      expect(requests.map(r => `${r.method} ${r.url}`)).toEqual([
+        'GET https://example.okta.com/api/v1/meta/types/user',
+        'GET https://example.okta.com/api/v1/users/john.doe%40example.com',
+        'GET https://example.okta.com/api/v1/meta/schemas/user/osc1contractor',
+        'POST https://example.okta.com/api/v1/users?activate=true'
+      ]);
+      expect(requests[3].body.type).toEqual({ id: 'oty1contractor' });
+      expect(requests[3].body.realmId).toBe('guo1realm');
+      expect(result.userType).toEqual({ id: 'oty1contractor', name: 'contractor', displayName: 'Contractor' });
+      expect(result.realmId).toBe('guo1realm');
+    });
+
+    test('should fetch user types given by ID directly', async () => {
+      const result = await script.invoke({ ...params, userType: 'oty1contractor' }, mockContext);
+
+      expect(requests[0].url).toBe('https://example.okta.com/api/v1/meta/types/user/oty1contractor');
+      expect(result.userType.name).toBe('contractor');
+    });
+
+    test('should fall back to the display name', async () => {
+      const result = await script.invoke({ ...params, userType: 'Contractor' }, mockContext);
+
+      expect(result.userType.id).toBe('oty1contractor');
+    });
+
+    test('should reject ambiguous display names before writing anything', async () => {
+      userTypes.push({ id: 'oty2contractor', name: 'contractor_emea', displayName: 'Contractor' });
+
+      await expect(script.invoke({ ...params, userType: 'Contractor' }, mockContext))
+        .rejects.toThrow('User type "Contractor" is ambiguous: matches oty1contractor, oty2contractor');
+      expect(requests.filter(r => r.method === 'POST')).toEqual([]);
+    });
+
+    test('should reject unknown user types', async () => {
+      await expect(script.invoke({ ...params, userType: 'intern' }, mockContext))
+        .rejects.toThrow('User type "intern" not found');
+      await expect(script.invoke({ ...params, userType: 'oty9missing' }, mockContext))
+        .rejects.toThrow('User type oty9missing not found');
+    });
+
+    test('should omit type and realm when not requested', async () => {
+      await script.invoke(params, mockContext);
+
+      const create = requests.find(r => r.method === 'POST');
+      expect(create.body).not.toHaveProperty('type');
+      expect(create.body).not.toHaveProperty('realmId');
+      expect(requests.some(r => r.url.includes('/meta/types/'))).toBe(false);
+    });
+  });
+
+  describe('dry run', () => {
+    const params = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      department: 'Engineering',
+      address: 'https://example.okta.com',
+      dryRun: true
+    };
+
+    const groups = {
+      Engineering: { id: 'group-eng', type: 'OKTA_GROUP', profile: { name: 'Engineering' } }
+    };
+
+    let requests;
+    let existingUser;
+    let memberOf;
+
+    beforeEach(() => {
+      requests = [];
+      existingUser = null;
+      memberOf = [];
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      global.fetch = (url, options) => {
+        requests.push({ method: options.method, url });
+        if (options.method !== 'GET') {
+          return Promise.resolve({ ok: true, status: 200, json: async () => ({ id: 'written' }) });
+        }
+        if (url.includes('/api/v1/groups?')) {
+          const name = decodeURIComponent(url.replace(/\+/g, ' ')).match(/profile\.name eq "([^"]+)"/)[1];
+          return Promise.resolve({ ok: true, status: 200, json: async () => (groups[name] ? [groups[name]] : []) });
+        }
+        if (url.includes('/users/user123/groups')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => memberOf.map(id => ({ id })) });
+        }
+        if (existingUser && url.endsWith('/api/v1/users/john.doe%40example.com')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => existingUser });
+        }
+        return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+      };
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    const writes = () => requests.filter(r => r.method !== 'GET');
+
+    test('should plan the create request with secrets redacted and send no writes', async () => {
+      const result = await script.invoke({
+        ...params,
+        groupIds: 'group-vpn',
+        groupNames: 'Engineering, New Hires',
+        createMissingGroups: true
+      }, { ...mockContext, secrets: { ...mockContext.secrets, USER_PASSWORD: 'Sup3r-secret!' } });
+
+      expect(writes()).toEqual([]);
+      expect(result.dryRun).toBe(true);
+      expect(result.plan).toEqual({
+        action: 'create',
+        reason: null,
+        userId: null,
+        login: 'john.doe@example.com',
+        request: {
+          method: 'POST',
+          path: '/api/v1/users?activate=true',
+          body: {
+            profile: {
+              email: 'john.doe@example.com',
+              login: 'john.doe@example.com',
+              firstName: 'John',
+              lastName: 'Doe',
+              department: 'Engineering'
+            },
+            credentials: { password: { value: '[REDACTED]' } },
+            groupIds: ['group-vpn', 'group-eng', '<new group "New Hires">']
+          }
+        },
+        lifecycleRequest: null,
+        groupOperations: [
+          {
+            operation: 'create-group',
+            name: 'New Hires',
+            groupId: '<new group "New Hires">',
+            request: { method: 'POST', path: '/api/v1/groups', body: { profile: { name: 'New Hires' } } }
+          },
+          { operation: 'assign-on-create', groupId: 'group-vpn' },
+          { operation: 'assign-on-create', groupId: 'group-eng' },
+          { operation: 'assign-on-create', groupId: '<new group "New Hires">' }
+        ],
+        appOperations: [],
+        managerRequest: null,
+        activationRequests: [],
+        profileChanges: [],
+        schemaValidation: 'skipped',
+        duplicateCandidates: []
+      });
+      expect(JSON.stringify(result)).not.toContain('Sup3r-secret!');
+    });
+
+    test('should redact imported password hashes', async () => {
+      const result = await script.invoke({
+        ...params,
+        passwordHashAlgorithm: 'SHA-256',
+        passwordHashSalt: 'salt',
+        passwordHashSaltOrder: 'PREFIX'
+      }, { ...mockContext, secrets: { ...mockContext.secrets, USER_PASSWORD_HASH: 'aGFzaA==' } });
+
+      expect(result.plan.request.body.credentials.password.hash).toEqual({
+        algorithm: 'SHA-256',
+        salt: 'salt',
+        saltOrder: 'PREFIX',
+        value: '[REDACTED]'
+      });
+    });
+
+    test('should plan the lifecycle change, profile update and missing memberships of an existing user', async () => {
+      existingUser = {
+        id: 'user123',
+        status: 'SUSPENDED',
+        profile: { email: 'john.doe@example.com', login: 'john.doe@example.com', firstName: 'John', lastName: 'Doe', department: 'Sales' }
+      };
+      memberOf = ['group-eng'];
+
+      const result = await script.invoke({
+        ...params,
+        groupIds: 'group-eng, group-vpn',
+        onExisting: 'update',
+        onSuspended: 'unsuspend'
+      }, mockContext);
+
+      expect(writes()).toEqual([]);
+      expect(result.plan).toMatchObject({
+        action: 'update-existing',
+        userId: 'user123',
+        request: { method: 'POST', path: '/api/v1/users/user123', body: { profile: { department: 'Engineering' } } },
+        lifecycleRequest: { method: 'POST', path: '/api/v1/users/user123/lifecycle/unsuspend' },
+        groupOperations: [
+          { operation: 'already-member', groupId: 'group-eng' },
+          { operation: 'add-member', groupId: 'group-vpn', request: { method: 'PUT', path: '/api/v1/groups/group-vpn/users/user123' } }
+        ],
+        profileChanges: [{ attribute: 'department', oldValue: 'Sales', newValue: 'Engineering' }]
+      });
+    });
+
+    test('should plan to return an existing user that needs no changes', async () => {
+      existingUser = { id: 'user123', status: 'ACTIVE', profile: { email: 'john.doe@example.com', login: 'john.doe@example.com' } };
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(result.plan).toMatchObject({ action: 'return-existing', userId: 'user123', request: null, lifecycleRequest: null });
+    });
+
+    test('should report conflicts as the plan instead of failing', async () => {
+      existingUser = { id: 'other', status: 'ACTIVE', profile: { email: 'someone.else@example.com' } };
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(writes()).toEqual([]);
+      expect(result.plan).toMatchObject({
+        action: 'conflict',
+        reason: 'Login already exists in the organization for a user with a different email',
+        login: 'john.doe@example.com',
+        request: null
+      });
+    });
+
+    test('should still fail on errors that are not conflicts', async () => {
+      await expect(script.invoke({ ...params, groupNames: 'Missing' }, mockContext))
+        .rejects.toThrow('Group "Missing" not found. Set createMissingGroups to true to create it');
+    });
+
+    test('should reject an invalid dryRun value', async () => {
+      await expect(script.invoke({ ...params, dryRun: 'yes' }, mockContext))
+        .rejects.toThrow('Invalid dryRun parameter: expected true or false');
+    });
+  });
+
+  describe('batch creation', () => {
+    let requests;
+    let existing;
+
+    beforeEach(() => {
+      requests = [];
+      existing = {
+        'bob@example.com': { id: 'bob-id', status: 'ACTIVE', profile: { email: 'bob@example.com', login: 'bob@example.com' } }
+      };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      global.fetch = (url, options) => {
+        requests.push({ method: options.method, url, body: options.body && JSON.parse(options.body) });
+        if (options.method === 'GET' && url.includes('/api/v1/groups?')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => [] });
+        }
+        if (options.method === 'GET' && url.includes('/groups')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => [] });
+        }
+        if (options.method === 'GET') {
+          const login = decodeURIComponent(url.split('/api/v1/users/')[1] || '');
+          return Promise.resolve(existing[login]
+            ? { ok: true, status: 200, json: async () => existing[login] }
+            : { ok: false, status: 404, json: async () => ({}) });
+        }
+        if (url.endsWith('/api/v1/groups')) {
+          return Promise.resolve({ ok: true, status: 200, json: async () => ({ id: 'new-group', type: 'OKTA_GROUP' }) });
+        }
+        if (options.method === 'PUT') {
+          return Promise.resolve({ ok: true, status: 204, json: async () => ({}) });
+        }
+        const body = JSON.parse(options.body);
+        if (body.profile.login === 'dave@example.com') {
+          return Promise.resolve({
+            ok: false,
+            status: 400,
+            json: async () => ({ errorCode: 'E0000001', errorSummary: 'Api validation failed: login' })
+          });
+        }
+        return Promise.resolve({ ok: true, status: 200, json: async () => ({ id: `${body.profile.firstName}-id`, status: 'ACTIVE', profile: body.profile }) });
+      };
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    const csv = [
+      'email,login,firstName,lastName',
+      'ann@example.com,ann@example.com,Ann,Lee',
+      'bob@example.com,bob@example.com,Bob,Ray',
+      'carl@example.com,carl@example.com,Carl,',
+      'dave@example.com,dave@example.com,Dave,Fox'
+    ].join('\n');
+
+    test('should report one result per row and keep going after failed rows', async () => {
+      const result = await script.invoke({ users: csv, address: 'https://example.okta.com' }, mockContext);
+
+      expect(result.batch).toBe(true);
+      expect(result.results).toMatchObject([
+        { row: 1, email: 'ann@example.com', login: 'ann@example.com', outcome: 'created', id: 'Ann-id', status: 'ACTIVE', error: null, retryable: null },
+        { row: 2, email: 'bob@example.com', login: 'bob@example.com', outcome: 'existing', id: 'bob-id', status: 'ACTIVE', error: null, retryable: null },
+        {
+          row: 3,
+          email: 'carl@example.com',
+          login: 'carl@example.com',
+          outcome: 'failed',
+          id: null,
+          status: null,
+          error: 'Missing required parameter(s): lastName',
+          retryable: false
+        },
+        {
+          row: 4,
+          email: 'dave@example.com',
+          login: 'dave@example.com',
+          outcome: 'failed',
+          id: null,
+          status: null,
+          error: 'Failed to create user: HTTP 400 - Api validation failed: login',
+          retryable: false
+        }
+      ]);
+      expect(result.summary).toEqual({ total: 4, created: 1, existing: 1, planned: 0, failed: 2, skipped: 0 });
+      expect(result.rateLimit).toBeDefined();
+      expect(result.results.map(({ audit }) => audit.action)).toEqual(['created', 'unchanged', 'failed', 'failed']);
+      expect(result.results[2].audit.calls).toEqual([]);
+      expect(result.results[3].audit.calls.at(-1)).toMatchObject({ method: 'POST', endpoint: '/api/v1/users?activate=true', outcome: 'failed', status: 400 });
+    });
+
+    test('should fail malformed rows on their own and create the rows around them', async () => {
+      const users = [
+        'email,login,firstName,lastName',
+        'ann@example.com,ann@example.com,Ann,Lee',
+        'eve@example.com,eve@example.com,Eve',
+        'fay@example.com,fay@example.com,Fay,Ong'
+      ].join('\n');
+
+      const result = await script.invoke({ users, address: 'https://example.okta.com' }, mockContext);
+
+      expect(result.results.map(({ row, outcome, error, retryable }) => ({ row, outcome, error, retryable }))).toEqual([
+        { row: 1, outcome: 'created', error: null, retryable: null },
+        { row: 2, outcome: 'failed', error: 'Invalid users CSV: row 2 has 3 fields, expected 4', retryable: false },
+        { row: 3, outcome: 'created', error: null, retryable: null }
+      ]);
+      expect(result.results[1]).toMatchObject({ email: null, login: null, id: null, audit: { action: 'failed', calls: [] } });
+      expect(requests.filter(r => r.method === 'POST').map(r => r.body.profile.login)).toEqual(['ann@example.com', 'fay@example.com']);
+    });
+
+    test('should apply batch-wide inputs to every row unless the row overrides them', async () => {
+      const users = JSON.stringify([
+        { email: 'ann@example.com', login: 'ann@example.com', firstName: 'Ann', lastName: 'Lee' },
+        { email: 'eve@example.com', login: 'eve@example.com', firstName: 'Eve', lastName: 'Ng', department: 'Sales' }
+      ]);
+
+      await script.invoke({ users, department: 'Engineering', address: 'https://example.okta.com' }, mockContext);
+
+      const creates = requests.filter(r => r.method === 'POST');
+      expect(creates.map(r => r.body.profile.department)).toEqual(['Engineering', 'Sales']);
+    });
+
+    test('should create a missing group once for all rows', async () => {
+      const users = JSON.stringify([
+        { email: 'ann@example.com', login: 'ann@example.com', firstName: 'Ann', lastName: 'Lee' },
+        { email: 'eve@example.com', login: 'eve@example.com', firstName: 'Eve', lastName: 'Ng' }
+      ]);
+
+      const result = await script.invoke({
+        users,
+        groupNames: 'Acquisition',
+        createMissingGroups: true,
+        address: 'https://example.okta.com'
+      }, mockContext);
+
+      expect(requests.filter(r => r.url.endsWith('/api/v1/groups'))).toHaveLength(1);
+      expect(requests.filter(r => r.url.includes('/api/v1/groups?'))).toHaveLength(1);
+      expect(result.summary.created).toBe(2);
+    });
+
+    test('should limit the number of rows in flight', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const fetchRows = global.fetch;
+      global.fetch = async (url, options) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        inFlight--;
+        return fetchRows(url, options);
+      };
+      const users = Array.from({ length: 6 }, (_, i) => ({
+        email: `u${i}@example.com`, login: `u${i}@example.com`, firstName: `U${i}`, lastName: 'Test'
+      }));
+
+      const result = await script.invoke({ users: JSON.stringify(users), batchConcurrency: 2, address: 'https://example.okta.com' }, mockContext);
+
+      expect(result.summary.created).toBe(6);
+      expect(maxInFlight).toBe(2);
+    });
+
+    test('should return the plan of each row in a dry run', async () => {
+      const result = await script.invoke({ users: csv, dryRun: true, address: 'https://example.okta.com' }, mockContext);
+
+      expect(requests.filter(r => r.method !== 'GET')).toEqual([]);
+      expect(result.results.map(r => r.outcome)).toEqual(['planned', 'planned', 'failed', 'planned']);
+      expect(result.results[1].plan.action).toBe('return-existing');
+      expect(result.summary.planned).toBe(3);
+    });
+
+    test('should reject invalid batch inputs before making any requests', async () => {
+      await expect(script.invoke({ users: csv, batchConcurrency: 11 }, mockContext))
+        .rejects.toThrow('Invalid batchConcurrency parameter: expected an integer from 1 to 10');
+      await expect(script.invoke({ users: csv }, { ...mockContext, secrets: { ...mockContext.secrets, USER_PASSWORD: 'x' } }))
+        .rejects.toThrow('USER_PASSWORD and USER_PASSWORD_HASH cannot be used with users');
+      await expect(script.invoke({ users: 'email,login\n' }, mockContext))
+        .rejects.toThrow('Invalid users parameter: no users found');
+      expect(requests).toEqual([]);
+    });
+  });
+
+  describe('resumable steps', () => {
+    let okta;
+
+    const reply = (status, body) => Promise.resolve({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // A small stateful Okta, so a retried run sees what the failed attempt changed
+      okta = {
+        users: [{ id: 'u-1', status: 'SUSPENDED', profile: { email: 'sam@example.com', login: 'sam@example.com', firstName: 'Sam', lastName: 'Hill' } }],
+        groups: [{ id: 'group-9', type: 'OKTA_GROUP', profile: { name: 'Sales' } }],
+        memberships: [],
+        requests: [],
+        writes: [],
+        fail: null,
+        failResponse: null,
+        dropResponse: null
+      };
+
+      global.fetch = (url, options) => {
+        const [path, query = ''] = decodeURIComponent(url.replace('https://example.okta.com', '')).split('?');
+        const request = `${options.method} ${path}`;
+        okta.requests.push(request);
+
+        if (okta.fail?.request === request) {
+          const { status } = okta.fail;
+          okta.fail = null;
+          return reply(status, { errorCode: 'E0000006', errorSummary: 'Simulated failure' });
+        }
+        if (options.method !== 'GET') {
+          okta.writes.push(request);
+        }
+
+        const body = options.body && JSON.parse(options.body);
+        const findUser = (key) => okta.users.find((u) => u.id === key || u.profile.login.toLowerCase() === key.toLowerCase());
+        let response;
+        let match;
+
+        if (path === '/api/v1/meta/schemas/user/default') {
+          response = reply(200, userSchema);
+        } else if (request === 'GET /api/v1/groups') {
+          response = reply(200, okta.groups.filter((g) => query.replace(/\+/g, ' ').includes(`"${g.profile.name}"`)));
+        } else if (request === 'POST /api/v1/groups') {
+          const group = { id: `group-${okta.groups.length + 1}`, type: 'OKTA_GROUP', profile: body.profile };
+          okta.groups.push(group);
+          response = reply(200, group);
+        } else if ((match = request.match(/^PUT \/api\/v1\/groups\/(.+)\/users\/(.+)$/))) {
+          okta.memberships.push({ groupId: match[1], userId: match[2] });
+          response = reply(204, {});
+        } else if ((match = request.match(/^GET \/api\/v1\/users\/(.+)\/groups$/))) {
+          response = reply(200, okta.memberships.filter((m) => m.userId === match[1]).map((m) => ({ id: m.groupId })));
+        } else if ((match = request.match(/^GET \/api\/v1\/users\/(.+)$/))) {
+          const user = findUser(match[1]);
+          response = user ? reply(200, structuredClone(user)) : reply(404, { errorCode: 'E0000007' });
+        } else if (request === 'POST /api/v1/users') {
+          const user = { id: `user-${okta.users.length + 1}`, status: 'ACTIVE', profile: body.profile };
+          okta.users.push(user);
+          okta.memberships.push(...(body.groupIds || []).map((groupId) => ({ groupId, userId: user.id })));
+          response = reply(200, structuredClone(user));
+        } else if ((match = request.match(/^POST \/api\/v1\/users\/(.+)\/lifecycle\/unsuspend$/))) {
+          findUser(match[1]).status = 'ACTIVE';
+          response = reply(200, {});
+        } else if ((match = request.match(/^POST \/api\/v1\/users\/(.+)\/lifecycle\/deactivate$/))) {
+          findUser(match[1]).status = 'DEPROVISIONED';
+          response = reply(200, {});
+        } else if ((match = request.match(/^DELETE \/api\/v1\/users\/(.+)$/))) {
+          okta.users = okta.users.filter((u) => u.id !== match[1]);
+          response = reply(204, {});
+        } else if ((match = request.match(/^POST \/api\/v1\/users\/(.+)$/))) {
+          const user = findUser(match[1]);
+          Object.assign(user.profile, body.profile);
+          response = reply(200, structuredClone(user));
+        }
+
+        if (okta.failResponse?.request === request) {
+          const { status } = okta.failResponse;
+          okta.failResponse = null;
+          return reply(status, { errorCode: 'E0000009', errorSummary: 'Simulated failure' });
+        }
+        if (okta.dropResponse === request) {
+          okta.dropResponse = null;
+          return Promise.reject(new TypeError('fetch failed'));
+        }
+        return response;
+      };
+    });
+
+    const newUser = {
+      email: 'ann@example.com',
+      login: 'ann@example.com',
+      firstName: 'Ann',
+      lastName: 'Lee',
+      groupNames: 'Engineering',
+      createMissingGroups: true,
+      address: 'https://example.okta.com'
+    };
+
+    test.each([
+      ['lookup', 'GET /api/v1/users/ann@example.com'],
+      ['create', 'POST /api/v1/users']
+    ])('should resume a new user run that failed in the %s step (%s)', async (step, request) => {
+      okta.fail = { request, status: 403 };
+      await expect(script.invoke(newUser, mockContext)).rejects.toThrow('Simulated failure');
+      expect(mockContext.current_step).toBe(step);
+      expect(mockContext.partial_results.checkpoint.steps.resolve).toMatchObject({
+        resolvedGroups: [{ name: 'Engineering', groupId: null, created: true }],
+        groupIds: []
+      });
+
+      okta.requests = [];
+      const result = await script.invoke(newUser, mockContext);
+
+      expect(result).toMatchObject({ id: 'user-2', statusBefore: null, groupIds: ['group-2'] });
+      expect(okta.requests).not.toContain('GET /api/v1/groups');
+      expect(okta.writes).toEqual(['POST /api/v1/users', 'POST /api/v1/groups', 'PUT /api/v1/groups/group-2/users/user-2']);
+      expect(mockContext.partial_results.progress.createdUsers).toEqual([{ id: 'user-2', login: 'ann@example.com' }]);
+      expect(mockContext.partial_results.checkpoint).toBeUndefined();
+    });
+
+    test('should look the login up again when the create response was lost', async () => {
+      okta.dropResponse = 'POST /api/v1/users';
+      await expect(script.invoke(newUser, mockContext)).rejects.toThrow('fetch failed');
+
+      const result = await script.invoke(newUser, mockContext);
+
+      expect(result.id).toBe('user-2');
+      expect(okta.users).toHaveLength(2);
+      expect(okta.writes).toEqual(['POST /api/v1/users', 'POST /api/v1/groups', 'PUT /api/v1/groups/group-2/users/user-2']);
+    });
+
+    test('should keep the pending create when the create request fails with a server error', async () => {
+      okta.failResponse = { request: 'POST /api/v1/users', status: 502 };
+      await expect(script.invoke(newUser, mockContext)).rejects.toThrow('Simulated failure');
+      expect(okta.users).toHaveLength(2);
+      expect(mockContext.partial_results.progress.pendingCreates).toEqual([{ login: 'ann@example.com', email: 'ann@example.com' }]);
+
+      const result = await script.invoke(newUser, mockContext);
+
+      expect(result).toMatchObject({ id: 'user-2', statusBefore: null });
+      expect(result.audit.action).toBe('created');
+      expect(okta.users).toHaveLength(2);
+      expect(mockContext.partial_results.progress.createdUsers).toEqual([{ id: 'user-2', login: 'ann@example.com' }]);
+
+      const halted = await script.halt({ ...newUser, reason: 'timeout', haltCleanup: 'delete' }, mockContext);
+
+      expect(halted.undone).toEqual([{ userId: 'user-2', login: 'ann@example.com', action: 'deleted' }]);
+      expect(okta.users.map(({ id }) => id)).toEqual(['u-1']);
+    });
+
+    test('should drop the pending create when Okta rejects the create request', async () => {
+      okta.fail = { request: 'POST /api/v1/users', status: 400 };
+      await expect(script.invoke(newUser, mockContext)).rejects.toThrow('Simulated failure');
+
+      expect(mockContext.partial_results.progress.pendingCreates).toEqual([]);
+    });
+
+    test('should report a user whose create response was lost as created by the run', async () => {
+      okta.dropResponse = 'POST /api/v1/users';
+      await expect(script.invoke(newUser, mockContext)).rejects.toThrow('fetch failed');
+      expect(mockContext.partial_results.progress.pendingCreates).toEqual([{ login: 'ann@example.com', email: 'ann@example.com' }]);
+
+      const result = await script.invoke(newUser, mockContext);
+
+      expect(result).toMatchObject({ id: 'user-2', statusBefore: null, groupIds: ['group-2'] });
+      expect(result.audit.action).toBe('created');
+      expect(mockContext.partial_results.progress).toMatchObject({
+        createdUsers: [{ id: 'user-2', login: 'ann@example.com' }],
+        pendingCreates: []
+      });
+
+      const halted = await script.halt({ ...newUser, reason: 'timeout', haltCleanup: 'delete' }, mockContext);
+
+      expect(halted.undone).toEqual([{ userId: 'user-2', login: 'ann@example.com', action: 'deleted' }]);
+      expect(okta.users.map(({ id }) => id)).toEqual(['u-1']);
+    });
+
+    const existingUser = {
+      email: 'sam@example.com',
+      login: 'sam@example.com',
+      firstName: 'Samuel',
+      lastName: 'Hill',
+      groupNames: 'Sales',
+      onSuspended: 'unsuspend',
+      onExisting: 'update',
+      address: 'https://example.okta.com'
+    };
+
+    test.each([
+      ['lifecycle', 'POST /api/v1/users/u-1/lifecycle/unsuspend'],
+      ['lifecycle', 'GET /api/v1/users/u-1'],
+      ['update', 'POST /api/v1/users/u-1'],
+      ['groups', 'GET /api/v1/users/u-1/groups']
+    ])('should resume an existing user run that failed in the %s step (%s)', async (step, request) => {
+      okta.fail = { request, status: 403 };
+      await expect(script.invoke(existingUser, mockContext)).rejects.toThrow('Simulated failure');
+      expect(mockContext.current_step).toBe(step);
+
+      const result = await script.invoke(existingUser, mockContext);
+
+      expect(result).toMatchObject({
+        id: 'u-1',
+        status: 'ACTIVE',
+        statusBefore: 'SUSPENDED',
+        lifecycleAction: 'unsuspend',
+        groupAssignments: [{ groupId: 'group-9', status: 'added' }],
+        profileChanges: [{ attribute: 'firstName', oldValue: 'Sam', newValue: 'Samuel' }]
+      });
+      expect(okta.users[0].profile.firstName).toBe('Samuel');
+      expect(okta.writes).toEqual([
+        'POST /api/v1/users/u-1/lifecycle/unsuspend',
+        'POST /api/v1/users/u-1',
+        'PUT /api/v1/groups/group-9/users/u-1'
+      ]);
+      expect(mockContext.partial_results.checkpoint).toBeUndefined();
+    });
+
+    test('should start over when the inputs changed', async () => {
+      okta.fail = { request: 'GET /api/v1/users/ann@example.com', status: 403 };
+      await expect(script.invoke(newUser, mockContext)).rejects.toThrow('Simulated failure');
+
+      okta.requests = [];
+      const result = await script.invoke({ ...newUser, department: 'Engineering' }, mockContext);
+
+      expect(result.id).toBe('user-2');
+      expect(okta.requests).toContain('GET /api/v1/groups');
+      expect(okta.writes).toEqual(['POST /api/v1/users', 'POST /api/v1/groups', 'PUT /api/v1/groups/group-2/users/user-2']);
+    });
+
+    test('should only retry the batch rows that did not complete', async () => {
+      const users = JSON.stringify([
+        { email: 'ann@example.com', login: 'ann@example.com', firstName: 'Ann', lastName: 'Lee' },
+        { email: 'bob@example.com', login: 'bob@example.com', firstName: 'Bob', lastName: 'Ray' }
+      ]);
+      const params = { users, batchConcurrency: 1, address: 'https://example.okta.com' };
+
+      let calls = 0;
+      const fetch = global.fetch;
+      global.fetch = (url, options) => {
+        // The second row's create fails with a server error, which the client doesn't retry for POST
+        if (options.method === 'POST' && JSON.parse(options.body).profile.login === 'bob@example.com' && calls++ === 0) {
+          return reply(503, { errorSummary: 'Service unavailable' });
+        }
+        return fetch(url, options);
+      };
+
+      const first = await script.invoke(params, mockContext);
+      expect(first.results.map(({ outcome, retryable }) => [outcome, retryable])).toEqual([['created', null], ['failed', true]]);
+      expect(mockContext.partial_results.checkpoint.steps).toEqual({ 'row 1': first.results[0] });
+
+      okta.requests = [];
+      const second = await script.invoke(params, mockContext);
+
+      expect(second.results[0]).toEqual(first.results[0]);
+      expect(second.results[1]).toMatchObject({ outcome: 'created', id: 'user-3' });
+      expect(okta.requests.filter((request) => request.includes('ann@example.com'))).toEqual([]);
+      expect(mockContext.partial_results.checkpoint).toBeUndefined();
+    });
+  });
+
+  describe('app assignments', () => {
+    const baseParams = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    const apps = [
+      { id: '0oaSlack', label: 'Slack' },
+      { id: '0oaSlackAdmin', label: 'Slack Admin' },
+      { id: '0oaGitHub1', label: 'GitHub' },
+      { id: '0oaGitHub2', label: 'GitHub' }
+    ];
+
+    let requests;
+    let existingUser;
+    let assigned;
+    let failAssignment;
+
+    beforeEach(() => {
+      requests = [];
+      existingUser = null;
+      assigned = [];
+      failAssignment = null;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      global.fetch = (url, options) => {
+        const path = url.replace('https://example.okta.com', '');
+        requests.push({ method: options.method, path, body: options.body && JSON.parse(options.body) });
+        const reply = (status, body) => Promise.resolve({ ok: status >= 200 && status < 300, status, json: async () => body });
+        let match;
+
+        if (path.startsWith('/api/v1/apps?')) {
+          const q = new URLSearchParams(path.split('?')[1]).get('q');
+          return reply(200, apps.filter((app) => app.label.toLowerCase().startsWith(q.toLowerCase())));
+        }
+        if ((match = path.match(/^\/api\/v1\/apps\/([^/]+)\/users\/(.+)$/))) {
+          return assigned.includes(match[1]) ? reply(200, { id: match[2] }) : reply(404, { errorCode: 'E0000007' });
+        }
+        if ((match = path.match(/^\/api\/v1\/apps\/([^/]+)\/users$/))) {
+          return match[1] === failAssignment
+            ? reply(403, { errorCode: 'E0000006', errorSummary: 'You do not have permission to perform the requested action' })
+            : reply(200, { id: JSON.parse(options.body).id, scope: JSON.parse(options.body).scope });
+        }
+        if ((match = path.match(/^\/api\/v1\/apps\/(.+)$/))) {
+          const app = apps.find((candidate) => candidate.id === match[1]);
+          return app ? reply(200, app) : reply(404, { errorCode: 'E0000007' });
+        }
+        if (path.endsWith('/groups?limit=200')) {
+          return reply(200, []);
+        }
+        if (options.method === 'GET') {
+          return existingUser ? reply(200, existingUser) : reply(404, {});
+        }
+        return reply(200, { id: 'user123', status: 'ACTIVE', profile: JSON.parse(options.body).profile });
+      };
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    const writes = () => requests.filter((r) => r.method !== 'GET').map(({ method, path, body }) => ({ method, path, body }));
+
+    test('should assign apps by label and ID once the user is created', async () => {
+      const result = await script.invoke({
+        ...baseParams,
+        appAssignments: JSON.stringify([
+          { app: 'Slack', profile: { displayName: 'John D' } },
+          { app: '0oaGitHub1', scope: 'GROUP' }
+        ])
+      }, mockContext);
+
+      expect(writes()).toEqual([
+        expect.objectContaining({ method: 'POST', path: '/api/v1/users?activate=true' }),
+        { method: 'POST', path: '/api/v1/apps/0oaSlack/users', body: { id: 'user123', scope: 'USER', profile: { displayName: 'John D' } } },
+        { method: 'POST', path: '/api/v1/apps/0oaGitHub1/users', body: { id: 'user123', scope: 'GROUP' } }
+      ]);
+      expect(result.appAssignments).toEqual([
+        { appId: '0oaSlack', label: 'Slack', scope: 'USER', status: 'assigned' },
+        { appId: '0oaGitHub1', label: 'GitHub', scope: 'GROUP', status: 'assigned' }
+      ]);
+      expect(mockContext.partial_results.progress.appAssignments).toEqual([
+        { userId: 'user123', appId: '0oaSlack' },
+        { userId: 'user123', appId: '0oaGitHub1' }
+      ]);
+    });
+
+    test('should report each failed app without failing the run', async () => {
+      failAssignment = '0oaSlack';
+
+      const result = await script.invoke({ ...baseParams, appAssignments: 'Slack, 0oaGitHub1' }, mockContext);
+
+      expect(result.id).toBe('user123');
+      expect(result.appAssignments).toEqual([
+        {
+          appId: '0oaSlack',
+          label: 'Slack',
+          scope: 'USER',
+          status: 'failed',
+          reason: 'Failed to assign app 0oaSlack: HTTP 403 - You do not have permission to perform the requested action. ' +
+            'The API credentials may be missing the okta.apps.manage scope'
+        },
+        { appId: '0oaGitHub1', label: 'GitHub', scope: 'USER', status: 'assigned' }
+      ]);
+    });
+
+    test('should skip apps an existing user is already assigned to', async () => {
+      existingUser = { id: 'existing-id', status: 'ACTIVE', profile: { email: 'john.doe@example.com', login: 'john.doe@example.com' } };
+      assigned = ['0oaSlack'];
+
+      const result = await script.invoke({ ...baseParams, appAssignments: 'Slack, 0oaGitHub1' }, mockContext);
+
+      expect(writes()).toEqual([
+        { method: 'POST', path: '/api/v1/apps/0oaGitHub1/users', body: { id: 'existing-id', scope: 'USER' } }
+      ]);
+      expect(result.appAssignments.map(({ appId, status }) => [appId, status])).toEqual([
+        ['0oaSlack', 'already-assigned'],
+        ['0oaGitHub1', 'assigned']
+      ]);
+    });
+
+    test('should fail before any writes when an app cannot be resolved', async () => {
+      await expect(script.invoke({ ...baseParams, appAssignments: 'GitHub' }, mockContext))
+        .rejects.toThrow('App label "GitHub" is ambiguous: matches 0oaGitHub1, 0oaGitHub2');
+      await expect(script.invoke({ ...baseParams, appAssignments: 'Zoom' }, mockContext))
+        .rejects.toThrow('App "Zoom" not found');
+      await expect(script.invoke({ ...baseParams, appAssignments: '0oaMissing' }, mockContext))
+        .rejects.toThrow('App 0oaMissing not found');
+
+      expect(writes()).toEqual([]);
+    });
+
+    test('should validate appAssignments before any API calls', async () => {
+      const invalid = {
+        '[{"app": ': 'Invalid appAssignments JSON',
+        '{"app": "Slack"}': 'Invalid appAssignments JSON: expected an array',
+        '[{"profile": {}}]': 'Invalid appAssignments: each entry must be an app ID or label, or an object with an app',
+        '[{"app": "Slack", "scope": "ADMIN"}]': 'Invalid appAssignments: scope for Slack must be one of USER, GROUP',
+        '[{"app": "Slack", "profile": "x"}]': 'Invalid appAssignments: profile for Slack must be an object',
+        'Slack, Slack': 'Invalid appAssignments: Slack is listed more than once'
+      };
+
+      for (const [appAssignments, message] of Object.entries(invalid)) {
+        await expect(script.invoke({ ...baseParams, appAssignments }, mockContext)).rejects.toThrow(message);
+      }
+      expect(requests).toEqual([]);
+    });
+
+    test('should plan app assignments in a dry run', async () => {
+      const result = await script.invoke({
+        ...baseParams,
+        appAssignments: '[{"app": "Slack", "profile": {"displayName": "John D"}}]',
+        dryRun: true
+      }, mockContext);
+
+      expect(writes()).toEqual([]);
+      expect(result.plan.appOperations).toEqual([{
+        operation: 'assign-app',
+        appId: '0oaSlack',
+        label: 'Slack',
+        request: {
+          method: 'POST',
+          path: '/api/v1/apps/0oaSlack/users',
+          body: { id: '<new user>', scope: 'USER', profile: { displayName: 'John D' } }
+        }
+      }]);
+    });
+  });
+
+  describe('manager', () => {
+    const baseParams = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    const directory = [
+      { id: '00uJane', status: 'ACTIVE', profile: { login: 'jane.boss@example.com', email: 'jane.boss@example.com', firstName: 'Jane', lastName: 'Boss' } },
+      { id: '00uKim', status: 'ACTIVE', profile: { login: 'kim', email: 'kim.lee@example.com', displayName: 'Kim Lee' } },
+      { id: '00uOld', status: 'DEPROVISIONED', profile: { login: 'old.boss@example.com', email: 'old.boss@example.com' } },
+      { id: '00uS1', status: 'ACTIVE', profile: { login: 's1', email: 'shared@example.com' } },
+      { id: '00uS2', status: 'ACTIVE', profile: { login: 's2', email: 'shared@example.com' } }
+    ];
+
+    let requests;
+    let existingUser;
+    let failLink;
+
+    beforeEach(() => {
+      requests = [];
+      existingUser = null;
+      failLink = false;
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      global.fetch = (url, options) => {
+        const path = decodeURIComponent(url.replace('https://example.okta.com', ''));
+        requests.push({ method: options.method, path, body: options.body && JSON.parse(options.body) });
+        const reply = (status, body) => Promise.resolve({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+        if (path.includes('/linkedObjects/')) {
+          return failLink ? reply(404, { errorCode: 'E0000007', errorSummary: 'Not found: Resource not found: manager (LinkedObject)' }) : reply(204, {});
+        }
+        if (options.method === 'GET' && path.startsWith('/api/v1/users?')) {
+          const email = new URLSearchParams(url.split('?')[1]).get('search').match(/^profile\.email eq "(.*)"$/)[1];
+          return reply(200, directory.filter((user) => user.profile.email === email));
+        }
+        if (options.method === 'GET' && path.startsWith('/api/v1/users/')) {
+          const key = path.slice('/api/v1/users/'.length);
+          const user = [...directory, existingUser].find((candidate) => candidate && (candidate.id === key || candidate.profile.login === key));
+          return user ? reply(200, user) : reply(404, { errorCode: 'E0000007' });
+        }
+        if (options.method === 'GET') {
+          return reply(404, {});
+        }
+        return reply(200, { id: existingUser?.id || 'user123', status: 'ACTIVE', profile: JSON.parse(options.body).profile });
+      };
+    });
+
+    const writes = () => requests.filter((r) => r.method !== 'GET').map(({ method, path }) => `${method} ${path}`);
+
+    test('should resolve the manager by login and fill in the profile', async () => {
+      const result = await script.invoke({ ...baseParams, manager: 'jane.boss@example.com' }, mockContext);
+
+      const createRequest = requests.find((r) => r.method === 'POST');
+      expect(createRequest.body.profile).toMatchObject({ managerId: '00uJane', manager: 'Jane Boss' });
+      expect(writes()).toEqual(['POST /api/v1/users?activate=true']);
+      expect(result.manager).toEqual({ id: '00uJane', login: 'jane.boss@example.com', displayName: 'Jane Boss', relationship: null });
+    });
+
+    test('should fall back to an email search and link the manager once the user exists', async () => {
+      const result = await script.invoke({ ...baseParams, manager: 'kim.lee@example.com', managerRelationship: 'manager' }, mockContext);
+
+      expect(writes()).toEqual([
+        'POST /api/v1/users?activate=true',
+        'PUT /api/v1/users/user123/linkedObjects/manager/00uKim'
+      ]);
+      expect(result.profile).toMatchObject({ managerId: '00uKim', manager: 'Kim Lee' });
+      expect(result.manager).toEqual({ id: '00uKim', login: 'kim', displayName: 'Kim Lee', relationship: 'manager' });
+    });
+
+    test('should resolve the manager by Okta ID', async () => {
+      const result = await script.invoke({ ...baseParams, manager: '00uJane' }, mockContext);
+
+      expect(result.manager.login).toBe('jane.boss@example.com');
+    });
+
+    test('should fail before any writes for unknown, ambiguous or deactivated managers', async () => {
+      await expect(script.invoke({ ...baseParams, manager: 'nobody@example.com' }, mockContext))
+        .rejects.toThrow('Manager "nobody@example.com" not found');
+      await expect(script.invoke({ ...baseParams, manager: 'shared@example.com' }, mockContext))
+        .rejects.toThrow('Manager "shared@example.com" is ambiguous: matches 00uS1, 00uS2');
+      await expect(script.invoke({ ...baseParams, manager: 'old.boss@example.com' }, mockContext))
+        .rejects.toThrow('Manager "old.boss@example.com" (00uOld) is deactivated');
+
+      expect(writes()).toEqual([]);
+    });
+
+    test('should validate the manager inputs before any API calls', async () => {
+      await expect(script.invoke({ ...baseParams, managerRelationship: 'manager' }, mockContext))
+        .rejects.toThrow('managerRelationship requires the manager parameter');
+      await expect(script.invoke({ ...baseParams, manager: 'kim', managerRelationship: 'reports to' }, mockContext))
+        .rejects.toThrow('Invalid managerRelationship parameter');
+      await expect(script.invoke({ ...baseParams, manager: 'kim', additionalProfileAttributes: '{"managerId": "00uX"}' }, mockContext))
+        .rejects.toThrow('additionalProfileAttributes cannot override managerId');
+
+      expect(requests).toEqual([]);
+    });
+
+    test('should update and link the manager of an existing user', async () => {
+      existingUser = { id: '00uJohn', status: 'ACTIVE', profile: { ...baseParams, managerId: '00uJane', manager: 'Jane Boss' } };
+      delete existingUser.profile.address;
+
+      const result = await script.invoke({ ...baseParams, manager: 'kim', managerRelationship: 'manager', onExisting: 'update' }, mockContext);
+
+      expect(writes()).toEqual([
+        'POST /api/v1/users/00uJohn',
+        'PUT /api/v1/users/00uJohn/linkedObjects/manager/00uKim'
+      ]);
+      expect(result.profileChanges).toEqual([
+        { attribute: 'managerId', oldValue: '00uJane', newValue: '00uKim' },
+        { attribute: 'manager', oldValue: 'Jane Boss', newValue: 'Kim Lee' }
+      ]);
+    });
+
+    test('should leave the manager of an existing user alone with onExisting return', async () => {
+      existingUser = { id: '00uJohn', status: 'ACTIVE', profile: { ...baseParams, managerId: '00uJane', manager: 'Jane Boss' } };
+      delete existingUser.profile.address;
+
+      const result = await script.invoke({ ...baseParams, manager: 'kim', managerRelationship: 'manager', onExisting: 'return' }, mockContext);
+
+      expect(writes()).toEqual([]);
+      expect(result.profile).toMatchObject({ managerId: '00uJane', manager: 'Jane Boss' });
+      expect(result.manager).toBeNull();
+      expect(result.audit.action).toBe('unchanged');
+    });
+
+    test('should fail on a missing relationship and resume without creating the user again', async () => {
+      failLink = true;
+      const params = { ...baseParams, manager: 'kim', managerRelationship: 'manager' };
+
+      await expect(script.invoke(params, mockContext)).rejects.toThrow('Failed to link user to manager 00uKim: HTTP 404');
+      expect(mockContext.current_step).toBe('manager');
+
+      failLink = false;
+      requests = [];
+      const result = await script.invoke(params, mockContext);
+
+      expect(writes()).toEqual(['PUT /api/v1/users/user123/linkedObjects/manager/00uKim']);
+      expect(result.manager.relationship).toBe('manager');
+    });
+
+    test('should plan the manager link in a dry run', async () => {
+      const result = await script.invoke({ ...baseParams, manager: 'kim', managerRelationship: 'manager', dryRun: true }, mockContext);
+
+      expect(writes()).toEqual([]);
+      expect(result.plan.request.body.profile).toMatchObject({ managerId: '00uKim', manager: 'Kim Lee' });
+      expect(result.plan.managerRequest).toEqual({ method: 'PUT', path: '/api/v1/users/%3Cnew%20user%3E/linkedObjects/manager/00uKim' });
+    });
+  });
+
+  describe('activation options', () => {
+    const baseParams = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    let postUrl;
+
+    beforeEach(() => {
+      postUrl = '';
+      global.fetch = (url, options) => {
+        if (options?.method === 'GET') {
+          return Promise.resolve({
+            ok: false,
+            status: 404,
+            json: async () => ({})
+          });
+        }
+
+        postUrl = url;
+        const staged = url.includes('activate=false');
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({
+            id: 'user123',
+            status: staged ? 'STAGED' : 'ACTIVE',
+            created: '2024-01-15T10:00:00.000Z',
+            activated: staged ? null : '2024-01-15T10:00:00.000Z',
+            profile: { email: 'john.doe@example.com', login: 'john.doe@example.com' }
+          })
+        });
+      };
+    });
+
+    test('should activate user by default', async () => {
+      const result = await script.invoke(baseParams, mockContext);
+
+      expect(postUrl).toBe('https://example.okta.com/api/v1/users?activate=true');
+      expect(result.status).toBe('ACTIVE');
+    });
+
+    test('should create STAGED user when activate is false', async () => {
+      const result = await script.invoke({ ...baseParams, activate: false }, mockContext);
+
+      expect(postUrl).toBe('https://example.okta.com/api/v1/users?activate=false');
+      expect(result.status).toBe('STAGED');
+      expect(result.activated).toBeNull();
+    });
+
+    test('should accept string boolean inputs', async () => {
+      const result = await script.invoke({ ...baseParams, activate: 'false', provider: 'true', providerType: 'FEDERATION' }, mockContext);
+
+      expect(postUrl).toBe('https://example.okta.com/api/v1/users?activate=false&provider=true');
+      expect(result.status).toBe('STAGED');
+    });
+
+    test('should send nextLogin=changePassword', async () => {
+      await script.invoke({ ...baseParams, nextLogin: 'changePassword' }, mockContext);
+
+      expect(postUrl).toBe('https://example.okta.com/api/v1/users?activate=true&nextLogin=changePassword');
+    });
+
+    test('should reject nextLogin for STAGED users before calling Okta', async () => {
+      await expect(script.invoke({ ...baseParams, activate: false, nextLogin: 'changePassword' }, mockContext))
+        .rejects.toThrow('nextLogin=changePassword requires activate to be true');
+      expect(postUrl).toBe('');
+    });
+
+    test('should reject unsupported nextLogin values', async () => {
+      await expect(script.invoke({ ...baseParams, nextLogin: 'resetPassword' }, mockContext))
+        .rejects.toThrow('Invalid nextLogin parameter: only changePassword is supported');
+    });
+
+    test('should reject invalid boolean values', async () => {
+      await expect(script.invoke({ ...baseParams, activate: 'yes' }, mockContext))
+        .rejects.toThrow('Invalid activate parameter: expected true or false');
+    });
+  });
+
+  describe('activation mode', () => {
+    const baseParams = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    const token = 'XE6wE17zmphl3KqAPFxO';
+    let user;
+    let writes;
+    let logged;
+    let failNext;
+
+    beforeEach(() => {
+      user = null;
+      writes = [];
+      logged = [];
+      failNext = null;
+      const record = (...args) => logged.push(args.map((arg) => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+      jest.spyOn(console, 'log').mockImplementation(record);
+      jest.spyOn(console, 'error').mockImplementation(record);
+
+      global.fetch = (url, options) => {
+        const path = decodeURIComponent(url.replace('https://example.okta.com', ''));
+        const reply = (status, body) => Promise.resolve({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+        if (options.method === 'GET') {
+          const found = user && (path.endsWith(`/${user.id}`) || path.endsWith(`/${user.profile.login}`));
+          return found ? reply(200, structuredClone(user)) : reply(404, {});
+        }
+
+        writes.push(`${options.method} ${path}`);
+        if (failNext?.path === path) {
+          const { error } = failNext;
+          failNext = null;
+          if (error === 'lost') {
+            user.status = 'PROVISIONED';
+            return Promise.reject(new TypeError('fetch failed'));
+          }
+          return reply(500, { errorSummary: 'Internal error' });
+        }
+        if (path.startsWith('/api/v1/users?')) {
+          const body = JSON.parse(options.body);
+          user = { id: 'user123', status: path.includes('activate=false') ? 'STAGED' : 'ACTIVE', profile: body.profile, hasPassword: Boolean(body.credentials) };
+          return reply(200, structuredClone(user));
+        }
+        if (path.includes('/lifecycle/activate') || path.includes('/lifecycle/reactivate')) {
+          user.status = user.hasPassword ? 'ACTIVE' : 'PROVISIONED';
+          return reply(200, user.hasPassword ? {} : { activationUrl: `https://example.okta.com/welcome/${token}`, activationToken: token });
+        }
+        if (path.includes('/lifecycle/reset_password')) {
+          user.status = 'RECOVERY';
+          return reply(200, { resetPasswordUrl: `https://example.okta.com/reset_password/${token}` });
+        }
+        return reply(404, {});
+      };
+    });
+
+    test('should return the activation link instead of emailing the user', async () => {
+      const result = await script.invoke({ ...baseParams, activationMode: 'link' }, mockContext);
+
+      expect(writes).toEqual([
+        'POST /api/v1/users?activate=false',
+        'POST /api/v1/users/user123/lifecycle/activate?sendEmail=false'
+      ]);
+      expect(result).toMatchObject({
+        status: 'PROVISIONED',
+        activationUrl: `https://example.okta.com/welcome/${token}`,
+        activationToken: token,
+        resetPasswordUrl: null
+      });
+      expect(logged.join('\n')).not.toContain(token);
+      expect(JSON.stringify(mockContext.partial_results)).not.toContain(token);
+    });
+
+    test('should return a reset password link for users created with a password', async () => {
+      const result = await script.invoke(
+        { ...baseParams, activationMode: 'reset' },
+        { ...mockContext, secrets: { ...mockContext.secrets, USER_PASSWORD: 'Sup3r-secret!' } }
+      );
+
+      expect(writes).toEqual([
+        'POST /api/v1/users?activate=false',
+        'POST /api/v1/users/user123/lifecycle/activate?sendEmail=false',
+        'POST /api/v1/users/user123/lifecycle/reset_password?sendEmail=false'
+      ]);
+      expect(result).toMatchObject({
+        status: 'RECOVERY',
+        activationUrl: null,
+        activationToken: null,
+        resetPasswordUrl: `https://example.okta.com/reset_password/${token}`
+      });
+      expect(logged.join('\n')).not.toContain(token);
+    });
+
+    test('should leave the activation email to Okta by default', async () => {
+      const result = await script.invoke(baseParams, mockContext);
+
+      expect(writes).toEqual(['POST /api/v1/users?activate=true']);
+      expect(result).toMatchObject({ activationUrl: null, activationToken: null, resetPasswordUrl: null });
+    });
+
+    test('should retry only the activation after it failed', async () => {
+      failNext = { path: '/api/v1/users/user123/lifecycle/activate?sendEmail=false', error: 'server' };
+      const params = { ...baseParams, activationMode: 'link' };
+
+      await expect(script.invoke(params, mockContext)).rejects.toThrow('Failed to activate user: HTTP 500');
+      expect(mockContext.current_step).toBe('activation');
+
+      const result = await script.invoke(params, mockContext);
+
+      expect(writes).toEqual([
+        'POST /api/v1/users?activate=false',
+        'POST /api/v1/users/user123/lifecycle/activate?sendEmail=false',
+        'POST /api/v1/users/user123/lifecycle/activate?sendEmail=false'
+      ]);
+      expect(result.activationToken).toBe(token);
+    });
+
+    test('should issue a new activation link when the first response was lost', async () => {
+      failNext = { path: '/api/v1/users/user123/lifecycle/activate?sendEmail=false', error: 'lost' };
+      const params = { ...baseParams, activationMode: 'link' };
+
+      await expect(script.invoke(params, mockContext)).rejects.toThrow('fetch failed');
+      const result = await script.invoke(params, mockContext);
+
+      expect(writes.slice(2)).toEqual(['POST /api/v1/users/user123/lifecycle/reactivate?sendEmail=false']);
+      expect(result.activationToken).toBe(token);
+    });
+
+    test('should validate the activation mode before calling Okta', async () => {
+      await expect(script.invoke({ ...baseParams, activationMode: 'sms' }, mockContext))
+        .rejects.toThrow('Invalid activationMode parameter: expected one of email, link, reset');
+      await expect(script.invoke({ ...baseParams, activationMode: 'link', activate: false }, mockContext))
+        .rejects.toThrow('activationMode=link requires activate to be true');
+      await expect(script.invoke({ ...baseParams, activationMode: 'link', provider: true, providerType: 'FEDERATION' }, mockContext))
+        .rejects.toThrow('activationMode=link cannot be used with provider');
+      await expect(script.invoke({ ...baseParams, activationMode: 'reset', nextLogin: 'changePassword' }, mockContext))
+        .rejects.toThrow('nextLogin cannot be used with activationMode=reset');
+      await expect(script.invoke({ ...baseParams, activationMode: 'reset' }, mockContext))
+        .rejects.toThrow('activationMode=reset requires USER_PASSWORD or USER_PASSWORD_HASH');
+      await expect(script.invoke({ users: '[{"email": "a@example.com"}]', activationMode: 'link', address: baseParams.address }, mockContext))
+        .rejects.toThrow('activationMode link and reset cannot be used with users');
+
+      expect(writes).toEqual([]);
+    });
+
+    test('should plan the activation requests in a dry run', async () => {
+      const result = await script.invoke({ ...baseParams, activationMode: 'link', dryRun: true }, mockContext);
+
+      expect(writes).toEqual([]);
+      expect(result.plan.request.path).toBe('/api/v1/users?activate=false');
+      expect(result.plan.activationRequests).toEqual([
+        { method: 'POST', path: '/api/v1/users/%3Cnew%20user%3E/lifecycle/activate?sendEmail=false' }
+      ]);
+    });
+  });
+
+  describe('authentication providers', () => {
+    const baseParams = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    let postUrl;
+    let postBody;
+
+    beforeEach(() => {
+      postUrl = '';
+      postBody = null;
+      global.fetch = (url, options) => {
+        if (options?.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+        }
+
+        postUrl = url;
+        postBody = JSON.parse(options.body);
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({
+            id: 'user123',
+            status: 'ACTIVE',
+            profile: postBody.profile,
+            credentials: postBody.credentials
+          })
+        });
+      };
+    });
+
+    test('should create a federated user with the provider credentials', async () => {
+      const result = await script.invoke({ ...baseParams, providerType: 'federation' }, mockContext);
+
+      expect(postUrl).toBe('https://example.okta.com/api/v1/users?activate=true&provider=true');
+      expect(postBody.credentials).toEqual({ provider: { type: 'FEDERATION', name: 'FEDERATION' } });
+      expect(result.provider).toEqual({ type: 'FEDERATION', name: 'FEDERATION' });
+    });
+
+    test('should send the directory instance name for LDAP and Active Directory users', async () => {
+      const result = await script.invoke(
+        { ...baseParams, providerType: 'ACTIVE_DIRECTORY', providerName: 'corp.example.com' },
+        mockContext
+      );
+
+      expect(postBody.credentials).toEqual({ provider: { type: 'ACTIVE_DIRECTORY', name: 'corp.example.com' } });
+      expect(result.provider).toEqual({ type: 'ACTIVE_DIRECTORY', name: 'corp.example.com' });
+    });
+
+    test('should report no provider for users Okta returns without one', async () => {
+      global.fetch = (url, options) => Promise.resolve(options?.method === 'GET'
+        ? { ok: false, status: 404, json: async () => ({}) }
+        : { ok: true, status: 200, json: async () => ({ id: 'user123', status: 'ACTIVE', profile: {} }) });
+
+      const result = await script.invoke(baseParams, mockContext);
+
+      expect(result.provider).toBeNull();
+    });
+
+    test.each([
+      [{ providerType: 'SAML' }, 'Invalid providerType parameter: expected one of FEDERATION, SOCIAL, LDAP, ACTIVE_DIRECTORY'],
+      [{ providerType: 'LDAP' }, 'providerType=LDAP requires providerName'],
+      [{ providerType: 'SOCIAL', providerName: 'Google' }, 'Invalid providerName for providerType=SOCIAL: expected SOCIAL'],
+      [{ providerName: 'corp.example.com' }, 'providerName requires the providerType parameter'],
+      [{ providerType: 'FEDERATION', provider: 'false' }, 'providerType requires provider to be true'],
+      [{ provider: 'true' }, 'provider requires the providerType parameter'],
+      [{ providerType: 'FEDERATION', activationMode: 'link' }, 'activationMode=link cannot be used with provider']
+    ])('should reject invalid provider inputs %o', async (inputs, message) => {
+      await expect(script.invoke({ ...baseParams, ...inputs }, mockContext)).rejects.toThrow(message);
+      expect(postUrl).toBe('');
+    });
+
+    test('should reject passwords for provider-backed users', async () => {
+      const withPassword = { ...mockContext, secrets: { ...mockContext.secrets, USER_PASSWORD: 'Sup3r-secret!' } };
+
+      await expect(script.invoke({ ...baseParams, providerType: 'FEDERATION' }, withPassword))
+        .rejects.toThrow('USER_PASSWORD and password hashes cannot be used with provider');
+      await expect(script.invoke({ ...baseParams, providerType: 'SOCIAL', passwordHashAlgorithm: 'SHA-256' }, mockContext))
+        .rejects.toThrow('USER_PASSWORD and password hashes cannot be used with provider');
+      expect(postUrl).toBe('');
+    });
+  });
+
+  describe('verification', () => {
+    const baseParams = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      department: 'Engineering',
+      groupIds: 'g-direct',
+      address: 'https://example.okta.com'
+    };
+
+    const group = (id, name, type = 'OKTA_GROUP') => ({ id, type, profile: { name } });
+
+    let user;
+    let groupReads;
+    let rulesStatus;
+    let storedDepartment;
+
+    beforeEach(() => {
+      user = null;
+      groupReads = [];
+      rulesStatus = 200;
+      storedDepartment = undefined;
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      global.fetch = (url, options) => {
+        const path = decodeURIComponent(url.replace('https://example.okta.com', ''));
+        const reply = (status, body) => Promise.resolve({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+        if (options.method === 'POST' && path.startsWith('/api/v1/users?')) {
+          const body = JSON.parse(options.body);
+          user = { id: 'user123', status: 'ACTIVE', profile: { ...body.profile }, lastUpdated: '2024-01-15T10:00:00.000Z' };
+          return reply(200, structuredClone(user));
+        }
+        if (path === '/api/v1/groups/rules?limit=200') {
+          return reply(rulesStatus, rulesStatus === 200
+            ? [
+              { status: 'ACTIVE', actions: { assignUserToGroups: { groupIds: ['g-rule'] } } },
+              { status: 'INACTIVE', actions: { assignUserToGroups: { groupIds: ['g-old-rule'] } } }
+            ]
+            : { errorSummary: 'You do not have permission' });
+        }
+        if (user && path === '/api/v1/users/user123/groups?limit=200') {
+          groupReads.push(path);
+          // Group memberships show up on the second read
+          return reply(200, groupReads.length === 1
+            ? [group('g-everyone', 'Everyone', 'BUILT_IN')]
+            : [group('g-everyone', 'Everyone', 'BUILT_IN'), group('g-direct', 'Engineering'), group('g-rule', 'All Staff')]);
+        }
+        if (user && (path === '/api/v1/users/user123' || path === `/api/v1/users/${user.profile.login}`)) {
+          const stored = structuredClone(user);
+          if (storedDepartment !== undefined) {
+            stored.profile.department = storedDepartment;
+          }
+          return reply(200, { ...stored, lastUpdated: '2024-01-15T10:00:05.000Z' });
+        }
+        return reply(404, {});
+      };
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    test('should poll until the user and groups match and report how each group was assigned', async () => {
+      const result = await script.invoke({ ...baseParams, verify: true }, mockContext);
+
+      expect(groupReads.length).toBe(2);
+      expect(result.verification).toEqual({
+        verified: true,
+        attempts: 2,
+        profileMismatches: [],
+        missingGroupIds: [],
+        groups: [
+          { groupId: 'g-everyone', name: 'Everyone', type: 'BUILT_IN', assignment: 'built-in' },
+          { groupId: 'g-direct', name: 'Engineering', type: 'OKTA_GROUP', assignment: 'direct' },
+          { groupId: 'g-rule', name: 'All Staff', type: 'OKTA_GROUP', assignment: 'rule' }
+        ]
+      });
+      expect(result.lastUpdated).toBe('2024-01-15T10:00:05.000Z');
+      expect(result.address).toBe('https://example.okta.com');
+    });
+
+    test('should report mismatches once the timeout runs out', async () => {
+      storedDepartment = 'engineering-emea';
+
+      const result = await script.invoke({ ...baseParams, verify: true, verifyTimeout: 0 }, mockContext);
+
+      expect(groupReads.length).toBe(1);
+      expect(result.verification).toMatchObject({
+        verified: false,
+        attempts: 1,
+        profileMismatches: [{ attribute: 'department', expected: 'Engineering', actual: 'engineering-emea' }],
+        missingGroupIds: ['g-direct']
+      });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('did not match the request after 1 read(s)'));
+    });
+
+    test('should ignore case differences in stored strings', async () => {
+      storedDepartment = 'ENGINEERING';
+
+      const result = await script.invoke({ ...baseParams, verify: true }, mockContext);
+
+      expect(result.verification.profileMismatches).toEqual([]);
+    });
+
+    test('should not tell rule and direct groups apart when the rules cannot be read', async () => {
+      rulesStatus = 403;
+
+      const result = await script.invoke({ ...baseParams, verify: true }, mockContext);
+
+      expect(result.verification.verified).toBe(true);
+      expect(result.verification.groups.map(({ groupId, assignment }) => [groupId, assignment])).toEqual([
+        ['g-everyone', 'built-in'],
+        ['g-direct', 'direct'],
+        ['g-rule', 'unknown']
+      ]);
+    });
+
+    test('should only compare the attributes sent to an existing user', async () => {
+      user = { id: 'user123', status: 'ACTIVE', profile: { email: 'john.doe@example.com', login: 'john.doe@example.com', department: 'Sales' } };
+      storedDepartment = 'Sales';
+
+      const result = await script.invoke({ ...baseParams, groupIds: undefined, verify: true }, mockContext);
+
+      expect(result.statusBefore).toBe('ACTIVE');
+      expect(result.verification).toMatchObject({ verified: true, attempts: 1, profileMismatches: [] });
+    });
+
+    test('should skip verification unless requested and still report the address', async () => {
+      const result = await script.invoke(baseParams, mockContext);
+
+      expect(groupReads).toEqual([]);
+      expect(result.verification).toBeNull();
+      expect(result.address).toBe('https://example.okta.com');
+    });
+
+    test('should not verify dry runs', async () => {
+      const result = await script.invoke({ ...baseParams, verify: true, dryRun: true }, mockContext);
+
+      expect(groupReads).toEqual([]);
+      expect(result).toMatchObject({ dryRun: true, address: 'https://example.okta.com' });
+    });
+
+    test.each([60, 21, -1, 2.5])('should reject an out of range verifyTimeout (%p)', async (verifyTimeout) => {
+      await expect(script.invoke({ ...baseParams, verify: true, verifyTimeout }, mockContext))
+        .rejects.toThrow('Invalid verifyTimeout parameter: expected an integer from 0 to 20');
+      expect(user).toBeNull();
+    });
+  });
+
+  describe('profile normalization', () => {
+    const baseParams = {
+      email: ' John.Doe@Example.COM ',
+      login: ' john.doe@example.com',
+      firstName: '  John ',
+      lastName: 'Doe',
+      additionalProfileAttributes: JSON.stringify({ countryCode: 'United Kingdom', mobilePhone: '020 7946 0958' }),
+      validateSchema: false,
+      address: 'https://example.okta.com'
+    };
+
+    let requests;
+
+    beforeEach(() => {
+      requests = [];
+      global.fetch = (url, options) => {
+        requests.push({ url: decodeURIComponent(url), method: options.method, body: options.body && JSON.parse(options.body) });
+        if (options.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+        }
+        const body = JSON.parse(options.body);
+        return Promise.resolve({ ok: true, status: 200, json: async () => ({ id: 'user123', status: 'ACTIVE', profile: body.profile }) });
+      };
+    });
+
+    test('should normalize the profile before looking up and creating the user', async () => {
+      const result = await script.invoke(baseParams, mockContext);
+
+      expect(requests[0].url).toBe('https://example.okta.com/api/v1/users/john.doe@example.com');
+      expect(requests.at(-1).body.profile).toEqual({
+        email: 'john.doe@example.com',
+        login: 'john.doe@example.com',
+        firstName: 'John',
+        lastName: 'Doe',
+        countryCode: 'GB',
+        mobilePhone: '+442079460958'
+      });
+      expect(result.normalizedAttributes).toEqual([
+        { attribute: 'countryCode', oldValue: 'United Kingdom', newValue: 'GB' },
+        { attribute: 'email', oldValue: ' John.Doe@Example.COM ', newValue: 'john.doe@example.com' },
+        { attribute: 'login', oldValue: ' john.doe@example.com', newValue: 'john.doe@example.com' },
+        { attribute: 'firstName', oldValue: '  John ', newValue: 'John' },
+        { attribute: 'mobilePhone', oldValue: '020 7946 0958', newValue: '+442079460958' }
+      ]);
+    });
+
+    test('should send skipped attributes exactly as given', async () => {
+      const result = await script.invoke({ ...baseParams, skipNormalization: 'mobilePhone, firstName' }, mockContext);
+
+      expect(requests.at(-1).body.profile).toMatchObject({ firstName: '  John ', mobilePhone: '020 7946 0958', countryCode: 'GB' });
+      expect(result.normalizedAttributes.map(({ attribute }) => attribute)).toEqual(['countryCode', 'email', 'login']);
+    });
+
+    test('should send the raw profile when normalization is turned off', async () => {
+      const result = await script.invoke({ ...baseParams, login: 'john.doe@example.com', normalizeProfile: false }, mockContext);
+
+      expect(requests.at(-1).body.profile).toMatchObject({ email: ' John.Doe@Example.COM ', countryCode: 'United Kingdom' });
+      expect(result.normalizedAttributes).toEqual([]);
+    });
+
+    test('should list the changes in a dry run', async () => {
+      const result = await script.invoke({ ...baseParams, dryRun: true }, mockContext);
+
+      expect(result.plan.request.body.profile.countryCode).toBe('GB');
+      expect(result.normalizedAttributes).toHaveLength(5);
+    });
+
+    test('should fail before calling Okta when a value cannot be normalized', async () => {
+      const params = { ...baseParams, additionalProfileAttributes: JSON.stringify({ countryCode: 'Atlantis', timezone: 'Europe/Atlantis' }) };
+
+      await expect(script.invoke(params, mockContext)).rejects.toThrow(
+        'Profile could not be normalized: countryCode: "Atlantis" is not an ISO 3166 country code or country name; ' +
+        'timezone: "Europe/Atlantis" is not an IANA time zone'
+      );
+      await expect(script.invoke({ ...baseParams, skipNormalization: 'country-code' }, mockContext))
+        .rejects.toThrow('Invalid skipNormalization: country-code');
+      expect(requests).toEqual([]);
+    });
+  });
+
+  describe('password credentials', () => {
+    const baseParams = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      address: 'https://example.okta.com'
+    };
+
+    let postBody;
+
+    beforeEach(() => {
+      postBody = undefined;
+      global.fetch = (url, options) => {
+        if (options?.method === 'GET') {
+          return Promise.resolve({
+            ok: false,
+            status: 404,
+            json: async () => ({})
+          });
+        }
+
+        postBody = JSON.parse(options.body);
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({
+            id: 'user123',
+            status: 'ACTIVE',
+            profile: postBody.profile,
+            credentials: { password: {}, provider: { type: 'OKTA', name: 'OKTA' } }
+          })
+        });
+      };
+    });
+
+    const contextWith = (secrets) => ({
+      ...mockContext,
+      secrets: { ...mockContext.secrets, ...secrets }
+    });
+
+    test('should not send credentials when no password is configured', async () => {
+      await script.invoke(baseParams, mockContext);
+
+      expect(postBody.credentials).toBeUndefined();
+    });
+
+    test('should send plaintext password from secrets without leaking it', async () => {
+      const logs = [];
+      jest.spyOn(console, 'log').mockImplementation((...args) => logs.push(args.join(' ')));
+
+      const result = await script.invoke(baseParams, contextWith({ USER_PASSWORD: 'Sup3rS3cret!' }));
+
+      expect(postBody.credentials).toEqual({ password: { value: 'Sup3rS3cret!' } });
+      expect(JSON.stringify(result)).not.toContain('Sup3rS3cret!');
+      expect(result.credentials).toBeUndefined();
+      expect(logs.join('\n')).not.toContain('Sup3rS3cret!');
+    });
+
+    test('should import a BCRYPT hash', async () => {
+      const params = {
+        ...baseParams,
+        passwordHashAlgorithm: 'bcrypt',
+        passwordHashWorkFactor: '10',
+        passwordHashSalt: 'rwh3vH166HCH/NT9XV5FYu'
+      };
+
+      await script.invoke(params, contextWith({ USER_PASSWORD_HASH: 'qaMqvAPULkbiQzkTCWo5XDcvzpk8Tna' }));
+
+      expect(postBody.credentials.password.hash).toEqual({
+        algorithm: 'BCRYPT',
+        workFactor: 10,
+        salt: 'rwh3vH166HCH/NT9XV5FYu',
+        value: 'qaMqvAPULkbiQzkTCWo5XDcvzpk8Tna'
+      });
+    });
+
+    test('should import a salted SHA-256 hash', async () => {
+      const params = {
+        ...baseParams,
+        passwordHashAlgorithm: 'SHA-256',
+        passwordHashSalt: 'c2FsdA==',
+        passwordHashSaltOrder: 'POSTFIX'
+      };
+
+      await script.invoke(params, contextWith({ USER_PASSWORD_HASH: 'aGFzaA==' }));
+
+      expect(postBody.credentials.password.hash).toEqual({
+        algorithm: 'SHA-256',
+        salt: 'c2FsdA==',
+        saltOrder: 'POSTFIX',
+        value: 'aGFzaA=='
+      });
+    });
+
+    test('should import an unsalted MD5 hash', async () => {
+      await script.invoke({ ...baseParams, passwordHashAlgorithm: 'MD5' }, contextWith({ USER_PASSWORD_HASH: 'aGFzaA==' }));
+
+      expect(postBody.credentials.password.hash).toEqual({ algorithm: 'MD5', value: 'aGFzaA==' });
+    });
+
+    test('should import a PBKDF2 hash', async () => {
+      const params = {
+        ...baseParams,
+        passwordHashAlgorithm: 'PBKDF2',
+        passwordHashSalt: 'c2FsdA==',
+        passwordHashIterations: 4096,
+        passwordHashKeySize: 64,
+        passwordHashDigestAlgorithm: 'SHA512_HMAC'
+      };
+
+      await script.invoke(params, contextWith({ USER_PASSWORD_HASH: 'aGFzaA==' }));
+
+      expect(postBody.credentials.password.hash).toEqual({
+        algorithm: 'PBKDF2',
+        salt: 'c2FsdA==',
+        iterations: 4096,
+        keySize: 64,
+        digestAlgorithm: 'SHA512_HMAC',
+        value: 'aGFzaA=='
+      });
+    });
+
+    test('should report every missing PBKDF2 field before calling Okta', async () => {
+      const error = await script.invoke({ ...baseParams, passwordHashAlgorithm: 'PBKDF2' }, mockContext).catch(e => e);
+
+      expect(error.message).toBe('Invalid password hash: USER_PASSWORD_HASH secret is required; ' +
+        'passwordHashSalt is required for PBKDF2; ' +
+        'passwordHashIterations must be a positive integer for PBKDF2; ' +
+        'passwordHashKeySize must be a positive integer for PBKDF2; ' +
+        'passwordHashDigestAlgorithm must be one of SHA256_HMAC, SHA512_HMAC for PBKDF2');
+      expect(postBody).toBeUndefined();
+    });
+
+    test('should reject BCRYPT hashes with an invalid work factor or salt', async () => {
+      const params = {
+        ...baseParams,
+        passwordHashAlgorithm: 'BCRYPT',
+        passwordHashWorkFactor: 42,
+        passwordHashSalt: 'short'
+      };
+
+      await expect(script.invoke(params, contextWith({ USER_PASSWORD_HASH: 'qaMqvAPULkbiQzkTCWo5XDcvzpk8Tna' })))
+        .rejects.toThrow('passwordHashWorkFactor must be an integer between 1 and 20 for BCRYPT; passwordHashSalt must be a 22 character string for BCRYPT');
+    });
+
+    test('should require a salt order for salted SHA hashes', async () => {
+      const params = { ...baseParams, passwordHashAlgorithm: 'SHA-512', passwordHashSalt: 'c2FsdA==' };
+
+      await expect(script.invoke(params, contextWith({ USER_PASSWORD_HASH: 'aGFzaA==' })))
+        .rejects.toThrow('passwordHashSaltOrder must be PREFIX or POSTFIX when a salt is provided for SHA-512');
+    });
+
+    test('should reject unsupported hash algorithms', async () => {
+      await expect(script.invoke({ ...baseParams, passwordHashAlgorithm: 'ARGON2' }, contextWith({ USER_PASSWORD_HASH: 'aGFzaA==' })))
+        .rejects.toThrow('Invalid passwordHashAlgorithm: ARGON2');
+    });
+
+    test('should reject a plaintext password combined with a hash', async () => {
+      const params = { ...baseParams, passwordHashAlgorithm: 'MD5' };
+
+      await expect(script.invoke(params, contextWith({ USER_PASSWORD: 'Sup3rS3cret!', USER_PASSWORD_HASH: 'aGFzaA==' })))
+        .rejects.toThrow('Provide either USER_PASSWORD or a password hash, not both');
+    });
+  });
+
+  describe('audit trail', () => {
+    const params = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      department: 'Engineering',
+      groupIds: '00g1',
+      validateSchema: false,
+      address: 'https://example.okta.com'
+    };
+
+    let stored;
+    let memberOf;
+    let calls;
+
+    beforeEach(() => {
+      stored = null;
+      memberOf = [];
+      calls = 0;
+      global.fetch = (url, options) => {
+        const requestId = `req-${++calls}`;
+        const reply = (status, body) => Promise.resolve({
+          ok: status >= 200 && status < 300,
+          status,
+          headers: { get: (name) => (name.toLowerCase() === 'x-okta-request-id' ? requestId : null) },
+          json: async () => body
+        });
+        if (options.method === 'GET') {
+          if (url.includes('/groups?')) {
+            return reply(200, memberOf.map((id) => ({ id, type: 'OKTA_GROUP', profile: { name: id } })));
+          }
+          return stored ? reply(200, stored) : reply(404, {});
+        }
+        if (options.method === 'PUT') {
+          return reply(204, {});
+        }
+        stored = { id: 'user123', status: 'ACTIVE', profile: { ...stored?.profile, ...JSON.parse(options.body).profile } };
+        return reply(200, stored);
+      };
+    });
+
+    test('should record every call and the created action', async () => {
+      const result = await script.invoke(params, mockContext);
+
+      expect(result.audit).toEqual({
+        schemaVersion: 1,
+        action: 'created',
+        userId: 'user123',
+        login: 'john.doe@example.com',
+        actor: { authMode: 'ssws' },
+        startedAt: expect.any(String),
+        completedAt: expect.any(String),
+        calls: [
+          expect.objectContaining({ method: 'GET', endpoint: '/api/v1/users/john.doe%40example.com', mutation: false, outcome: 'not-found', status: 404, requestId: 'req-1' }),
+          {
+            method: 'POST',
+            endpoint: '/api/v1/users?activate=true',
+            mutation: true,
+            outcome: 'success',
+            status: 200,
+            requestId: 'req-2',
+            attempts: 1,
+            startedAt: expect.any(String),
+            completedAt: expect.any(String),
+            error: null
+          }
+        ],
+        error: null
+      });
+      expect(Date.parse(result.audit.completedAt)).toBeGreaterThanOrEqual(Date.parse(result.audit.startedAt));
+    });
+
+    test('should tell updated existing users from unchanged ones', async () => {
+      stored = { id: 'user123', status: 'ACTIVE', profile: { login: 'john.doe@example.com', email: 'john.doe@example.com', firstName: 'John', lastName: 'Doe', department: 'Sales' } };
+
+      const updated = await script.invoke({ ...params, onExisting: 'update' }, mockContext);
+      expect(updated.audit.action).toBe('updated');
+      expect(updated.audit.calls.filter(({ mutation }) => mutation).map(({ method, endpoint }) => `${method} ${endpoint}`)).toEqual([
+        'POST /api/v1/users/user123',
+        'PUT /api/v1/groups/00g1/users/user123'
+      ]);
+
+      memberOf = ['00g1'];
+      const unchanged = await script.invoke({ ...params, onExisting: 'update' }, mockContext);
+      expect(unchanged.audit.action).toBe('unchanged');
+      expect(unchanged.audit.calls.some(({ mutation }) => mutation)).toBe(false);
+    });
+
+    test('should attach the audit record to the error of a conflict', async () => {
+      stored = { id: 'user123', status: 'ACTIVE', profile: { login: 'john.doe@example.com', email: 'john.doe@example.com' } };
+
+      const error = await script.invoke({ ...params, onExisting: 'fail' }, mockContext).catch((e) => e);
+
+      expect(error.statusCode).toBe(409);
+      expect(error.audit).toMatchObject({
+        action: 'conflict',
+        userId: null,
+        login: 'john.doe@example.com',
+        calls: [{ method: 'GET', outcome: 'success', requestId: 'req-1' }],
+        error: { message: 'User user123 already exists and onExisting is set to fail', statusCode: 409, requestId: null }
+      });
+    });
+
+    test('should report planned dry runs and the auth mode used', async () => {
+      const context = { ...mockContext, secrets: { BASIC_USERNAME: 'svc', BASIC_PASSWORD: 'secret' } };
+
+      const result = await script.invoke({ ...params, dryRun: true }, context);
+
+      expect(result.audit).toMatchObject({ action: 'planned', userId: null, login: 'john.doe@example.com', actor: { authMode: 'basic' } });
+      expect(result.audit.calls.every(({ mutation }) => !mutation)).toBe(true);
+    });
+  });
+
+  describe('private_key_jwt authentication', () => {
+    const params = {
+      email: 'john.doe@example.com',
+      login: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      validateSchema: false,
+      address: 'https://example.okta.com'
+    };
+    const context = {
+      environment: { OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID: '0oa1', OAUTH2_PRIVATE_KEY_JWT_SCOPE: 'okta.users.manage okta.users.read' },
+      secrets: {
+        OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY: generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ type: 'pkcs8', format: 'pem' })
+      }
+    };
+
+    const claims = (jwt) => JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString());
+
+    let requests;
+
+    beforeEach(() => {
+      requests = [];
+      global.fetch = (url, options) => {
+        requests.push({ url, ...options });
+        if (url.endsWith('/oauth2/v1/token')) {
+          const dpop = Boolean(options.headers.DPoP);
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            headers: { get: () => null },
+            json: async () => ({ token_type: dpop ? 'DPoP' : 'Bearer', access_token: 'service-at', expires_in: 3600 })
+          });
+        }
+        if (options.method === 'GET') {
+          return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+        }
+        return Promise.resolve({ ok: true, status: 200, json: async () => ({ id: 'user123', status: 'ACTIVE', profile: {} }) });
+      };
+    });
+
+    test('should get a DPoP-bound token from the org token endpoint and prove every call', async () => {
+      const result = await script.invoke(params, context);
+
+      const [token, ...calls] = requests;
+      expect(token.url).toBe('https://example.okta.com/oauth2/v1/token');
+      expect(new URLSearchParams(token.body).get('scope')).toBe('okta.users.manage okta.users.read');
+      expect(claims(new URLSearchParams(token.body).get('client_assertion'))).toMatchObject({ iss: '0oa1', aud: token.url });
+      expect(calls.map(({ method }) => method)).toEqual(['GET', 'POST']);
+      for (const call of calls) {
+        expect(call.headers.Authorization).toBe('DPoP service-at');
+        expect(claims(call.headers.DPoP)).toMatchObject({ htm: call.method, htu: call.url.split('?')[0], ath: expect.any(String) });
+      }
+      expect(result.audit.actor).toEqual({ authMode: 'oauth2-private-key-jwt' });
+    });
+
+    test('should use a Bearer token without proofs when DPoP is turned off', async () => {
+      await script.invoke(params, {
+        ...context,
+        environment: { ...context.environment, OAUTH2_PRIVATE_KEY_JWT_DPOP: 'false', OAUTH2_PRIVATE_KEY_JWT_TOKEN_URL: 'https://auth.example.com/oauth2/v1/token' }
+      });
+
+      expect(requests[0].url).toBe('https://auth.example.com/oauth2/v1/token');
+      expect(requests[0].headers.DPoP).toBeUndefined();
+      expect(requests[1].headers).toMatchObject({ Authorization: 'Bearer service-at' });
+      expect(requests[1].headers.DPoP).toBeUndefined();
+    });
+
+    test('should require the client ID and scope', async () => {
+      await expect(script.invoke(params, { ...context, environment: { OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID: '0oa1' } })).rejects.toThrow(
+        'OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY requires the OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID and OAUTH2_PRIVATE_KEY_JWT_SCOPE environment variables');
+      expect(requests).toEqual([]);
+    });
+  });
+
+  describe('logging', () => {
+    const params = {
+      email: 'Zelda.Quist@Example.com',
+      login: 'zquist@example.com',
+      firstName: 'Zelda',
+      lastName: 'Quist',
+      additionalProfileAttributes: JSON.stringify({ mobilePhone: '+44 20 7946 0958', employeeNumber: 'E-918273' }),
+      groupIds: '00g1',
+      validateSchema: false,
+      address: 'https://example.okta.com'
+    };
+    const context = {
+      ...mockContext,
+      secrets: { BEARER_AUTH_TOKEN: 'test-okta-token-123456', USER_PASSWORD: 'Pa55word-Zq!' }
+    };
+
+    let output;
+    let failCreate;
+
+    const respond = (status, body, requestId) => Promise.resolve({
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => (name.toLowerCase() === 'x-okta-request-id' ? requestId : null) },
+      json: async () => body
+    });
+
+    beforeEach(() => {
+      output = [];
+      for (const method of ['log', 'warn', 'error']) {
+        jest.spyOn(console, method).mockImplementation((...args) => output.push(args.join(' ')));
+      }
+      failCreate = false;
+      let requests = 0;
+      global.fetch = (url, options) => {
+        const requestId = `req-${++requests}`;
+        if (options.method === 'GET') {
+          return respond(404, {}, requestId);
+        }
+        if (options.method === 'POST' && failCreate) {
+          return respond(400, {
+            errorCode: 'E0000001',
+            errorSummary: 'Api validation failed: login',
+            errorCauses: [{ errorSummary: 'login: zquist@example.com (Zelda Quist) already exists' }]
+          }, requestId);
+        }
+        return respond(200, {
+          id: 'user123',
+          status: 'ACTIVE',
+          profile: { login: 'zquist@example.com', email: 'zelda.quist@example.com', firstName: 'Zelda', lastName: 'Quist' }
+        }, requestId);
+      };
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    test('should write JSON lines with the Okta request ID of every call', async () => {
+      await script.invoke(params, context);
+
+      const entries = output.map((line) => JSON.parse(line));
+      const calls = entries.filter(({ message }) => message.startsWith('Okta API '));
+      expect(calls.length).toBeGreaterThan(1);
+      expect(calls.map(({ requestId }) => requestId)).toEqual(calls.map((_, index) => `req-${index + 1}`));
+      expect(entries[0]).toMatchObject({ level: 'info', message: 'Starting Okta user creation', dryRun: false });
+    });
+
+    test('should never log raw personal data or secrets', async () => {
+      await script.invoke(params, context);
+      failCreate = true;
+      const error = await script.invoke(params, context).catch((e) => e);
+      await script.error({ ...params, error }, context).catch(() => {});
+      await script.halt({ ...params, reason: 'Stopped while creating zquist@example.com' }, context);
+
+      expect(error.requestId).toBeDefined();
+      const log = output.join('\n');
+      expect(output.length).toBeGreaterThan(0);
+      expect(log).toContain(error.requestId);
+      for (const value of ['Zelda', 'Quist', 'zquist', 'example.com', '7946', 'E-918273', 'Pa55word', 'test-okta-token']) {
+        expect(log).not.toMatch(new RegExp(value, 'i'));
+      }
+    });
+
+    test('should hash a person the same way in every handler of a job', async () => {
+      const job = { ...context, partial_results: {} };
+      failCreate = true;
+      const error = await script.invoke(params, job).catch((e) => e);
+      await script.error({ ...params, error }, job).catch(() => {});
+      await script.halt({ ...params, reason: 'timeout' }, job);
+
+      const entries = output.map((line) => JSON.parse(line));
+      const emails = entries.filter(({ email }) => email).map(({ email }) => email);
+      expect(entries.map(({ message }) => message)).toEqual(expect.arrayContaining([
+        'Starting Okta user creation',
+        'User creation failed and will not be retried',
+        'User creation job is being halted'
+      ]));
+      expect(emails.length).toBeGreaterThanOrEqual(3);
+      expect(new Set(emails).size).toBe(1);
+    });
+  });
+
+  describe('error handler', () => {
+    test('should re-throw error for framework to handle', async () => {
+      const error = new Error('Network timeout');
+      const params = {
+        email: 'john.doe@example.com',
+        error
+      };
+
+      const thrown = await script.error(params, mockContext).catch(e => e);
+
+      expect(thrown).toBe(error);
+      expect(thrown.retryable).toBeUndefined();
+    });
+
+    test('should re-throw retryable Okta errors unchanged', async () => {
+      const error = Object.assign(new Error('Failed to create user: HTTP 503'), { statusCode: 503 });
+
+      const thrown = await script.error({ email: 'john.doe@example.com', error }, mockContext).catch(e => e);
+
+      expect(thrown).toBe(error);
+      expect(thrown.retryable).toBeUndefined();
+    });
+
+    test('should flag non-retryable errors and re-throw them with their status code', async () => {
+      const error = Object.assign(new Error('Failed to create user: HTTP 400'), { statusCode: 400, audit: { action: 'failed' } });
+
+      const thrown = await script.error({ email: 'john.doe@example.com', error }, mockContext).catch(e => e);
+
+      expect(thrown).toBe(error);
+      expect(thrown).toMatchObject({ message: 'Failed to create user: HTTP 400', statusCode: 400, retryable: false, audit: { action: 'failed' } });
+    });
+
+    test('should fail fast on a password policy violation from invoke', async () => {
+      global.fetch = (url, options) => Promise.resolve(options.method === 'GET'
+        ? { ok: false, status: 404, json: async () => ({}) }
+        : {
+          ok: false,
+          status: 400,
+          json: async () => ({
+            errorCode: 'E0000001',
+            errorSummary: 'Api validation failed: password',
+            errorId: 'oae456',
+            errorCauses: [{ errorSummary: 'password: Password requirements were not met. Password requirements: at least 8 characters.' }]
+          })
+        });
+
+      const params = {
+        email: 'john.doe@example.com',
+        login: 'john.doe@example.com',
+        firstName: 'John',
+        lastName: 'Doe',
+        address: 'https://example.okta.com'
+      };
+      const error = await script.invoke(params, mockContext).catch(e => e);
+
+      expect(error.message).toBe('Failed to create user: HTTP 400 - Api validation failed: password ' +
+        '(password: Password requirements were not met. Password requirements: at least 8 characters.)');
+      expect(error.errorId).toBe('oae456');
+
+      const thrown = await script.error({ ...params, error }, mockContext).catch(e => e);
+      expect(thrown.retryable).toBe(false);
+    });
+  });
+
+  describe('halt handler', () => {
+    test('should handle graceful shutdown', async () => {
+      const params = {
+        email: 'john.doe@example.com',
+        reason: 'timeout'
+      };
+
+      const result = await script.halt(params, mockContext);
+
+      expect(result.email).toBe('john.doe@example.com');
+      expect(result.reason).toBe('timeout');
+      expect(result.haltedAt).toBeDefined();
+      expect(result.cleanupCompleted).toBe(true);
+    });
+
+    describe('cleanup of users created by the run', () => {
+      const params = {
+        email: 'john.doe@example.com',
+        login: 'john.doe@example.com',
+        firstName: 'John',
+        lastName: 'Doe',
+        address: 'https://example.okta.com'
+      };
+
+      let context;
+      let requests;
+      let cleanupResponses;
+
+      beforeEach(() => {
+        context = { ...mockContext };
+        requests = [];
+        cleanupResponses = {};
+        const createFetch = global.fetch;
+        global.fetch = (url, options) => {
+          requests.push(`${options.method} ${url}`);
+          if (options.method === 'DELETE' || url.includes('/lifecycle/deactivate')) {
+            return Promise.resolve(cleanupResponses[options.method] || { ok: true, status: 200, json: async () => ({}) });
+          }
+          return createFetch(url, options);
+        };
+      });
+
+      test('should deactivate and delete a user created by the run', async () => {
+        await script.invoke(params, context);
+        requests = [];
+
+        const result = await script.halt({ ...params, reason: 'timeout', haltCleanup: 'delete' }, context);
+
+        expect(requests).toEqual([
+          'POST https://example.okta.com/api/v1/users/user123/lifecycle/deactivate',
+          'DELETE https://example.okta.com/api/v1/users/user123'
+        ]);
+        expect(result).toMatchObject({
+          cleanupPolicy: 'delete',
+          createdUsers: [{ id: 'user123', login: 'john.doe@example.com' }],
+          undone: [{ userId: 'user123', login: 'john.doe@example.com', action: 'deleted' }],
+          cleanupFailures: [],
+          cleanupCompleted: true
+        });
+      });
+
+      test('should only deactivate with the deactivate policy', async () => {
+        await script.invoke(params, context);
+        requests = [];
+
+        const result = await script.halt({ ...params, reason: 'timeout', haltCleanup: 'deactivate' }, context);
+
+        expect(requests).toEqual(['POST https://example.okta.com/api/v1/users/user123/lifecycle/deactivate']);
+        expect(result.undone).toEqual([{ userId: 'user123', login: 'john.doe@example.com', action: 'deactivated' }]);
+      });
+
+      test('should leave created users in place by default', async () => {
+        await script.invoke(params, context);
+        requests = [];
+
+        const result = await script.halt({ ...params, reason: 'timeout' }, context);
+
+        expect(requests).toEqual([]);
+        expect(result.cleanupPolicy).toBe('leave');
+        expect(result.createdUsers).toEqual([{ id: 'user123', login: 'john.doe@example.com' }]);
+        expect(result.undone).toEqual([]);
+      });
+
+      test('should never touch a user that already existed', async () => {
+        const existingFetch = global.fetch;
+        global.fetch = (url, options) => {
+          if (options.method === 'GET' && url.endsWith('/api/v1/users/john.doe%40example.com')) {
+            return Promise.resolve({ ok: true, status: 200, json: async () => ({ id: 'existing1', status: 'ACTIVE', profile: { email: 'john.doe@example.com' } }) });
+          }
+          return existingFetch(url, options);
+        };
+        await script.invoke(params, context);
+        requests = [];
+
+        const result = await script.halt({ ...params, reason: 'timeout', haltCleanup: 'delete' }, context);
+
+        expect(requests).toEqual([]);
+        expect(result.createdUsers).toEqual([]);
+        expect(result.undone).toEqual([]);
+      });
+
+      test('should report users it failed to clean up', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await script.invoke(params, context);
+        cleanupResponses.DELETE = { ok: false, status: 403, json: async () => ({ errorCode: 'E0000006', errorSummary: 'You do not have permission to perform the requested action' }) };
+
+        const result = await script.halt({ ...params, reason: 'timeout', haltCleanup: 'delete' }, context);
+
+        expect(result.undone).toEqual([]);
+        expect(result.cleanupFailures).toEqual([{
+          userId: 'user123',
+          login: 'john.doe@example.com',
+          error: 'Failed to delete user user123: HTTP 403 - You do not have permission to perform the requested action. ' +
+            'The API credentials may be missing the okta.users.manage scope'
+        }]);
+        expect(result.cleanupCompleted).toBe(false);
+      });
+
+      test('should reject an invalid haltCleanup policy before creating anything', async () => {
+        await expect(script.invoke({ ...params, haltCleanup: 'purge' }, context))
+          .rejects.toThrow('Invalid haltCleanup parameter: expected one of leave, deactivate, delete');
+        expect(requests).toEqual([]);
+      });
     });
 
     test('should handle halt with missing params', async () => {
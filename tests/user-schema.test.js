@@ -0,0 +1,114 @@
+import { fetchUserSchema, validateProfile } from '../src/user-schema.mjs';
+
+describe('User Schema', () => {
+  const schema = {
+    definitions: {
+      base: {
+        properties: {
+          login: { type: 'string', minLength: 5, maxLength: 100 },
+          email: { type: 'string' },
+          firstName: { type: 'string', minLength: 1, maxLength: 10 },
+          lastName: { type: 'string' },
+          preferredLanguage: { type: 'string', oneOf: [{ const: 'en', title: 'English' }, { const: 'fr', title: 'French' }] }
+        },
+        required: ['login', 'email', 'firstName', 'lastName']
+      },
+      custom: {
+        properties: {
+          badgeNumber: { type: 'integer' },
+          fte: { type: 'number' },
+          isContractor: { type: 'boolean' },
+          regions: { type: 'array', items: { type: 'string', enum: ['EMEA', 'AMER', 'APAC'] } },
+          employeeId: { type: 'string', mutability: 'READ_ONLY' }
+        },
+        required: ['badgeNumber']
+      }
+    }
+  };
+
+  const validProfile = {
+    login: 'john.doe@example.com',
+    email: 'john.doe@example.com',
+    firstName: 'John',
+    lastName: 'Doe',
+    badgeNumber: 42
+  };
+
+  describe('validateProfile', () => {
+    test('should accept a valid profile', () => {
+      expect(validateProfile({
+        ...validProfile,
+        preferredLanguage: 'fr',
+        fte: 0.5,
+        isContractor: false,
+        regions: ['EMEA', 'APAC']
+      }, schema)).toEqual([]);
+    });
+
+    test('should report missing required attributes from base and custom definitions', () => {
+      expect(validateProfile({ login: 'john.doe', email: '', firstName: 'John', lastName: 'Doe' }, schema)).toEqual([
+        'email: attribute is required',
+        'badgeNumber: attribute is required'
+      ]);
+    });
+
+    test('should skip required checks for partial profiles', () => {
+      expect(validateProfile({ firstName: 'Jonathan' }, schema, { partial: true })).toEqual([]);
+    });
+
+    test('should report type, enum, length, read-only and unknown violations together', () => {
+      expect(validateProfile({
+        ...validProfile,
+        firstName: 'Maximilianus',
+        login: 'jd',
+        badgeNumber: 4.2,
+        fte: '1',
+        isContractor: 'yes',
+        preferredLanguage: 'de',
+        regions: ['EMEA', 'LATAM', 3],
+        employeeId: 'E1',
+        favouriteColour: 'blue'
+      }, schema)).toEqual([
+        'login: must be at least 5 characters',
+        'firstName: must be at most 10 characters',
+        'badgeNumber: expected integer but got number',
+        'fte: expected number but got string',
+        'isContractor: expected boolean but got string',
+        'preferredLanguage: "de" is not one of "en", "fr"',
+        'regions: "LATAM" is not one of "EMEA", "AMER", "APAC"',
+        'regions: expected array of string but found number',
+        'employeeId: attribute is read-only',
+        'favouriteColour: attribute is not defined in the user schema'
+      ]);
+    });
+
+    test('should allow null to clear optional attributes', () => {
+      expect(validateProfile({ ...validProfile, preferredLanguage: null }, schema)).toEqual([]);
+    });
+  });
+
+  describe('fetchUserSchema', () => {
+    test('should read the schema through the client', async () => {
+      const paths = [];
+      const client = {
+        request: async (path) => {
+          paths.push(path);
+          return { ok: true, status: 200, json: async () => schema };
+        }
+      };
+
+      await expect(fetchUserSchema(client)).resolves.toBe(schema);
+      await fetchUserSchema(client, 'osc1234');
+
+      expect(paths).toEqual(['/api/v1/meta/schemas/user/default', '/api/v1/meta/schemas/user/osc1234']);
+    });
+
+    test('should name the schemas scope when access is denied', async () => {
+      const client = {
+        request: async () => ({ ok: false, status: 403, json: async () => ({ errorSummary: 'Forbidden' }) })
+      };
+
+      await expect(fetchUserSchema(client)).rejects.toThrow('The API credentials may be missing the okta.schemas.read scope');
+    });
+  });
+});